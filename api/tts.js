@@ -0,0 +1,222 @@
+/**
+ * /api/tts - Text-to-speech proxy
+ * Keeps the ElevenLabs API key on the server and streams synthesized audio back.
+ * With `with_timestamps: true` the response is newline-delimited JSON
+ * ({ audio_base64, alignment } per line) so clients can follow word timings.
+ * Set TTS_PROVIDER=mock to serve deterministic offline audio instead.
+ */
+
+import { createMockSpeechWav, createMockSpeechTimestamps } from '../src/js/mock-tts.js';
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+const MAX_TEXT_LENGTH = 5000;
+// Room for MAX_TEXT_LENGTH characters of any script, escaped, plus settings
+const MAX_BODY_BYTES = 64 * 1024;
+const VOICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_MODEL_ID = 'eleven_multilingual_v2';
+
+// Models clients may ask for - anything else would be billed to our account untested
+export const MODEL_IDS = [
+    'eleven_multilingual_v2',
+    'eleven_turbo_v2_5',
+    'eleven_flash_v2_5',
+    'eleven_turbo_v2',
+    'eleven_flash_v2',
+    'eleven_monolingual_v1'
+];
+
+// The speeds ElevenLabs accepts; the demo's speed slider covers the same range
+export const SPEED_RANGE = [0.7, 1.2];
+
+function sendJSON(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(payload));
+}
+
+function bodyTooLarge() {
+    const error = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    error.status = 413;
+    return error;
+}
+
+/**
+ * @throws {Error} with status 413 past MAX_BODY_BYTES, or a SyntaxError
+ */
+async function readJSONBody(req) {
+    if (Number(req.headers?.['content-length']) > MAX_BODY_BYTES) throw bodyTooLarge();
+
+    // Vercel parses JSON bodies already; the Vite dev middleware does not
+    if (req.body && typeof req.body === 'object') return req.body;
+
+    let raw = typeof req.body === 'string' ? req.body : '';
+    if (Buffer.byteLength(raw) > MAX_BODY_BYTES) throw bodyTooLarge();
+    if (!raw) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw bodyTooLarge();
+            chunks.push(Buffer.from(chunk));
+        }
+        raw = Buffer.concat(chunks).toString('utf8');
+    }
+
+    return JSON.parse(raw || '{}');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+function normalizeVoiceSettings(settings = {}) {
+    return {
+        stability: clamp(settings.stability, 0, 1, 0.5),
+        similarity_boost: clamp(settings.similarity_boost, 0, 1, 0.75),
+        style: clamp(settings.style, 0, 1, 0),
+        use_speaker_boost: settings.use_speaker_boost !== false,
+        speed: clamp(settings.speed, SPEED_RANGE[0], SPEED_RANGE[1], 1.0)
+    };
+}
+
+function isValidSpeed(speed) {
+    return speed === undefined || (typeof speed === 'number' && speed >= SPEED_RANGE[0] && speed <= SPEED_RANGE[1]);
+}
+
+/**
+ * Create the request handler; env is injectable for the Vite dev server
+ */
+export function createTTSHandler(env = process.env) {
+    return async function handler(req, res) {
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            return sendJSON(res, 405, { error: 'Method not allowed' });
+        }
+
+        let body;
+        try {
+            body = await readJSONBody(req);
+        } catch (error) {
+            if (error.status === 413) return sendJSON(res, 413, { error: error.message });
+            return sendJSON(res, 400, { error: 'Invalid JSON body' });
+        }
+        if (!isPlainObject(body)) {
+            return sendJSON(res, 400, { error: 'Request body must be a JSON object' });
+        }
+
+        const text = typeof body.text === 'string' ? body.text.trim() : '';
+        const voiceId = body.voice_id;
+
+        if (!text) {
+            return sendJSON(res, 400, { error: 'Text is required' });
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return sendJSON(res, 413, { error: `Text exceeds ${MAX_TEXT_LENGTH} characters` });
+        }
+        if (!VOICE_ID_PATTERN.test(voiceId || '')) {
+            return sendJSON(res, 400, { error: 'Invalid voice_id' });
+        }
+        if (body.model_id !== undefined && !MODEL_IDS.includes(body.model_id)) {
+            return sendJSON(res, 400, { error: 'Unsupported model_id' });
+        }
+        if (!isValidSpeed(body.voice_settings?.speed)) {
+            return sendJSON(res, 400, { error: `Speed must be between ${SPEED_RANGE[0]} and ${SPEED_RANGE[1]}` });
+        }
+
+        const voiceSettings = normalizeVoiceSettings(body.voice_settings);
+        const withTimestamps = body.with_timestamps === true;
+
+        if (env.TTS_PROVIDER === 'mock' && withTimestamps) {
+            const line = createMockSpeechTimestamps(text, {
+                voiceId,
+                speed: voiceSettings.speed,
+                stability: voiceSettings.stability
+            });
+
+            res.statusCode = 200;
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('X-TTS-Provider', 'mock');
+            return res.end(`${JSON.stringify(line)}\n`);
+        }
+
+        if (env.TTS_PROVIDER === 'mock') {
+            const wav = createMockSpeechWav(text, {
+                voiceId,
+                speed: voiceSettings.speed,
+                stability: voiceSettings.stability
+            });
+
+            res.statusCode = 200;
+            res.setHeader('Content-Type', 'audio/wav');
+            res.setHeader('Content-Length', wav.byteLength);
+            res.setHeader('X-TTS-Provider', 'mock');
+            return res.end(Buffer.from(wav.buffer, wav.byteOffset, wav.byteLength));
+        }
+
+        if (!env.ELEVENLABS_API_KEY) {
+            return sendJSON(res, 503, { error: 'TTS backend is not configured' });
+        }
+
+        // Stop paying for audio nobody will hear. The response's close event,
+        // unlike the request's, waits until the client is gone or the reply is done
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        let upstream;
+        try {
+            upstream = await fetch(`${ELEVENLABS_API_URL}/${voiceId}/stream${withTimestamps ? '/with-timestamps' : ''}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': withTimestamps ? 'application/json' : 'audio/mpeg',
+                    'xi-api-key': env.ELEVENLABS_API_KEY
+                },
+                body: JSON.stringify({
+                    text,
+                    model_id: body.model_id || env.ELEVENLABS_MODEL_ID || DEFAULT_MODEL_ID,
+                    voice_settings: voiceSettings
+                }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('ElevenLabs request failed:', error);
+            return sendJSON(res, 502, { error: 'Could not reach the TTS provider' });
+        }
+
+        if (!upstream.ok || !upstream.body) {
+            const detail = await upstream.text().catch(() => '');
+            console.error(`ElevenLabs responded ${upstream.status}:`, detail);
+            return sendJSON(res, upstream.status === 401 ? 502 : upstream.status, {
+                error: `TTS provider error (${upstream.status})`
+            });
+        }
+
+        res.statusCode = 200;
+        res.setHeader('Content-Type', withTimestamps
+            ? 'application/x-ndjson'
+            : upstream.headers.get('content-type') || 'audio/mpeg');
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-TTS-Provider', 'elevenlabs');
+
+        // Stream audio (or timestamped JSON lines) through as they arrive
+        try {
+            for await (const chunk of upstream.body) {
+                res.write(chunk);
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('TTS stream interrupted:', error);
+        }
+        res.end();
+    };
+}
+
+export default createTTSHandler();
@@ -0,0 +1,70 @@
+/**
+ * /api/voices - Voice catalog proxy
+ * Lists the voices available to the configured ElevenLabs account,
+ * normalized to the shape the demo's VoiceCatalog expects
+ */
+
+const ELEVENLABS_VOICES_URL = 'https://api.elevenlabs.io/v1/voices';
+
+function sendJSON(res, status, payload, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(JSON.stringify(payload));
+}
+
+function normalizeVoice(voice) {
+    const labels = voice.labels || {};
+
+    return {
+        id: voice.voice_id,
+        voiceId: voice.voice_id,
+        name: voice.name,
+        language: voice.verified_languages?.[0]?.language || labels.language || voice.fine_tuning?.language || 'en',
+        gender: labels.gender || null,
+        previewUrl: voice.preview_url || null,
+        description: labels.description || voice.description || '',
+        labels
+    };
+}
+
+/**
+ * Create the request handler; env is injectable for the Vite dev server
+ */
+export function createVoicesHandler(env = process.env) {
+    return async function handler(req, res) {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            return sendJSON(res, 405, { error: 'Method not allowed' });
+        }
+
+        // Without a key the client falls back to its bundled voice manifest
+        if (!env.ELEVENLABS_API_KEY) {
+            return sendJSON(res, 503, { error: 'Voice catalog is not configured' });
+        }
+
+        let upstream;
+        try {
+            upstream = await fetch(ELEVENLABS_VOICES_URL, {
+                headers: { 'xi-api-key': env.ELEVENLABS_API_KEY }
+            });
+        } catch (error) {
+            console.error('ElevenLabs voices request failed:', error);
+            return sendJSON(res, 502, { error: 'Could not reach the TTS provider' });
+        }
+
+        if (!upstream.ok) {
+            console.error(`ElevenLabs voices responded ${upstream.status}`);
+            return sendJSON(res, 502, { error: `TTS provider error (${upstream.status})` });
+        }
+
+        const data = await upstream.json();
+        const voices = (data.voices || []).map(normalizeVoice);
+
+        sendJSON(res, 200, { voices }, {
+            'Cache-Control': 's-maxage=3600, stale-while-revalidate=86400'
+        });
+    };
+}
+
+export default createVoicesHandler();
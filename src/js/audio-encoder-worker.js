@@ -0,0 +1,403 @@
+/**
+ * Audio Encoder Worker
+ * Encodes decoded PCM into WAV, MP3 or OGG/Opus off the main thread and
+ * embeds title/voice/text metadata (RIFF INFO, ID3v2 or Vorbis comments).
+ * Loaded as a classic worker so the MP3 encoder can come from the CDN like
+ * the page's other libraries.
+ *
+ * Message in:  { id, format, channels: Float32Array[], sampleRate, bitDepth, bitrate, metadata }
+ * Message out: { id, data: ArrayBuffer, mimeType } or { id, error }
+ */
+
+const LAME_URL = 'https://cdn.jsdelivr.net/npm/lamejs@1.2.1/lame.min.js';
+const ENCODER_NAME = 'Claude MCP Showcase';
+
+const textEncoder = new TextEncoder();
+
+function floatToInt16(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    return clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF;
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+function asciiBytes(value) {
+    return Uint8Array.from(value, char => char.charCodeAt(0));
+}
+
+// ================================
+// WAV ENCODING
+// ================================
+
+/**
+ * RIFF LIST/INFO chunk holding title (INAM), artist (IART) and comment (ICMT)
+ */
+function buildInfoChunk(metadata) {
+    const fields = [
+        ['INAM', metadata.title],
+        ['IART', metadata.artist],
+        ['ICMT', metadata.comment],
+        ['ISFT', ENCODER_NAME]
+    ].filter(([, value]) => value);
+
+    const subchunks = fields.map(([id, value]) => {
+        const text = textEncoder.encode(`${value}\0`);
+        const padded = new Uint8Array(8 + text.length + (text.length % 2));
+        const view = new DataView(padded.buffer);
+        padded.set(asciiBytes(id), 0);
+        view.setUint32(4, text.length, true);
+        padded.set(text, 8);
+        return padded;
+    });
+
+    const body = concatBytes([asciiBytes('INFO'), ...subchunks]);
+    const chunk = new Uint8Array(8 + body.length);
+    chunk.set(asciiBytes('LIST'), 0);
+    new DataView(chunk.buffer).setUint32(4, body.length, true);
+    chunk.set(body, 8);
+    return chunk;
+}
+
+function encodeWav({ channels, sampleRate, bitDepth = 16, metadata = {} }) {
+    const bytesPerSample = bitDepth / 8;
+    const frames = channels[0].length;
+    const blockAlign = channels.length * bytesPerSample;
+    const dataSize = frames * blockAlign;
+    const dataPadding = dataSize % 2;
+    const info = buildInfoChunk(metadata);
+
+    const buffer = new ArrayBuffer(44 + dataSize + dataPadding + info.length);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    bytes.set(asciiBytes('RIFF'), 0);
+    view.setUint32(4, buffer.byteLength - 8, true);
+    bytes.set(asciiBytes('WAVE'), 8);
+    bytes.set(asciiBytes('fmt '), 12);
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    bytes.set(asciiBytes('data'), 36);
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let channel = 0; channel < channels.length; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+
+            if (bitDepth === 24) {
+                const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            } else {
+                view.setInt16(offset, floatToInt16(sample), true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    bytes.set(info, 44 + dataSize + dataPadding);
+    return { data: buffer, mimeType: 'audio/wav' };
+}
+
+// ================================
+// MP3 ENCODING
+// ================================
+
+/**
+ * ID3v2.3 tag with UTF-16 title (TIT2), artist (TPE1) and comment (COMM) frames
+ */
+function buildId3Tag(metadata) {
+    const utf16 = (value) => {
+        const output = new Uint8Array(2 + value.length * 2);
+        output[0] = 0xFF;
+        output[1] = 0xFE;
+        for (let i = 0; i < value.length; i++) {
+            output[2 + i * 2] = value.charCodeAt(i) & 0xFF;
+            output[3 + i * 2] = value.charCodeAt(i) >> 8;
+        }
+        return output;
+    };
+
+    const frame = (id, content) => {
+        const output = new Uint8Array(10 + content.length);
+        output.set(asciiBytes(id), 0);
+        new DataView(output.buffer).setUint32(4, content.length);
+        output.set(content, 10);
+        return output;
+    };
+
+    const frames = [];
+    if (metadata.title) frames.push(frame('TIT2', concatBytes([Uint8Array.of(1), utf16(metadata.title)])));
+    if (metadata.artist) frames.push(frame('TPE1', concatBytes([Uint8Array.of(1), utf16(metadata.artist)])));
+    if (metadata.comment) {
+        frames.push(frame('COMM', concatBytes([
+            Uint8Array.of(1), asciiBytes('eng'), utf16(''), Uint8Array.of(0, 0), utf16(metadata.comment)
+        ])));
+    }
+    frames.push(frame('TSSE', concatBytes([Uint8Array.of(1), utf16(ENCODER_NAME)])));
+
+    const body = concatBytes(frames);
+    const header = new Uint8Array(10);
+    header.set(asciiBytes('ID3'), 0);
+    header[3] = 3;
+
+    // Tag size is stored as a 28-bit synchsafe integer
+    header[6] = (body.length >> 21) & 0x7F;
+    header[7] = (body.length >> 14) & 0x7F;
+    header[8] = (body.length >> 7) & 0x7F;
+    header[9] = body.length & 0x7F;
+
+    return concatBytes([header, body]);
+}
+
+function encodeMp3({ channels, sampleRate, bitrate = 128, metadata = {} }) {
+    if (typeof self.lamejs === 'undefined') {
+        importScripts(LAME_URL);
+    }
+
+    const encoder = new lamejs.Mp3Encoder(channels.length, sampleRate, bitrate);
+    const pcm = channels.map(channel => Int16Array.from(channel, floatToInt16));
+    const blockSize = 1152;
+    const parts = [buildId3Tag(metadata)];
+
+    for (let i = 0; i < pcm[0].length; i += blockSize) {
+        const left = pcm[0].subarray(i, i + blockSize);
+        const right = pcm[1]?.subarray(i, i + blockSize);
+        const encoded = right ? encoder.encodeBuffer(left, right) : encoder.encodeBuffer(left);
+        if (encoded.length > 0) parts.push(new Uint8Array(encoded));
+    }
+
+    const tail = encoder.flush();
+    if (tail.length > 0) parts.push(new Uint8Array(tail));
+
+    return { data: concatBytes(parts).buffer, mimeType: 'audio/mpeg' };
+}
+
+// ================================
+// OGG/OPUS ENCODING
+// ================================
+
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggChecksum(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+/**
+ * Minimal Ogg muxer: packets are grouped into pages of up to 255 lacing segments
+ */
+class OggWriter {
+    constructor() {
+        this.serial = (Math.random() * 0xFFFFFFFF) >>> 0;
+        this.sequence = 0;
+        this.pages = [];
+    }
+
+    writePage(packets, granule, headerType) {
+        const lacing = [];
+        packets.forEach(packet => {
+            for (let size = packet.length; ; size -= 255) {
+                lacing.push(Math.min(size, 255));
+                if (size < 255) break;
+            }
+        });
+
+        const body = concatBytes(packets);
+        const page = new Uint8Array(27 + lacing.length + body.length);
+        const view = new DataView(page.buffer);
+
+        page.set(asciiBytes('OggS'), 0);
+        page[5] = headerType;
+        view.setBigUint64(6, BigInt(granule), true);
+        view.setUint32(14, this.serial, true);
+        view.setUint32(18, this.sequence++, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+        page.set(body, 27 + lacing.length);
+        view.setUint32(22, oggChecksum(page), true);
+
+        this.pages.push(page);
+    }
+
+    writeAudio(packets, preSkip, totalFrames) {
+        if (packets.length === 0) {
+            this.writePage([], preSkip, 0x04);
+            return;
+        }
+
+        let pending = [];
+        let segments = 0;
+        let granule = preSkip;
+
+        packets.forEach(({ data, frames }, index) => {
+            const packetSegments = Math.floor(data.length / 255) + 1;
+            if (segments + packetSegments > 255) {
+                this.writePage(pending, granule, 0);
+                pending = [];
+                segments = 0;
+            }
+
+            pending.push(data);
+            segments += packetSegments;
+            granule += frames;
+
+            // The final granule trims the encoder's padding back to the real length
+            if (index === packets.length - 1) {
+                this.writePage(pending, preSkip + totalFrames, 0x04);
+            }
+        });
+    }
+}
+
+function buildOpusHead(channelCount, inputSampleRate, preSkip) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(asciiBytes('OpusHead'), 0);
+    head[8] = 1;
+    head[9] = channelCount;
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true);
+    head[18] = 0;
+    return head;
+}
+
+/**
+ * OpusTags packet carrying Vorbis comments
+ */
+function buildOpusTags(metadata) {
+    const comments = [
+        ['TITLE', metadata.title],
+        ['ARTIST', metadata.artist],
+        ['DESCRIPTION', metadata.comment]
+    ].filter(([, value]) => value).map(([key, value]) => textEncoder.encode(`${key}=${value}`));
+
+    const vendor = textEncoder.encode(ENCODER_NAME);
+    const lengthPrefixed = (bytes) => {
+        const output = new Uint8Array(4 + bytes.length);
+        new DataView(output.buffer).setUint32(0, bytes.length, true);
+        output.set(bytes, 4);
+        return output;
+    };
+
+    const count = new Uint8Array(4);
+    new DataView(count.buffer).setUint32(0, comments.length, true);
+
+    return concatBytes([asciiBytes('OpusTags'), lengthPrefixed(vendor), count, ...comments.map(lengthPrefixed)]);
+}
+
+async function encodeOgg({ channels, sampleRate, bitrate = 96, metadata = {} }) {
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('OGG/Opus export is not supported in this browser');
+    }
+
+    const packets = [];
+    let preSkip = 312;
+    let failure = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => {
+            // Chrome hands over its own OpusHead, which carries the real pre-skip
+            const description = meta?.decoderConfig?.description;
+            if (description && description.byteLength >= 12) {
+                const head = ArrayBuffer.isView(description)
+                    ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+                    : new Uint8Array(description);
+                if (String.fromCharCode(...head.subarray(0, 8)) === 'OpusHead') {
+                    preSkip = head[10] | (head[11] << 8);
+                }
+            }
+
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            const frames = chunk.duration ? Math.round(chunk.duration * sampleRate / 1e6) : 960;
+            packets.push({ data, frames });
+        },
+        error: (error) => { failure = error; }
+    });
+
+    encoder.configure({ codec: 'opus', sampleRate, numberOfChannels: channels.length, bitrate: bitrate * 1000 });
+
+    // Feed the encoder one second at a time
+    const frameCount = channels[0].length;
+    for (let start = 0; start < frameCount; start += sampleRate) {
+        const length = Math.min(sampleRate, frameCount - start);
+        const planar = new Float32Array(length * channels.length);
+        channels.forEach((channel, i) => planar.set(channel.subarray(start, start + length), i * length));
+
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate,
+            numberOfFrames: length,
+            numberOfChannels: channels.length,
+            timestamp: Math.round(start * 1e6 / sampleRate),
+            data: planar
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+
+    const writer = new OggWriter();
+    writer.writePage([buildOpusHead(channels.length, sampleRate, preSkip)], 0, 0x02);
+    writer.writePage([buildOpusTags(metadata)], 0, 0);
+    writer.writeAudio(packets, preSkip, frameCount);
+
+    return { data: concatBytes(writer.pages).buffer, mimeType: 'audio/ogg; codecs=opus' };
+}
+
+// ================================
+// MESSAGE HANDLING
+// ================================
+
+const ENCODERS = {
+    wav: encodeWav,
+    mp3: encodeMp3,
+    ogg: encodeOgg
+};
+
+self.onmessage = async (event) => {
+    const { id, format, ...options } = event.data;
+
+    try {
+        const encode = ENCODERS[format];
+        if (!encode) throw new Error(`Unsupported export format: ${format}`);
+
+        const { data, mimeType } = await encode(options);
+        self.postMessage({ id, data, mimeType }, [data]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,254 @@
+/**
+ * Audio Engine
+ * The one AudioContext every sound on the page plays through. Sources join a
+ * named bus (narration, tts, sfx) with its own volume and mute, and the
+ * narration bus is ducked automatically while speech or effects play over it.
+ *
+ *   source → bus volume → bus duck → master → destination
+ */
+
+export const BUSES = ['narration', 'tts', 'sfx'];
+
+const DEFAULT_OPTIONS = {
+    // Level the narration drops to while each bus is active
+    ducking: {
+        target: 'narration',
+        levels: { tts: 0.15, sfx: 0.5 },
+        attack: 0.08, // seconds (time constant) to duck
+        release: 0.4 // seconds (time constant) to come back up
+    }
+};
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            ducking: { ...DEFAULT_OPTIONS.ducking, ...options.ducking }
+        };
+
+        this.context = null;
+        this.master = null;
+        this.buses = new Map();
+
+        // Mixer state is kept even before the context exists
+        this.levels = Object.fromEntries(BUSES.map(name => [name, { volume: 1, muted: false }]));
+
+        this.activity = new Map(BUSES.map(name => [name, 0]));
+        this.routed = new WeakMap(); // media element → MediaElementAudioSourceNode
+        this.tracked = new WeakSet(); // sources whose play/pause already drive ducking
+        this.unrouted = new Map(BUSES.map(name => [name, new Set()])); // sources mixed via their own volume
+    }
+
+    /**
+     * The shared context, created on first use - browsers only let it start
+     * after a user gesture anyway
+     */
+    getContext() {
+        if (this.context) return this.context;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        this.context = new AudioContextClass();
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+
+        BUSES.forEach(name => {
+            const input = this.context.createGain();
+            const duck = this.context.createGain();
+            input.connect(duck);
+            duck.connect(this.master);
+            this.buses.set(name, { input, duck });
+            this.applyLevel(name);
+        });
+        this.updateDucking();
+
+        return this.context;
+    }
+
+    /**
+     * Node to connect a source to for the named bus
+     */
+    getBus(name) {
+        if (!BUSES.includes(name)) throw new Error(`Unknown audio bus "${name}"`);
+        if (!this.getContext()) return null;
+        return this.buses.get(name).input;
+    }
+
+    async resume() {
+        const context = this.getContext();
+        if (context?.state === 'suspended') {
+            try {
+                await context.resume();
+            } catch (error) {
+                console.warn('Failed to resume shared AudioContext:', error);
+            }
+        }
+    }
+
+    /**
+     * Play a media element (or anything shaped like one, such as the local
+     * speech player) on a bus. Routed elements go through the bus nodes;
+     * with { route: false } - for cross-origin media, or sources Web Audio
+     * can't capture - the bus level is applied to the element's own volume.
+     * Either way its playback ducks the narration.
+     */
+    attach(media, busName, { route = true } = {}) {
+        if (!BUSES.includes(busName)) throw new Error(`Unknown audio bus "${busName}"`);
+
+        const canRoute = route && typeof HTMLMediaElement !== 'undefined' && media instanceof HTMLMediaElement;
+        if (canRoute && this.getContext()) {
+            // A media element can only ever feed one source node
+            let source = this.routed.get(media);
+            if (!source) {
+                source = this.context.createMediaElementSource(media);
+                this.routed.set(media, source);
+            }
+            source.disconnect();
+            source.connect(this.buses.get(busName).input);
+        } else {
+            this.unrouted.forEach(set => set.delete(media));
+            this.unrouted.get(busName).add(media);
+            media.volume = this.getEffectiveLevel(busName);
+        }
+
+        this.trackPlayback(media, busName);
+        return media;
+    }
+
+    /**
+     * Stop managing a source attached with { route: false }
+     */
+    detach(media) {
+        this.unrouted.forEach(set => set.delete(media));
+        media.dispatchEvent?.(new Event('audioengine:detach'));
+    }
+
+    // Count the source as active on its bus while it plays
+    trackPlayback(media, busName) {
+        if (this.tracked.has(media)) {
+            media.audioEngineBus = busName;
+            return;
+        }
+        this.tracked.add(media);
+        media.audioEngineBus = busName;
+
+        let release = null;
+        const start = () => {
+            if (!release) release = this.activate(media.audioEngineBus);
+        };
+        const stop = () => {
+            release?.();
+            release = null;
+        };
+
+        media.addEventListener('play', start);
+        ['pause', 'ended', 'emptied', 'error', 'audioengine:detach'].forEach(type => media.addEventListener(type, stop));
+    }
+
+    /**
+     * Mark a bus active, ducking the narration until the returned function
+     * is called - or after `seconds` for fire-and-forget sounds
+     */
+    activate(busName, seconds = null) {
+        this.activity.set(busName, (this.activity.get(busName) || 0) + 1);
+        this.updateDucking();
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            this.activity.set(busName, Math.max(0, this.activity.get(busName) - 1));
+            this.updateDucking();
+        };
+
+        if (seconds !== null) setTimeout(release, seconds * 1000);
+        return release;
+    }
+
+    isActive(busName) {
+        return this.activity.get(busName) > 0;
+    }
+
+    /**
+     * The narration level for whatever is playing now: the deepest duck
+     * among active buses, full level when nothing plays over it
+     */
+    getDuckLevel() {
+        const { levels } = this.options.ducking;
+        return Object.entries(levels)
+            .filter(([busName]) => this.isActive(busName))
+            .reduce((level, [, duckTo]) => Math.min(level, duckTo), 1);
+    }
+
+    updateDucking() {
+        const { target, attack, release } = this.options.ducking;
+        const bus = this.buses.get(target);
+        if (!bus) return;
+
+        const level = this.getDuckLevel();
+        const now = this.context.currentTime;
+        const param = bus.duck.gain;
+
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.setTargetAtTime(level, now, level < param.value ? attack : release);
+    }
+
+    setDucking(ducking) {
+        this.options.ducking = {
+            ...this.options.ducking,
+            ...ducking,
+            levels: { ...this.options.ducking.levels, ...ducking.levels }
+        };
+        this.updateDucking();
+    }
+
+    setBusVolume(busName, volume) {
+        this.getLevel(busName).volume = Math.max(0, Math.min(1, volume));
+        this.applyLevel(busName);
+    }
+
+    getBusVolume(busName) {
+        return this.getLevel(busName).volume;
+    }
+
+    setBusMuted(busName, muted) {
+        this.getLevel(busName).muted = !!muted;
+        this.applyLevel(busName);
+    }
+
+    isBusMuted(busName) {
+        return this.getLevel(busName).muted;
+    }
+
+    // Volume after mute, as heard from the bus
+    getEffectiveLevel(busName) {
+        const { volume, muted } = this.getLevel(busName);
+        return muted ? 0 : volume;
+    }
+
+    getLevel(busName) {
+        const level = this.levels[busName];
+        if (!level) throw new Error(`Unknown audio bus "${busName}"`);
+        return level;
+    }
+
+    applyLevel(busName) {
+        const level = this.getEffectiveLevel(busName);
+
+        const bus = this.buses.get(busName);
+        if (bus) bus.input.gain.setTargetAtTime(level, this.context.currentTime, 0.02);
+
+        this.unrouted.get(busName).forEach(media => {
+            media.volume = level;
+        });
+    }
+}
+
+// Shared by every module that makes sound
+export const audioEngine = new AudioEngine();
+
+// Export for module usage
+export default AudioEngine;
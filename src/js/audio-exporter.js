@@ -0,0 +1,143 @@
+/**
+ * Audio Exporter
+ * Re-encodes generated speech for download: the audio is decoded and
+ * resampled here, then handed to the encoder worker
+ */
+
+const EXPORT_FORMATS = [
+    { id: 'wav', label: 'WAV', extension: 'wav' },
+    { id: 'mp3', label: 'MP3', extension: 'mp3' },
+    { id: 'ogg', label: 'OGG/OPUS', extension: 'ogg', sampleRate: 48000 }
+];
+
+class AudioExporter {
+    constructor(options = {}) {
+        this.options = {
+            workerUrl: new URL('./audio-encoder-worker.js', import.meta.url),
+            ...options
+        };
+
+        this.worker = null;
+        this.requests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Formats this browser can produce (Opus needs WebCodecs in workers)
+     */
+    static getFormats() {
+        return EXPORT_FORMATS.map(format => ({
+            ...format,
+            supported: format.id !== 'ogg' || typeof window.AudioEncoder !== 'undefined'
+        }));
+    }
+
+    /**
+     * A readable filename from the first few words of the spoken text
+     */
+    static createFilename(text, extension) {
+        const slug = (text || '')
+            .toLowerCase()
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+            .split(' ')
+            .slice(0, 8)
+            .join('-')
+            .slice(0, 60)
+            .replace(/-+$/, '');
+
+        return `${slug || 'quantum-synthesis'}.${extension}`;
+    }
+
+    /**
+     * @param {Blob} audioBlob - audio in any format the browser can decode
+     * @param {{ format: string, sampleRate?: number, channels?: number, bitDepth?: number, bitrate?: number, metadata?: object }} options
+     * @returns {Promise<Blob>}
+     */
+    async export(audioBlob, options) {
+        const format = EXPORT_FORMATS.find(item => item.id === options.format);
+        if (!format) throw new Error(`Unsupported export format: ${options.format}`);
+
+        const sampleRate = format.sampleRate || options.sampleRate || 44100;
+        const channels = await this.decode(audioBlob, sampleRate, options.channels || 1);
+
+        const result = await this.encode({
+            format: format.id,
+            channels,
+            sampleRate,
+            bitDepth: options.bitDepth,
+            bitrate: options.bitrate,
+            metadata: options.metadata || {}
+        }, channels.map(channel => channel.buffer));
+
+        return new Blob([result.data], { type: result.mimeType });
+    }
+
+    /**
+     * Decode at the target rate and up- or down-mix to the requested channel count
+     */
+    async decode(audioBlob, sampleRate, channelCount) {
+        // An offline context decodes straight to its own sample rate
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        const buffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+
+        const sources = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+
+        if (channelCount === sources.length) {
+            return sources.map(source => new Float32Array(source));
+        }
+
+        if (channelCount === 1) {
+            const mono = new Float32Array(buffer.length);
+            sources.forEach(source => {
+                for (let i = 0; i < source.length; i++) mono[i] += source[i] / sources.length;
+            });
+            return [mono];
+        }
+
+        // Mono to stereo duplicates the single channel
+        return Array.from({ length: channelCount }, (_, i) => new Float32Array(sources[Math.min(i, sources.length - 1)]));
+    }
+
+    encode(message, transfer) {
+        if (!this.worker) {
+            this.worker = new Worker(this.options.workerUrl);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('Audio encoder worker failed:', event.message);
+                this.requests.forEach(({ reject }) => reject(new Error('Audio encoder crashed')));
+                this.requests.clear();
+                this.worker = null;
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, ...message }, transfer);
+        });
+    }
+
+    handleWorkerMessage({ id, error, data, mimeType }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.requests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve({ data, mimeType });
+        }
+    }
+
+    terminate() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.requests.forEach(({ reject }) => reject(new Error('Export cancelled')));
+        this.requests.clear();
+    }
+}
+
+// Export for module usage
+export default AudioExporter;
@@ -3,11 +3,50 @@
  * Handles Web Audio API, scroll synchronization, and visualizations
  */
 
+import NarrationTimeline from './narration-timeline.js';
+import LanguageRegistry from './language-registry.js';
+import { audioEngine } from './audio-engine.js';
+import BandAnalyzer from './band-analyzer.js';
+import CaptionDisplay from './caption-display.js';
+import { parseWebVTT } from './webvtt.js';
+
+// Keys that scroll the page - pressing one takes over from follow mode
+const SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+const SETTINGS_STORAGE_KEY = 'audioManagerSettings';
+
+// Listening position, volume and mute state per narration track, keyed by audio URL
+const PROGRESS_STORAGE_KEY = 'audioManagerProgress';
+
+// Positions worth offering to resume, in seconds: not the first few, not the last few
+const RESUME_MIN_TIME = 5;
+const RESUME_END_MARGIN = 5;
+const PROGRESS_SAVE_INTERVAL = 5;
+
+// Speeds offered by the speed button, and the range setPlaybackRate accepts
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+
+// What OS media controls show for the narration
+const MEDIA_SESSION_ALBUM = 'AI Quantum - Neural Integration Platform';
+const MEDIA_SESSION_ARTWORK = [
+    { src: './src/assets/artwork/narration.svg', sizes: '512x512', type: 'image/svg+xml' }
+];
+
+// Default skip for media-key seek backward/forward, in seconds
+const MEDIA_SEEK_OFFSET = 10;
+
+// Fraction of the remaining distance follow mode scrolls each frame
+const FOLLOW_EASING = 0.08;
+
 class AudioManager {
     constructor(options = {}) {
         this.options = {
             visualizations: true,
             scrollSync: true,
+            followMode: true, // scroll the page along with the narration while it plays
+            captions: true,
             autoPlay: false,
             volume: 0.7,
             ...options
@@ -19,25 +58,38 @@ class AudioManager {
         this.analyzer = null;
         this.gainNode = null;
         
+        // Per-frame band energies for the visuals, see subscribe()
+        this.bandAnalyzer = null;
+        this.subscribers = new Set();
+        this.analysisFrame = null;
+        
         this.isPlaying = false;
+        this.muted = false;
         this.currentTime = 0;
         this.duration = 0;
-        this.currentLanguage = 'english';
+        this.currentLanguage = null; // code of the narration language, e.g. 'en'
         this.scrollSyncEnabled = true;
         
-        this.audioFiles = {
-            english: './src/assets/audio/neuroscience_explanation_english.mp3',
-            hebrew: './src/assets/audio/claude_mcp_explanation.mp3',
-            demo: './src/assets/audio/claude_mcp_explanation_english.mp3'
-        };
+        this.settings = { playbackRate: 1, ...this.readSettings() };
+        this.playbackRate = this.clampPlaybackRate(this.settings.playbackRate);
+        
+        // Narration languages with their audio, timeline and caption files
+        this.languages = new LanguageRegistry(this.options.languageRegistry);
+        
+        this.timeline = null;
+        this.sections = []; // sections of the current timeline, times in seconds
+        this.currentSection = null;
         
-        this.sections = [
-            { id: 'hero', startTime: 0, endTime: 18, title: 'Augmented Consciousness' },
-            { id: 'neuroscience', startTime: 18, endTime: 40, title: 'Brain Architecture' },
-            { id: 'mcp', startTime: 40, endTime: 55, title: 'Neural Synchronization' },
-            { id: 'demo', startTime: 55, endTime: 75, title: 'Cognitive Loop' },
-            { id: 'conclusion', startTime: 75, endTime: 90, title: 'Future of Thinking' }
-        ];
+        this.captionTrack = { cues: [], lang: 'en', dir: 'ltr' };
+        this.captionDisplay = null;
+        
+        this.followMode = this.options.followMode;
+        this.followFrame = null;
+        this.sectionObserver = null;
+        this.visibleSections = new Set(); // ids of narrated sections on screen
+        
+        this.listened = false; // only a session that played anything saves a position
+        this.lastProgressSave = 0;
         
         this.init();
     }
@@ -45,10 +97,18 @@ class AudioManager {
     async init() {
         try {
             await this.setupAudioContext();
+            await this.languages.load();
+            this.currentLanguage = this.chooseLanguage().code;
             await this.loadAudio();
-            this.setupEventListeners();
+            this.restoreTrackState();
+            if (this.options.visualizations) {
+                this.subscribe((frame) => this.updateVisualizations(frame));
+            }
             this.createAudioControls();
+            this.setupCaptions();
             this.setupScrollSync();
+            this.setupMediaSession();
+            this.setupResume();
             console.log('AudioManager initialized successfully');
         } catch (error) {
             console.error('Failed to initialize AudioManager:', error);
@@ -57,29 +117,56 @@ class AudioManager {
     
     async setupAudioContext() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // Narration plays on the shared engine's narration bus, where it
+            // gets ducked under TTS and sound effects
+            this.audioContext = audioEngine.getContext();
             this.gainNode = this.audioContext.createGain();
             this.gainNode.gain.value = this.options.volume;
             
             // Setup analyzer for visualizations
             this.analyzer = this.audioContext.createAnalyser();
-            this.analyzer.fftSize = 256;
+            this.analyzer.fftSize = 512; // fine enough to separate the bass bins
             this.analyzer.smoothingTimeConstant = 0.8;
+            this.bandAnalyzer = new BandAnalyzer(this.analyzer);
             
             this.gainNode.connect(this.analyzer);
-            this.analyzer.connect(this.audioContext.destination);
+            this.analyzer.connect(audioEngine.getBus('narration'));
         } catch (error) {
             console.error('Failed to setup audio context:', error);
         }
     }
     
+    /**
+     * The language picked last time, else the first of the browser's
+     * preferred languages we have a narration for, else the default
+     */
+    chooseLanguage() {
+        return this.languages.get(this.settings.language) || this.languages.match();
+    }
+    
+    // Registry entry for the current narration language
+    getLanguage() {
+        return this.languages.get(this.currentLanguage);
+    }
+    
     async loadAudio() {
-        const audioFile = this.audioFiles[this.currentLanguage];
+        const language = this.getLanguage();
+        const timelineLoaded = this.loadTimeline();
+        this.loadCaptions();
         
         try {
-            this.audioElement = new Audio(audioFile);
+            // Retire the previous recording so its events stop driving the controls
+            if (this.audioElement) {
+                this.audioElement.pause();
+                this.audioElement.removeAttribute('src');
+                this.audioElement.load();
+            }
+            
+            this.audioElement = new Audio(language.audio);
             this.audioElement.crossOrigin = 'anonymous';
             this.audioElement.preload = 'auto';
+            this.applyPlaybackRate();
+            this.setupEventListeners();
             
             // Wait for metadata to load
             await new Promise((resolve, reject) => {
@@ -90,8 +177,13 @@ class AudioManager {
             
             this.duration = this.audioElement.duration * 1000; // Convert to ms
             
-            // Connect to Web Audio API
-            if (this.audioContext && !this.source) {
+            await timelineLoaded;
+            this.timeline?.checkDuration(this.audioElement.duration);
+            this.renderChapters();
+            
+            // Connect to Web Audio API - a source node is bound to one element for life
+            if (this.audioContext) {
+                this.source?.disconnect();
                 this.source = this.audioContext.createMediaElementSource(this.audioElement);
                 this.source.connect(this.gainNode);
             }
@@ -101,30 +193,160 @@ class AudioManager {
         }
     }
     
+    /**
+     * Load the timeline for the current language; without one the page
+     * still plays, but scroll sync falls back to plain scroll percentage
+     */
+    async loadTimeline() {
+        const language = this.currentLanguage;
+        const timelineFile = this.getLanguage()?.timeline;
+        
+        this.timeline = null;
+        this.sections = [];
+        this.currentSection = null;
+        this.renderChapters();
+        if (!timelineFile) return;
+        
+        try {
+            const timeline = await NarrationTimeline.load(timelineFile);
+            
+            // Ignore a slow response for a language the user already left
+            if (language !== this.currentLanguage) return;
+            
+            this.timeline = timeline;
+            this.sections = timeline.sections;
+            this.observeSections();
+            this.renderChapters();
+        } catch (error) {
+            console.error('Failed to load narration timeline:', error);
+        }
+    }
+    
+    /**
+     * Load the caption track for the current language; captions are optional,
+     * so a missing or broken file only leaves the overlay empty
+     */
+    async loadCaptions() {
+        const language = this.currentLanguage;
+        const { captions: captionFile, direction } = this.getLanguage() || {};
+        
+        this.captionTrack = { cues: [], lang: language || 'en', dir: direction || 'ltr' };
+        
+        if (captionFile) {
+            try {
+                const response = await fetch(captionFile);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const { cues, headers, errors } = parseWebVTT(await response.text());
+                if (errors.length > 0) console.warn(`Caption problems in ${captionFile}:`, errors);
+                
+                if (language !== this.currentLanguage) return;
+                
+                this.captionTrack = { ...this.captionTrack, cues, lang: headers.language || language };
+            } catch (error) {
+                console.error('Failed to load captions:', error);
+            }
+        }
+        
+        this.captionDisplay?.render(this.captionTrack.cues, this.captionTrack);
+        this.updateCaptionButtons();
+    }
+    
+    setupCaptions() {
+        this.captionDisplay = new CaptionDisplay({
+            enabled: this.options.captions,
+            onSeek: (time) => this.seekTo(time * 1000)
+        });
+        this.captionDisplay.render(this.captionTrack.cues, this.captionTrack);
+        this.updateCaptionButtons();
+    }
+    
+    toggleCaptions() {
+        if (!this.captionDisplay || this.captionTrack.cues.length === 0) return;
+        
+        this.captionDisplay.setEnabled(!this.captionDisplay.enabled);
+        this.updateCaptionButtons();
+    }
+    
+    toggleTranscript() {
+        if (this.captionTrack.cues.length === 0) return;
+        this.captionDisplay?.toggleTranscript();
+        this.updateCaptionButtons();
+    }
+    
+    updateCaptionButtons() {
+        const captionsBtn = document.getElementById('captions-btn');
+        const transcriptBtn = document.getElementById('transcript-btn');
+        
+        // Narrations without a caption file (or with an empty one) have nothing to show
+        const hasCaptions = this.captionTrack.cues.length > 0;
+        if (!hasCaptions && this.captionDisplay?.isTranscriptOpen()) this.captionDisplay.toggleTranscript(false);
+        
+        [captionsBtn, transcriptBtn].forEach(button => {
+            if (!button) return;
+            button.disabled = !hasCaptions;
+            button.title = hasCaptions ? button.dataset.label : 'No captions for this narration yet';
+        });
+        
+        if (captionsBtn) {
+            const enabled = hasCaptions && !!this.captionDisplay?.enabled;
+            captionsBtn.style.opacity = enabled ? '1' : '0.4';
+            captionsBtn.setAttribute('aria-pressed', String(enabled));
+        }
+        if (transcriptBtn) {
+            transcriptBtn.style.opacity = hasCaptions ? '1' : '0.4';
+            transcriptBtn.setAttribute('aria-expanded', String(!!this.captionDisplay?.isTranscriptOpen()));
+        }
+    }
+    
     setupEventListeners() {
-        if (!this.audioElement) return;
+        const element = this.audioElement;
+        if (!element) return;
         
-        this.audioElement.addEventListener('timeupdate', () => {
+        // Every listener checks the element is still current, so a recording
+        // left behind by a language switch can't reset the controls
+        element.addEventListener('timeupdate', () => {
+            if (element !== this.audioElement) return;
             this.currentTime = this.audioElement.currentTime * 1000;
             this.updateProgressBar();
+            this.captionDisplay?.update(this.audioElement.currentTime);
+            this.updatePositionState();
             
-            if (this.options.visualizations) {
-                this.updateVisualizations();
+            if (this.isPlaying && Math.abs(this.audioElement.currentTime - this.lastProgressSave) >= PROGRESS_SAVE_INTERVAL) {
+                this.saveProgress();
             }
         });
         
-        this.audioElement.addEventListener('play', () => {
+        element.addEventListener('play', () => {
+            if (element !== this.audioElement) return;
             this.isPlaying = true;
+            this.listened = true;
+            this.hideResumePrompt();
+            this.setMediaPlaybackState('playing');
             this.resumeAudioContext();
+            this.startFollowing();
+            this.startAnalysis();
         });
         
-        this.audioElement.addEventListener('pause', () => {
+        element.addEventListener('pause', () => {
+            if (element !== this.audioElement) return;
             this.isPlaying = false;
+            this.stopFollowing();
+            this.stopAnalysis();
+            this.setMediaPlaybackState('paused');
+            this.saveProgress();
         });
         
-        this.audioElement.addEventListener('ended', () => {
+        element.addEventListener('ended', () => {
+            if (element !== this.audioElement) return;
             this.isPlaying = false;
             this.currentTime = 0;
+            this.stopFollowing();
+            this.stopAnalysis();
+            this.setMediaPlaybackState('none');
+            
+            // Finished - nothing left to resume
+            this.saveProgress({ time: 0 });
         });
     }
     
@@ -134,19 +356,48 @@ class AudioManager {
         controls.id = 'audio-controls';
         controls.innerHTML = `
             <div class="bg-black/80 backdrop-blur-lg border-2 border-cyan-400/60 rounded-3xl px-6 py-4 flex items-center gap-4 shadow-2xl shadow-cyan-400/20 holographic-card">
+                <div id="chapter-list" class="chapter-list" role="menu" style="display: none;"></div>
+                <div id="language-list" class="chapter-list language-list" role="menu" style="display: none;"></div>
+                <div id="resume-prompt" class="resume-prompt" role="dialog" aria-label="Resume narration" style="display: none;">
+                    <span class="resume-prompt-text" dir="auto"></span>
+                    <button id="resume-btn" class="resume-prompt-action">Resume</button>
+                    <button id="restart-btn" class="text-gray-400 hover:text-cyan-300 transition-colors text-sm" title="Forget this position and start from the beginning">Start over</button>
+                </div>
+                <button id="prev-chapter-btn" class="text-gray-200 hover:text-cyan-300 transition-colors text-lg" title="Previous chapter">
+                    ⏮
+                </button>
                 <button id="play-pause-btn" class="w-12 h-12 rounded-full bg-gradient-to-r from-cyan-400 to-purple-500 flex items-center justify-center text-white font-bold hover:scale-110 transition-all duration-300 shadow-lg">
                     ▶
                 </button>
+                <button id="next-chapter-btn" class="text-gray-200 hover:text-cyan-300 transition-colors text-lg" title="Next chapter">
+                    ⏭
+                </button>
                 <div class="flex items-center gap-3 min-w-[150px]">
-                    <span class="text-sm text-cyan-300 font-mono w-10 font-bold">0:00</span>
-                    <div class="w-24 h-2 bg-gray-800/80 rounded-full cursor-pointer border border-cyan-400/30" id="progress-bar">
+                    <span id="current-time" class="text-sm text-cyan-300 font-mono w-10 font-bold">0:00</span>
+                    <div class="chapter-progress relative h-2 bg-gray-800/80 rounded-full cursor-pointer border border-cyan-400/30" id="progress-bar">
                         <div class="h-full bg-gradient-to-r from-cyan-400 to-purple-400 rounded-full transition-all" id="progress-fill" style="width: 0%"></div>
+                        <div class="chapter-tooltip" dir="auto" style="display: none;"></div>
                     </div>
-                    <span class="text-sm text-cyan-300 font-mono w-10 font-bold">2:02</span>
+                    <span id="duration-time" class="text-sm text-cyan-300 font-mono w-10 font-bold">0:00</span>
                 </div>
-                <button id="language-btn" class="text-sm text-gray-200 hover:text-cyan-300 transition-colors bg-purple-600/30 px-3 py-2 rounded-xl border border-purple-400/40 hover:border-cyan-400/60 font-bold">
+                <button id="chapters-btn" class="text-gray-200 hover:text-cyan-300 transition-colors text-lg" title="Chapters" aria-haspopup="menu" aria-expanded="false">
+                    ☰
+                </button>
+                <button id="language-btn" class="text-sm text-gray-200 hover:text-cyan-300 transition-colors bg-purple-600/30 px-3 py-2 rounded-xl border border-purple-400/40 hover:border-cyan-400/60 font-bold" title="Narration language" aria-haspopup="menu" aria-expanded="false">
                     EN
                 </button>
+                <button id="speed-btn" class="text-sm text-gray-200 hover:text-cyan-300 transition-colors font-mono font-bold" style="min-width: 3.5rem;" title="Playback speed (< and > keys)">
+                    1x
+                </button>
+                <button id="captions-btn" class="text-sm text-gray-200 hover:text-cyan-300 transition-colors font-bold" title="Captions" data-label="Captions">
+                    CC
+                </button>
+                <button id="transcript-btn" class="text-lg hover:scale-110 transition-transform" title="Transcript" data-label="Transcript" aria-controls="transcript-panel" aria-expanded="false">
+                    📜
+                </button>
+                <button id="follow-btn" class="text-lg hover:scale-110 transition-transform" title="Follow narration">
+                    🎯
+                </button>
                 <button id="volume-btn" class="text-gray-200 hover:text-cyan-300 transition-colors text-lg hover:scale-110 transition-transform">
                     🔊
                 </button>
@@ -159,6 +410,9 @@ class AudioManager {
         document.body.appendChild(controls);
         this.bindControlEvents();
         this.setupControlsAutoHide();
+        this.renderChapters();
+        this.renderLanguages();
+        this.updateProgressBar();
     }
     
     bindControlEvents() {
@@ -166,23 +420,92 @@ class AudioManager {
         const progressBar = document.getElementById('progress-bar');
         const languageBtn = document.getElementById('language-btn');
         const volumeBtn = document.getElementById('volume-btn');
+        const followBtn = document.getElementById('follow-btn');
         const minimizeBtn = document.getElementById('minimize-controls');
+        const prevChapterBtn = document.getElementById('prev-chapter-btn');
+        const nextChapterBtn = document.getElementById('next-chapter-btn');
+        const chaptersBtn = document.getElementById('chapters-btn');
+        const chapterList = document.getElementById('chapter-list');
+        const languageList = document.getElementById('language-list');
         
         playPauseBtn?.addEventListener('click', () => this.togglePlayback());
         
         progressBar?.addEventListener('click', (e) => {
-            const rect = e.target.getBoundingClientRect();
+            // Measure the bar itself - the click may land on the fill or a chapter tick
+            const rect = progressBar.getBoundingClientRect();
             const percent = (e.clientX - rect.left) / rect.width;
-            this.seekTo(percent * this.duration);
+            this.seekTo(percent * this.getDuration());
         });
         
-        languageBtn?.addEventListener('click', () => {
-            const newLang = this.currentLanguage === 'english' ? 'hebrew' : 'english';
-            this.switchLanguage(newLang);
+        progressBar?.addEventListener('mousemove', (e) => this.showChapterTooltip(e));
+        progressBar?.addEventListener('mouseleave', () => this.hideChapterTooltip());
+        
+        prevChapterBtn?.addEventListener('click', () => this.previousChapter());
+        nextChapterBtn?.addEventListener('click', () => this.nextChapter());
+        
+        chaptersBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleChapterList();
+        });
+        
+        chapterList?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-section]');
+            if (!item) return;
+            
+            this.toggleChapterList(false);
+            this.goToChapter(item.dataset.section);
+        });
+        
+        languageBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleLanguageList();
+        });
+        
+        languageList?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-language]');
+            if (!item) return;
+            
+            this.toggleLanguageList(false);
+            this.switchLanguage(item.dataset.language);
+        });
+        
+        // Close the menus on outside clicks and Escape
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#chapter-list')) this.toggleChapterList(false);
+            if (!e.target.closest('#language-list')) this.toggleLanguageList(false);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            this.toggleChapterList(false);
+            this.toggleLanguageList(false);
         });
         
         volumeBtn?.addEventListener('click', () => this.toggleMute());
         
+        followBtn?.addEventListener('click', () => this.setFollowMode(!this.followMode));
+        
+        // Click for faster, shift-click for slower
+        document.getElementById('speed-btn')?.addEventListener('click', (e) => this.stepPlaybackRate(e.shiftKey ? -1 : 1, true));
+        this.updateSpeedButton();
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+            
+            if (e.key === '>') this.stepPlaybackRate(1);
+            if (e.key === '<') this.stepPlaybackRate(-1);
+        });
+        
+        document.getElementById('resume-btn')?.addEventListener('click', () => this.resume());
+        document.getElementById('restart-btn')?.addEventListener('click', () => {
+            this.clearSavedPosition();
+            this.hideResumePrompt();
+        });
+        
+        document.getElementById('captions-btn')?.addEventListener('click', () => this.toggleCaptions());
+        document.getElementById('transcript-btn')?.addEventListener('click', () => this.toggleTranscript());
+        this.updateFollowButton();
+        this.updateVolumeButton();
+        
         minimizeBtn?.addEventListener('click', () => this.toggleControlsVisibility());
     }
     
@@ -247,19 +570,10 @@ class AudioManager {
                 this.audioElement.pause();
                 document.getElementById('play-pause-btn').textContent = '▶';
             } else {
-                // Ensure audio context is resumed
+                // Ensure audio context is resumed; demo speech playing now
+                // keeps going with the narration ducked underneath
                 await this.resumeAudioContext();
                 
-                // Stop any demo audio if playing (check multiple references)
-                if (window.demoAudioManager && window.demoAudioManager.isPlaying()) {
-                    console.log('🔵 Main AudioManager: Stopping demo audio to start main');
-                    console.log('Stopping demo audio (demoAudioManager) to start main audio');
-                    window.demoAudioManager.stop();
-                } else if (window.elevenLabsDemo && window.elevenLabsDemo.isPlaying()) {
-                    console.log('Stopping demo audio (elevenLabsDemo) to start main audio');
-                    window.elevenLabsDemo.stop();
-                }
-                
                 await this.audioElement.play();
                 document.getElementById('play-pause-btn').textContent = '⏸';
             }
@@ -284,61 +598,439 @@ class AudioManager {
         this.audioElement.currentTime = Math.max(0, Math.min(timeInMs / 1000, this.audioElement.duration));
     }
     
-    async switchLanguage(language) {
-        if (!this.audioFiles[language]) return;
+    // Skip forward (positive) or back (negative) by seconds
+    seekBy(seconds) {
+        if (!this.audioElement) return;
+        
+        this.seekTo((this.audioElement.currentTime + seconds) * 1000);
+    }
+    
+    /**
+     * Jump to the start of a timeline section, returns false if this
+     * language's timeline has no such section
+     */
+    seekToSection(sectionId) {
+        const section = this.timeline?.getSection(sectionId);
+        if (!section) return false;
+        
+        this.seekTo(section.startTime * 1000);
+        return true;
+    }
+    
+    /**
+     * Switch narration to another registered language by code or alias
+     * ('he', 'he-IL', 'hebrew'), keeping the listener at the same point of
+     * the same section; the choice is remembered across visits
+     */
+    async switchLanguage(codeOrAlias) {
+        const language = this.languages.get(codeOrAlias);
+        if (!language) {
+            console.warn(`No narration registered for language "${codeOrAlias}"`);
+            return false;
+        }
+        
+        this.settings.language = language.code;
+        this.saveSettings();
+        if (language.code === this.currentLanguage) return true;
         
         const wasPlaying = this.isPlaying;
         const currentTime = this.currentTime;
+        const previousTimeline = this.timeline;
         
-        if (wasPlaying) {
-            this.audioElement.pause();
-        }
+        // The old track keeps its own resume position
+        if (this.listened) this.saveProgress();
+        this.hideResumePrompt();
+        this.audioElement?.pause();
+        this.isPlaying = false;
+        this.stopFollowing();
         
-        this.currentLanguage = language;
+        this.currentLanguage = language.code;
+        this.renderLanguages();
         await this.loadAudio();
         
+        // Ignore a load the user already switched away from, or one that failed
+        if (language.code !== this.currentLanguage) return true;
+        if (!Number.isFinite(this.audioElement.duration)) return false;
+        
+        // The new track brings its own volume and mute state
+        this.restoreTrackState();
+        this.updateVolumeButton();
+        
+        this.seekTo(this.translateTime(currentTime, previousTimeline));
+        this.currentTime = this.audioElement.currentTime * 1000;
+        this.updateProgressBar();
+        this.captionDisplay?.update(this.audioElement.currentTime);
+        
         if (wasPlaying) {
-            this.seekTo(currentTime);
             await this.audioElement.play();
+        } else {
+            // Offer the new track's own saved position over the carried-over one
+            this.showResumePrompt();
+        }
+        return true;
+    }
+    
+    /**
+     * Carry a position over from another recording's timeline: same section,
+     * same relative point within it. When both recordings split the section
+     * into the same cues the point is matched cue by cue, since the two
+     * readings rarely keep the same pace throughout.
+     */
+    translateTime(timeInMs, fromTimeline) {
+        const time = timeInMs / 1000;
+        const section = fromTimeline?.sectionAt(time);
+        const target = section && this.timeline?.getSection(section.id);
+        if (!target) return timeInMs;
+        
+        if (section.cues.length > 0 && section.cues.length === target.cues.length) {
+            return this.timeline.timeAtProgress(target, fromTimeline.progressAt(section, time)) * 1000;
         }
         
-        // Update language button
+        const progress = (time - section.startTime) / (section.endTime - section.startTime);
+        return (target.startTime + progress * (target.endTime - target.startTime)) * 1000;
+    }
+    
+    /**
+     * The language button label and the picker menu, built from the registry
+     */
+    renderLanguages() {
         const languageBtn = document.getElementById('language-btn');
-        if (languageBtn) {
-            languageBtn.textContent = language === 'english' ? 'EN' : 'עב';
+        const languageList = document.getElementById('language-list');
+        const current = this.getLanguage();
+        
+        if (languageBtn && current) {
+            languageBtn.textContent = current.shortLabel;
+            languageBtn.title = `Narration language: ${current.label}`;
         }
+        if (!languageList) return;
+        
+        languageList.innerHTML = '';
+        this.languages.list().forEach(language => {
+            const item = document.createElement('button');
+            item.className = 'chapter-list-item';
+            item.dataset.language = language.code;
+            item.lang = language.code;
+            item.dir = language.direction;
+            item.setAttribute('role', 'menuitemradio');
+            item.setAttribute('aria-checked', String(language.code === this.currentLanguage));
+            item.classList.toggle('active', language.code === this.currentLanguage);
+            item.innerHTML = `<span class="chapter-time"></span><span></span>`;
+            item.firstChild.textContent = language.shortLabel;
+            item.lastChild.textContent = language.label;
+            languageList.appendChild(item);
+        });
+        
+        // A single narration leaves nothing to pick
+        if (languageBtn) languageBtn.style.display = this.languages.list().length > 1 ? '' : 'none';
+    }
+    
+    toggleLanguageList(open) {
+        const languageList = document.getElementById('language-list');
+        const languageBtn = document.getElementById('language-btn');
+        if (!languageList) return;
+        
+        const show = open ?? languageList.style.display === 'none';
+        if (show) this.toggleChapterList(false);
+        
+        languageList.style.display = show ? 'block' : 'none';
+        languageBtn?.setAttribute('aria-expanded', String(show));
     }
     
     toggleMute() {
         if (!this.gainNode) return;
         
-        const currentVolume = this.gainNode.gain.value;
-        if (currentVolume > 0) {
-            this.gainNode.gain.value = 0;
-            document.getElementById('volume-btn').textContent = '🔇';
-        } else {
-            this.gainNode.gain.value = this.options.volume;
-            document.getElementById('volume-btn').textContent = '🔊';
+        this.muted = !this.muted;
+        this.gainNode.gain.value = this.muted ? 0 : this.options.volume;
+        this.updateVolumeButton();
+        this.saveProgress();
+    }
+    
+    updateVolumeButton() {
+        const volumeBtn = document.getElementById('volume-btn');
+        if (volumeBtn) {
+            volumeBtn.textContent = this.muted ? '🔇' : '🔊';
         }
     }
     
+    /**
+     * Apply the volume and mute state saved with the current track
+     */
+    restoreTrackState() {
+        const saved = this.getSavedProgress();
+        if (!saved) return;
+        
+        if (Number.isFinite(saved.volume)) {
+            this.options.volume = Math.max(0, Math.min(1, saved.volume));
+        }
+        this.muted = !!saved.muted;
+        if (this.gainNode) {
+            this.gainNode.gain.value = this.muted ? 0 : this.options.volume;
+        }
+    }
+    
+    /**
+     * Keep the position safe when the visitor leaves, and offer to pick up
+     * from the saved one
+     */
+    setupResume() {
+        const save = () => {
+            if (this.listened) this.saveProgress();
+        };
+        window.addEventListener('pagehide', save);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') save();
+        });
+        
+        this.showResumePrompt();
+    }
+    
+    /**
+     * Saved position (in seconds) for the current track, or null when there
+     * is nothing worth resuming
+     */
+    getResumeTime() {
+        const time = this.getSavedProgress()?.time;
+        const duration = this.getDuration() / 1000;
+        if (!Number.isFinite(time) || time < RESUME_MIN_TIME) return null;
+        if (duration > 0 && time > duration - RESUME_END_MARGIN) return null;
+        return time;
+    }
+    
+    showResumePrompt() {
+        const prompt = document.getElementById('resume-prompt');
+        const time = this.getResumeTime();
+        if (!prompt || time === null || this.isPlaying) return;
+        
+        const section = this.timeline?.sectionAt(time);
+        prompt.querySelector('.resume-prompt-text').textContent = section
+            ? `Resume from ${this.formatTime(time)} — ${section.title}?`
+            : `Resume from ${this.formatTime(time)}?`;
+        prompt.style.display = 'flex';
+    }
+    
+    hideResumePrompt() {
+        const prompt = document.getElementById('resume-prompt');
+        if (prompt) prompt.style.display = 'none';
+    }
+    
+    /**
+     * Continue from the saved position of the current track
+     */
+    async resume() {
+        const time = this.getResumeTime();
+        this.hideResumePrompt();
+        if (time === null) return;
+        
+        this.seekTo(time * 1000);
+        this.currentTime = time * 1000;
+        this.updateProgressBar();
+        
+        if (!this.isPlaying) await this.togglePlayback();
+    }
+    
+    /**
+     * Remember where the current track is, along with its volume and mute
+     * state; pass { time } to record a specific position instead. The
+     * language to return to is kept in the settings, not here.
+     */
+    saveProgress({ time = this.audioElement?.currentTime } = {}) {
+        const language = this.getLanguage();
+        if (!language) return;
+        
+        const progress = this.readProgress();
+        progress[language.audio] = {
+            ...progress[language.audio],
+            volume: this.options.volume,
+            muted: this.muted,
+            savedAt: Date.now()
+        };
+        if (Number.isFinite(time) && (this.listened || time === 0)) {
+            progress[language.audio].time = time;
+            this.lastProgressSave = time;
+        }
+        
+        this.writeProgress(progress);
+    }
+    
+    getSavedProgress() {
+        const audio = this.getLanguage()?.audio;
+        return (audio && this.readProgress()[audio]) || null;
+    }
+    
+    /**
+     * Forget the saved position - of the current track, or of every track
+     * with { all: true }; volume and mute stay remembered
+     */
+    clearSavedPosition({ all = false } = {}) {
+        const progress = this.readProgress();
+        const audio = this.getLanguage()?.audio;
+        
+        Object.keys(progress).forEach(key => {
+            if (all || key === audio) delete progress[key].time;
+        });
+        
+        this.writeProgress(progress);
+        this.hideResumePrompt();
+    }
+    
     updateProgressBar() {
+        const duration = this.getDuration();
         const progressFill = document.getElementById('progress-fill');
-        if (progressFill && this.duration > 0) {
-            const percent = (this.currentTime / this.duration) * 100;
+        if (progressFill && duration > 0) {
+            const percent = (this.currentTime / duration) * 100;
             progressFill.style.width = `${percent}%`;
         }
+        this.updateCurrentSection();
         this.updateTimeDisplay();
     }
     
-    updateTimeDisplay() {
-        const timeSpans = document.querySelectorAll('#audio-controls span');
-        if (timeSpans.length >= 2) {
-            timeSpans[0].textContent = this.formatTime(this.currentTime / 1000);
-            timeSpans[1].textContent = this.formatTime(this.duration / 1000);
+    // Duration in ms, from the timeline until the audio metadata is known
+    getDuration() {
+        return this.duration || (this.timeline?.duration || 0) * 1000;
+    }
+    
+    updateCurrentSection() {
+        const section = this.timeline?.sectionAt(this.currentTime / 1000) || null;
+        if (section === this.currentSection) return;
+        
+        this.currentSection = section;
+        
+        document.querySelectorAll('#chapter-list [data-section]').forEach(item => {
+            item.classList.toggle('active', item.dataset.section === section?.id);
+        });
+        this.updateMediaMetadata();
+    }
+    
+    /**
+     * Chapter ticks on the progress bar and the chapter list, both built
+     * from the current timeline
+     */
+    renderChapters() {
+        const progressBar = document.getElementById('progress-bar');
+        const chapterList = document.getElementById('chapter-list');
+        if (!progressBar || !chapterList) return;
+        
+        progressBar.querySelectorAll('.chapter-tick').forEach(tick => tick.remove());
+        chapterList.innerHTML = '';
+        
+        const duration = this.getDuration() / 1000;
+        const hasChapters = this.sections.length > 0 && duration > 0;
+        ['prev-chapter-btn', 'next-chapter-btn', 'chapters-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = hasChapters ? '' : 'none';
+        });
+        if (!hasChapters) return;
+        
+        this.sections.forEach((section, index) => {
+            // The first chapter starts at the left edge, no tick needed
+            if (index > 0) {
+                const tick = document.createElement('div');
+                tick.className = 'chapter-tick';
+                tick.style.left = `${(section.startTime / duration) * 100}%`;
+                progressBar.appendChild(tick);
+            }
+            
+            const item = document.createElement('button');
+            item.className = 'chapter-list-item';
+            item.dataset.section = section.id;
+            item.setAttribute('role', 'menuitem');
+            item.innerHTML = `<span class="chapter-time">${this.formatTime(section.startTime)}</span><span></span>`;
+            item.lastChild.textContent = section.title;
+            chapterList.appendChild(item);
+        });
+        
+        chapterList.dir = this.getLanguage()?.direction || 'ltr';
+        this.currentSection = null;
+        this.updateCurrentSection();
+        this.updateMediaMetadata();
+    }
+    
+    showChapterTooltip(e) {
+        const progressBar = document.getElementById('progress-bar');
+        const tooltip = progressBar?.querySelector('.chapter-tooltip');
+        if (!tooltip || !this.timeline) return;
+        
+        const rect = progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const time = percent * this.getDuration() / 1000;
+        const section = this.timeline.sectionAt(time);
+        
+        tooltip.textContent = section ? `${section.title} • ${this.formatTime(time)}` : this.formatTime(time);
+        tooltip.style.left = `${percent * 100}%`;
+        tooltip.style.display = 'block';
+    }
+    
+    hideChapterTooltip() {
+        const tooltip = document.querySelector('#progress-bar .chapter-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+    }
+    
+    toggleChapterList(open) {
+        const chapterList = document.getElementById('chapter-list');
+        const chaptersBtn = document.getElementById('chapters-btn');
+        if (!chapterList) return;
+        
+        const show = open ?? chapterList.style.display === 'none';
+        if (show && this.sections.length === 0) return;
+        if (show) this.toggleLanguageList(false);
+        
+        chapterList.style.display = show ? 'block' : 'none';
+        chaptersBtn?.setAttribute('aria-expanded', String(show));
+    }
+    
+    previousChapter() {
+        const time = this.currentTime / 1000;
+        const current = this.timeline?.sectionAt(time);
+        
+        // Like a CD player: back to the start of this chapter, or the one before if already there
+        const target = current && time - current.startTime > 3
+            ? current
+            : [...this.sections].reverse().find(section => section.startTime < (current?.startTime ?? time)) || current;
+        
+        if (target) this.goToChapter(target.id);
+    }
+    
+    nextChapter() {
+        const time = this.currentTime / 1000;
+        const target = this.sections.find(section => section.startTime > time);
+        if (target) this.goToChapter(target.id);
+    }
+    
+    /**
+     * Seek to a chapter and bring its section on screen together
+     */
+    goToChapter(sectionId) {
+        const section = this.timeline?.getSection(sectionId);
+        if (!section || !this.seekToSection(sectionId)) return;
+        
+        this.currentTime = section.startTime * 1000;
+        this.updateProgressBar();
+        
+        const target = this.getScrollForTime(section.startTime);
+        if (target === null) return;
+        
+        // Keep scroll sync from re-seeking while the page travels
+        this.disableScrollSync();
+        if (window.gsap) {
+            gsap.to(window, {
+                duration: 1,
+                scrollTo: { y: target },
+                ease: 'power2.inOut',
+                onComplete: () => this.enableScrollSync()
+            });
+        } else {
+            window.scrollTo({ top: target, behavior: 'smooth' });
+            setTimeout(() => this.enableScrollSync(), 1000);
         }
     }
     
+    updateTimeDisplay() {
+        const currentTime = document.getElementById('current-time');
+        const durationTime = document.getElementById('duration-time');
+        if (currentTime) currentTime.textContent = this.formatTime(this.currentTime / 1000);
+        if (durationTime) durationTime.textContent = this.formatTime(this.getDuration() / 1000);
+    }
+    
     formatTime(seconds) {
         const mins = Math.floor(seconds / 60);
         const secs = Math.floor(seconds % 60);
@@ -348,41 +1040,307 @@ class AudioManager {
     setupScrollSync() {
         if (!this.options.scrollSync) return;
         
-        let isScrolling = false;
+        // Track which narrated sections are on screen so scrolling only measures those
+        if ('IntersectionObserver' in window) {
+            this.sectionObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.visibleSections.add(entry.target.id);
+                    } else {
+                        this.visibleSections.delete(entry.target.id);
+                    }
+                });
+            });
+            this.observeSections();
+        }
+        
+        let frameRequested = false;
         
         window.addEventListener('scroll', () => {
-            if (this.isPlaying || isScrolling || !this.scrollSyncEnabled) return;
-            
-            isScrolling = true;
+            if (this.isPlaying || frameRequested || !this.scrollSyncEnabled) return;
             
-            // Calculate scroll progress
-            const scrollTop = window.pageYOffset;
+            // Measure once per frame, after the scroll position has settled
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                
+                const targetTime = this.getTimeForScroll();
+                if (targetTime !== null) this.seekTo(targetTime);
+            });
+        }, { passive: true });
+        
+        // Any deliberate scroll gesture hands the page back to the reader
+        const interrupt = () => this.interruptFollow();
+        window.addEventListener('wheel', interrupt, { passive: true });
+        window.addEventListener('touchmove', interrupt, { passive: true });
+        window.addEventListener('keydown', (e) => {
+            if (SCROLL_KEYS.includes(e.key) && !e.target.closest?.('input, textarea, select, [contenteditable]')) {
+                interrupt();
+            }
+        });
+        window.addEventListener('mousedown', (e) => {
+            // A press beyond the document width is on the scrollbar
+            if (e.clientX >= document.documentElement.clientWidth) interrupt();
+        });
+    }
+    
+    observeSections() {
+        if (!this.sectionObserver) return;
+        
+        this.sectionObserver.disconnect();
+        this.visibleSections.clear();
+        this.sections.forEach(section => {
+            const element = document.getElementById(section.id);
+            if (element) this.sectionObserver.observe(element);
+        });
+    }
+    
+    /**
+     * The timeline section whose element crosses the middle of the viewport
+     */
+    getSectionInView() {
+        const middle = window.innerHeight / 2;
+        const candidates = this.sectionObserver
+            ? this.sections.filter(section => this.visibleSections.has(section.id))
+            : this.sections;
+        
+        return candidates.find(section => {
+            const rect = document.getElementById(section.id)?.getBoundingClientRect();
+            return rect && rect.top <= middle && rect.bottom > middle;
+        }) || null;
+    }
+    
+    /**
+     * Narration time in ms for the current scroll position: how far the middle
+     * of the viewport is through the section on screen, mapped onto its cues.
+     * Null between narrated sections.
+     */
+    getTimeForScroll() {
+        if (!this.timeline) {
+            // No timeline - fall back to overall scroll percentage
             const documentHeight = document.documentElement.scrollHeight - window.innerHeight;
-            const scrollPercent = scrollTop / documentHeight;
+            return documentHeight > 0 ? (window.pageYOffset / documentHeight) * this.getDuration() : null;
+        }
+        
+        const section = this.getSectionInView();
+        if (!section) return null;
+        
+        const rect = document.getElementById(section.id).getBoundingClientRect();
+        const progress = (window.innerHeight / 2 - rect.top) / rect.height;
+        return this.timeline.timeAtProgress(section, progress) * 1000;
+    }
+    
+    /**
+     * Scroll position that puts the narrated point of its section in the
+     * middle of the viewport, or null when the section has no element
+     */
+    getScrollForTime(timeInSeconds) {
+        const section = this.timeline?.sectionAt(timeInSeconds);
+        const element = section && document.getElementById(section.id);
+        if (!element) return null;
+        
+        const top = element.getBoundingClientRect().top + window.pageYOffset;
+        const progress = this.timeline.progressAt(section, timeInSeconds);
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        
+        return Math.max(0, Math.min(maxScroll, top + progress * element.offsetHeight - window.innerHeight / 2));
+    }
+    
+    /**
+     * Follow mode: while narration plays, ease the page toward the point
+     * being narrated until the reader scrolls for themselves
+     */
+    startFollowing() {
+        this.stopFollowing();
+        
+        const step = () => {
+            this.followFrame = requestAnimationFrame(step);
+            if (!this.followMode || !this.scrollSyncEnabled || !this.audioElement) return;
             
-            // Sync audio to scroll position
-            const targetTime = scrollPercent * this.duration;
-            this.seekTo(targetTime);
+            const target = this.getScrollForTime(this.audioElement.currentTime);
+            if (target === null) return;
             
-            setTimeout(() => {
-                isScrolling = false;
-            }, 100);
+            const distance = target - window.pageYOffset;
+            if (Math.abs(distance) < 1) return;
+            
+            // 'instant' overrides the stylesheet's smooth scrolling - the easing happens here
+            window.scrollTo({ top: window.pageYOffset + distance * FOLLOW_EASING, behavior: 'instant' });
+        };
+        
+        this.followFrame = requestAnimationFrame(step);
+    }
+    
+    stopFollowing() {
+        if (this.followFrame) {
+            cancelAnimationFrame(this.followFrame);
+            this.followFrame = null;
+        }
+    }
+    
+    interruptFollow() {
+        if (this.isPlaying && this.followMode) {
+            this.setFollowMode(false);
+        }
+    }
+    
+    setFollowMode(enabled) {
+        this.followMode = enabled;
+        this.updateFollowButton();
+        console.log(`Follow mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    updateFollowButton() {
+        const followBtn = document.getElementById('follow-btn');
+        if (!followBtn) return;
+        
+        followBtn.style.opacity = this.followMode ? '1' : '0.4';
+        followBtn.title = this.followMode ? 'Following narration - scroll to take over' : 'Follow narration';
+        followBtn.setAttribute('aria-pressed', String(this.followMode));
+    }
+    
+    /**
+     * Let OS media keys, lock screens and headset buttons drive the
+     * narration; previous/next track step between chapters
+     */
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        
+        const handlers = {
+            play: () => {
+                if (!this.isPlaying) this.togglePlayback();
+            },
+            pause: () => {
+                if (this.isPlaying) this.togglePlayback();
+            },
+            stop: () => this.stop(),
+            seekbackward: (details) => this.seekBy(-(details.seekOffset || MEDIA_SEEK_OFFSET)),
+            seekforward: (details) => this.seekBy(details.seekOffset || MEDIA_SEEK_OFFSET),
+            seekto: (details) => this.seekTo(details.seekTime * 1000),
+            previoustrack: () => this.previousChapter(),
+            nexttrack: () => this.nextChapter()
+        };
+        
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Older browsers reject actions they don't know
+                console.warn(`Media Session action "${action}" not supported`);
+            }
+        });
+        
+        this.updateMediaMetadata();
+    }
+    
+    /**
+     * Title from the section being narrated, the chapter position as artist
+     */
+    updateMediaMetadata() {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+        
+        const language = this.getLanguage();
+        const section = this.currentSection;
+        const index = this.sections.indexOf(section);
+        const chapter = index === -1 ? null : `Chapter ${index + 1} of ${this.sections.length}`;
+        
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: section?.title || MEDIA_SESSION_ALBUM,
+            artist: [chapter, language?.label].filter(Boolean).join(' • '),
+            album: MEDIA_SESSION_ALBUM,
+            artwork: MEDIA_SESSION_ARTWORK,
+            // Chapter list for browsers that show one, ignored elsewhere
+            chapterInfo: this.sections.map(item => ({
+                title: item.title,
+                startTime: item.startTime,
+                artwork: MEDIA_SESSION_ARTWORK
+            }))
+        });
+    }
+    
+    setMediaPlaybackState(state) {
+        if (!('mediaSession' in navigator)) return;
+        
+        navigator.mediaSession.playbackState = state;
+        this.updatePositionState();
+    }
+    
+    updatePositionState() {
+        if (!navigator.mediaSession?.setPositionState || !this.audioElement) return;
+        
+        const duration = this.audioElement.duration;
+        if (!Number.isFinite(duration) || duration <= 0) return;
+        
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: this.audioElement.playbackRate || 1,
+                position: Math.max(0, Math.min(this.audioElement.currentTime, duration))
+            });
+        } catch (error) {
+            console.warn('Could not update media position state:', error);
+        }
+    }
+    
+    /**
+     * Receive a frame of band energies while the narration plays:
+     * { time, bass, mid, treble, rms, beat, frequencies, waveform }, levels
+     * 0-1. A silent frame follows when playback stops.
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.subscribers.add(listener);
+        if (this.isPlaying) this.startAnalysis();
+        return () => this.subscribers.delete(listener);
+    }
+    
+    publish(frame) {
+        this.subscribers.forEach(listener => {
+            try {
+                listener(frame);
+            } catch (error) {
+                console.error('Audio frame subscriber failed:', error);
+            }
         });
     }
     
-    updateVisualizations() {
-        if (!this.analyzer) return;
+    startAnalysis() {
+        if (this.analysisFrame || !this.bandAnalyzer) return;
         
-        const bufferLength = this.analyzer.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        this.analyzer.getByteFrequencyData(dataArray);
+        const step = () => {
+            if (this.subscribers.size === 0) {
+                this.analysisFrame = null;
+                return;
+            }
+            this.analysisFrame = requestAnimationFrame(step);
+            this.publish(this.bandAnalyzer.analyze());
+        };
         
-        // Update existing visualizers
-        this.updateWaveformVisualizer(dataArray);
-        this.updateSpectrumAnalyzer(dataArray);
+        this.analysisFrame = requestAnimationFrame(step);
     }
     
-    updateWaveformVisualizer(dataArray) {
+    stopAnalysis() {
+        if (this.analysisFrame) {
+            cancelAnimationFrame(this.analysisFrame);
+            this.analysisFrame = null;
+        }
+        
+        this.bandAnalyzer?.reset();
+        this.publish(BandAnalyzer.silence(performance.now() / 1000));
+    }
+    
+    updateVisualizations(frame) {
+        const frequencies = frame.frequencies || new Uint8Array(this.analyzer?.frequencyBinCount || 0);
+        
+        // The waveform is drawn from time-domain samples, the spectrum from frequency bins
+        this.updateWaveformVisualizer(frame.waveform);
+        this.updateSpectrumAnalyzer(frequencies);
+    }
+    
+    /**
+     * Trace the time-domain samples (0-255, 128 is silence); without any,
+     * e.g. in the silent frame published on pause, draw a flat line
+     */
+    updateWaveformVisualizer(waveform) {
         const canvas = document.getElementById('waveform-canvas');
         if (!canvas) return;
         
@@ -393,20 +1351,27 @@ class AudioManager {
         ctx.clearRect(0, 0, width, height);
         
         // Create gradient
-        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        const gradient = ctx.createLinearGradient(0, 0, width, 0);
         gradient.addColorStop(0, '#8b5cf6');
         gradient.addColorStop(1, '#ec4899');
         
-        ctx.fillStyle = gradient;
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
         
-        const barWidth = width / dataArray.length;
-        let x = 0;
-        
-        for (let i = 0; i < dataArray.length; i++) {
-            const barHeight = (dataArray[i] / 255) * height;
-            ctx.fillRect(x, height - barHeight, barWidth, barHeight);
-            x += barWidth;
+        if (!waveform?.length) {
+            ctx.moveTo(0, height / 2);
+            ctx.lineTo(width, height / 2);
+        } else {
+            const step = width / Math.max(1, waveform.length - 1);
+            for (let i = 0; i < waveform.length; i++) {
+                const y = (waveform[i] / 255) * height;
+                if (i === 0) ctx.moveTo(0, y);
+                else ctx.lineTo(i * step, y);
+            }
         }
+        
+        ctx.stroke();
     }
     
     updateSpectrumAnalyzer(dataArray) {
@@ -443,13 +1408,7 @@ class AudioManager {
     }
     
     async resumeAudioContext() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            try {
-                await this.audioContext.resume();
-            } catch (error) {
-                console.error('Failed to resume audio context:', error);
-            }
-        }
+        await audioEngine.resume();
     }
     
     // Public API
@@ -472,22 +1431,120 @@ class AudioManager {
         }
     }
     
+    /**
+     * Set the narration speed (0.5x-2x) without changing the voice's pitch;
+     * the rate is remembered across sessions and language switches
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = this.clampPlaybackRate(rate);
+        this.applyPlaybackRate();
+        this.updateSpeedButton();
+        
+        this.settings.playbackRate = this.playbackRate;
+        this.saveSettings();
+        return this.playbackRate;
+    }
+    
+    /**
+     * Move to the next faster or slower preset speed, optionally wrapping around
+     */
+    stepPlaybackRate(direction, wrap = false) {
+        const index = direction > 0
+            ? PLAYBACK_RATES.findIndex(rate => rate > this.playbackRate)
+            : PLAYBACK_RATES.findLastIndex(rate => rate < this.playbackRate);
+        
+        if (index !== -1) {
+            this.setPlaybackRate(PLAYBACK_RATES[index]);
+        } else if (wrap) {
+            this.setPlaybackRate(direction > 0 ? PLAYBACK_RATES[0] : PLAYBACK_RATES.at(-1));
+        }
+    }
+    
+    clampPlaybackRate(rate) {
+        const value = Number(rate);
+        if (!Number.isFinite(value)) return 1;
+        return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, value));
+    }
+    
+    applyPlaybackRate() {
+        if (!this.audioElement) return;
+        
+        // Keep the pitch natural when sped up or slowed down
+        this.audioElement.preservesPitch = true;
+        this.audioElement.mozPreservesPitch = true;
+        this.audioElement.webkitPreservesPitch = true;
+        
+        // defaultPlaybackRate survives load(), playbackRate takes effect now
+        this.audioElement.defaultPlaybackRate = this.playbackRate;
+        this.audioElement.playbackRate = this.playbackRate;
+        this.updatePositionState();
+    }
+    
+    updateSpeedButton() {
+        const speedBtn = document.getElementById('speed-btn');
+        if (speedBtn) {
+            speedBtn.textContent = `${this.playbackRate}x`;
+        }
+    }
+    
+    readSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${SETTINGS_STORAGE_KEY}:`, error);
+            return null;
+        }
+    }
+    
+    readProgress() {
+        try {
+            const progress = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY) || '{}');
+            return progress && typeof progress === 'object' ? progress : {};
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${PROGRESS_STORAGE_KEY}:`, error);
+            return {};
+        }
+    }
+    
+    writeProgress(progress) {
+        try {
+            localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+        } catch (error) {
+            console.warn(`Could not persist ${PROGRESS_STORAGE_KEY}:`, error);
+        }
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn(`Could not persist ${SETTINGS_STORAGE_KEY}:`, error);
+        }
+    }
+    
     setVolume(volume) {
         this.options.volume = Math.max(0, Math.min(1, volume));
-        if (this.gainNode) {
+        if (this.gainNode && !this.muted) {
             this.gainNode.gain.value = this.options.volume;
         }
+        this.saveProgress();
     }
     
     destroy() {
+        this.stopFollowing();
+        this.stopAnalysis();
+        this.subscribers.clear();
+        this.sectionObserver?.disconnect();
+        this.captionDisplay?.destroy();
+        
         if (this.audioElement) {
             this.audioElement.pause();
             this.audioElement.src = '';
         }
         
-        if (this.audioContext) {
-            this.audioContext.close();
-        }
+        // The context is shared - only unplug this manager's nodes
+        this.source?.disconnect();
+        this.analyzer?.disconnect();
         
         // Remove controls
         const controls = document.querySelector('.audio-controls');
@@ -0,0 +1,93 @@
+/**
+ * Band Analyzer
+ * Reduces an AnalyserNode's spectrum to the few numbers the visuals react
+ * to: bass, mid and treble energy, RMS loudness and beat onsets. All levels
+ * are 0-1.
+ */
+
+// Band edges in Hz
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    treble: [4000, 16000]
+};
+
+// A beat is bass jumping well above its recent average, at most once per interval
+const ONSET_RATIO = 1.35;
+const ONSET_MIN_LEVEL = 0.12;
+const ONSET_MIN_INTERVAL = 0.25; // seconds
+const ONSET_HISTORY = 43; // frames, about 0.7s at 60fps
+
+class BandAnalyzer {
+    constructor(analyser) {
+        this.analyser = analyser;
+        this.frequencies = new Uint8Array(analyser.frequencyBinCount);
+        this.waveform = new Uint8Array(analyser.fftSize);
+
+        // Bin ranges for each band at this context's sample rate
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        this.ranges = Object.fromEntries(Object.entries(BANDS).map(([band, [low, high]]) => {
+            // Rounding both edges keeps neighbouring bands from sharing a bin
+            const start = Math.max(0, Math.round(low / binWidth));
+            const end = Math.min(this.frequencies.length, Math.max(start + 1, Math.round(high / binWidth)));
+            return [band, [start, end]];
+        }));
+
+        this.reset();
+    }
+
+    /**
+     * A frame with nothing playing, for subscribers to settle on
+     */
+    static silence(time = 0) {
+        return { time, bass: 0, mid: 0, treble: 0, rms: 0, beat: false, frequencies: null, waveform: null };
+    }
+
+    reset() {
+        this.bassHistory = [];
+        this.lastBeat = -Infinity;
+    }
+
+    /**
+     * Read the analyser once; call every animation frame
+     * @param {number} time - seconds, used to space beat onsets
+     */
+    analyze(time = performance.now() / 1000) {
+        this.analyser.getByteFrequencyData(this.frequencies);
+        this.analyser.getByteTimeDomainData(this.waveform);
+
+        const bands = {};
+        Object.entries(this.ranges).forEach(([band, [start, end]]) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += this.frequencies[i];
+            bands[band] = sum / ((end - start) * 255);
+        });
+
+        let squares = 0;
+        for (let i = 0; i < this.waveform.length; i++) {
+            const sample = (this.waveform[i] - 128) / 128;
+            squares += sample * sample;
+        }
+        const rms = Math.sqrt(squares / this.waveform.length);
+
+        return { time, ...bands, rms, beat: this.detectBeat(bands.bass, time), frequencies: this.frequencies, waveform: this.waveform };
+    }
+
+    detectBeat(bass, time) {
+        const average = this.bassHistory.length > 0
+            ? this.bassHistory.reduce((sum, value) => sum + value, 0) / this.bassHistory.length
+            : bass;
+
+        this.bassHistory.push(bass);
+        if (this.bassHistory.length > ONSET_HISTORY) this.bassHistory.shift();
+
+        const beat = bass > ONSET_MIN_LEVEL
+            && bass > average * ONSET_RATIO
+            && time - this.lastBeat >= ONSET_MIN_INTERVAL;
+        if (beat) this.lastBeat = time;
+        return beat;
+    }
+}
+
+// Export for module usage
+export default BandAnalyzer;
@@ -0,0 +1,148 @@
+/**
+ * Caption Display
+ * On-screen captions for the narration plus an expandable transcript panel;
+ * clicking a transcript line seeks to it
+ */
+
+import { findActiveCue } from './webvtt.js';
+
+class CaptionDisplay {
+    constructor(options = {}) {
+        this.onSeek = options.onSeek || null;
+        this.enabled = options.enabled ?? true;
+
+        this.cues = [];
+        this.activeCue = null;
+        this.lines = [];
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'caption-overlay';
+        this.overlay.setAttribute('aria-live', 'polite');
+        this.overlay.style.display = 'none';
+
+        this.panel = document.createElement('aside');
+        this.panel.className = 'transcript-panel holographic-card';
+        this.panel.id = 'transcript-panel';
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = `
+            <div class="transcript-header">
+                <span class="text-cyan-400 font-bold">📜 TRANSCRIPT</span>
+                <button class="transcript-close text-purple-400 hover:text-cyan-300 transition-colors" title="Close transcript">✕</button>
+            </div>
+            <div class="transcript-list"></div>
+        `;
+        this.list = this.panel.querySelector('.transcript-list');
+
+        this.panel.querySelector('.transcript-close').addEventListener('click', () => this.toggleTranscript(false));
+        this.list.addEventListener('click', (e) => {
+            const line = e.target.closest('.transcript-line');
+            if (!line) return;
+
+            const cue = this.cues[Number(line.dataset.index)];
+            if (cue) this.onSeek?.(cue.startTime);
+        });
+
+        document.body.appendChild(this.overlay);
+        document.body.appendChild(this.panel);
+    }
+
+    /**
+     * @param {Array<{ startTime: number, endTime: number, text: string }>} cues
+     * @param {{ lang?: string, dir?: 'ltr'|'rtl' }} options
+     */
+    render(cues, { lang = 'en', dir = 'ltr' } = {}) {
+        this.cues = cues || [];
+        this.activeCue = null;
+
+        [this.overlay, this.panel].forEach(element => {
+            element.lang = lang;
+            element.dir = dir;
+        });
+
+        this.list.innerHTML = '';
+        this.lines = this.cues.map((cue, index) => {
+            const line = document.createElement('button');
+            line.className = 'transcript-line';
+            line.dataset.index = index;
+
+            const time = document.createElement('span');
+            time.className = 'transcript-time';
+            time.dir = 'ltr';
+            time.textContent = this.formatTime(cue.startTime);
+
+            const text = document.createElement('span');
+            text.textContent = cue.text;
+
+            line.append(time, text);
+            this.list.appendChild(line);
+            return line;
+        });
+
+        if (this.cues.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'text-gray-500 text-sm';
+            empty.textContent = 'No transcript available for this narration.';
+            this.list.appendChild(empty);
+        }
+
+        this.showCue(null);
+    }
+
+    /**
+     * Follow playback, time in seconds
+     */
+    update(time) {
+        const cue = findActiveCue(this.cues, time);
+        if (cue === this.activeCue) return;
+
+        this.activeCue = cue;
+        this.showCue(cue);
+
+        const index = this.cues.indexOf(cue);
+        this.lines.forEach((line, i) => line.classList.toggle('active', i === index));
+        if (index !== -1 && this.isTranscriptOpen()) {
+            this.lines[index].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    showCue(cue) {
+        this.overlay.textContent = cue ? cue.text : '';
+        this.overlay.style.display = this.enabled && cue ? 'block' : 'none';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.showCue(this.activeCue);
+    }
+
+    toggleTranscript(open) {
+        const show = open ?? !this.isTranscriptOpen();
+        this.panel.style.display = show ? 'flex' : 'none';
+
+        const active = this.lines[this.cues.indexOf(this.activeCue)];
+        if (show && active) active.scrollIntoView({ block: 'nearest' });
+        return show;
+    }
+
+    isTranscriptOpen() {
+        return this.panel.style.display !== 'none';
+    }
+
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    destroy() {
+        this.overlay.remove();
+        this.panel.remove();
+    }
+}
+
+// Export for module usage
+export default CaptionDisplay;
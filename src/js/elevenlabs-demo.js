@@ -3,33 +3,98 @@
  * Real-time text-to-speech synthesis with quantum interface
  */
 
+import { createTTSProvider } from './tts-providers.js';
+import StreamingAudioLoader from './streaming-audio.js';
+import VoiceCatalog from './voice-catalog.js';
+import LongFormSynthesizer from './long-form-synthesizer.js';
+import GenerationHistory from './generation-history.js';
+import AudioExporter from './audio-exporter.js';
+import KaraokeView from './karaoke-view.js';
+import LocalSpeechPlayer from './local-speech-player.js';
+import { audioEngine } from './audio-engine.js';
+import { splitTimestampedResponse, wordsFromAlignment, estimateAlignmentForBlob } from './speech-alignment.js';
+import { compileMarkup, applyLexicon, parseLexicon, formatLexicon, supportsPhonemes, stripMarkup, DEFAULT_LEXICON } from './speech-markup.js';
+
+const SETTINGS_STORAGE_KEY = 'elevenLabsDemoSettings';
+const PRESETS_STORAGE_KEY = 'elevenLabsDemoPresets';
+const LEXICON_STORAGE_KEY = 'elevenLabsDemoLexicon';
+
+// Responses meaning there is no working TTS backend: no /api route on a static
+// host (404/405), or the proxy is unconfigured or cannot reach ElevenLabs
+const BACKEND_UNAVAILABLE_STATUSES = [404, 405, 501, 502, 503, 504];
+
+// Built-in voice presets - custom presets saved by the user are merged in from localStorage
+const VOICE_PRESETS = {
+    narrator: { label: 'NARRATOR', stability: 0.7, clarity: 0.8, style: 0.1, speed: 0.9 },
+    conversational: { label: 'CONVERSATIONAL', stability: 0.45, clarity: 0.75, style: 0.25, speed: 1.1 },
+    dramatic: { label: 'DRAMATIC', stability: 0.25, clarity: 0.85, style: 0.7, speed: 0.8 }
+};
+
+const VOICE_SETTING_KEYS = ['stability', 'clarity', 'style', 'speed'];
+
+// ElevenLabs only accepts speeds in this range, and /api/tts rejects the rest
+const SPEED_RANGE = [0.7, 1.2];
+const SENTENCE_PAUSE_RANGE = [0, 1.5];
+
+// Preset select value for settings that match no saved preset
+const CUSTOM_PRESET = 'custom';
+
+function clampVoiceSetting(key, value) {
+    const [min, max] = key === 'speed' ? SPEED_RANGE : [0, 1];
+    return Math.max(min, Math.min(max, value));
+}
+
 class ElevenLabsDemo {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            provider: 'elevenlabs', // 'elevenlabs' (via /api/tts) or 'mock'
+            endpoint: '/api/tts',
+            maxTextLength: 10000,
+            alignment: true, // request character timestamps for word highlighting
+            localFallback: true, // speak with the browser's own voices when the backend is unavailable
+            ...options
+        };
+        
         this.isGenerating = false;
         this.currentAudio = null;
         this.isDemoReady = false;
-        this.voices = [
-            { id: 'rachel', name: 'RACHEL_NEURAL_v3.0', description: 'Professional female voice' },
-            { id: 'clyde', name: 'CLYDE_QUANTUM_v2.1', description: 'Deep male narrator' },
-            { id: 'aria', name: 'ARIA_SYNTHETIC_v1.8', description: 'Youthful female assistant' }
-        ];
+        this.ttsProvider = createTTSProvider(this.options.provider, this.options);
+        this.voiceCatalog = new VoiceCatalog(this.options.voiceCatalog);
+        this.longForm = new LongFormSynthesizer(this.ttsProvider, this.options.longForm);
+        this.longFormGeneration = null; // generation currently being narrated in chunks
+        this.history = GenerationHistory.isSupported() ? new GenerationHistory(this.options.history) : null;
+        this.historyEntries = [];
+        this.exporter = new AudioExporter(this.options.exporter);
+        this.exportTarget = null; // { blob, text, title, voiceName } being exported
+        this.karaoke = null;
+        this.voiceLanguage = 'all';
+        this.previewAudio = null;
+        this.previewCache = new Map(); // voiceId -> object URL of a synthesized sample
         
         this.settings = {
             voice: 'rachel',
             speed: 1.0,
             stability: 0.5,
             clarity: 0.75,
-            style: 0.0
+            style: 0.0,
+            sentencePause: 0.35 // seconds of silence between stitched chunks
         };
         
+        this.presets = { ...VOICE_PRESETS, ...this.loadCustomPresets() };
+        this.activePreset = CUSTOM_PRESET;
+        this.markupMode = false;
+        this.lexicon = this.readStorage(LEXICON_STORAGE_KEY) || DEFAULT_LEXICON;
+        this.restoreSettings();
+        
         this.init();
     }
     
     init() {
         this.setupEventListeners();
         this.updateUI();
+        this.loadVoices();
+        this.loadHistory();
         this.setupScrollDetection();
-        this.shouldRestoreMainAudio = false; // Flag to control main audio restoration
         console.log('ElevenLabs demo initialized');
     }
     
@@ -38,20 +103,104 @@ class ElevenLabsDemo {
         const generateBtn = document.getElementById('generate-speech-btn');
         generateBtn?.addEventListener('click', () => this.generateSpeech());
         
+        // Word highlighting over the text during playback
+        const karaokeDisplay = document.getElementById('karaoke-display');
+        if (karaokeDisplay) {
+            this.karaoke = new KaraokeView(karaokeDisplay, { onSeek: (time) => this.seekToWord(time) });
+        }
+        document.getElementById('karaoke-edit-btn')?.addEventListener('click', () => this.hideKaraoke());
+        
         // Voice selection
         const voiceSelect = document.getElementById('voice-select');
         voiceSelect?.addEventListener('change', (e) => {
             this.settings.voice = e.target.value;
+            this.stopPreview();
             this.updateVoiceInfo();
+            this.saveSettings();
         });
         
+        // Voice language filter
+        const languageFilter = document.getElementById('voice-language-filter');
+        languageFilter?.addEventListener('change', (e) => {
+            this.voiceLanguage = e.target.value;
+            this.populateVoiceSelect();
+        });
+        
+        // Voice sample preview
+        const previewBtn = document.getElementById('voice-preview-btn');
+        previewBtn?.addEventListener('click', () => this.previewVoice());
+        
         // Speed slider
         const speedSlider = document.getElementById('speed-slider');
         speedSlider?.addEventListener('input', (e) => {
-            this.settings.speed = parseFloat(e.target.value);
-            this.updateSpeedDisplay();
+            this.setVoiceSettings({ speed: parseFloat(e.target.value) });
+        });
+        
+        // Stability / clarity / style sliders
+        document.querySelectorAll('[data-voice-setting]').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                this.setVoiceSettings({ [e.target.dataset.voiceSetting]: parseFloat(e.target.value) });
+            });
+        });
+        
+        // Pause between stitched chunks of long-form narration
+        const pauseSlider = document.getElementById('pause-slider');
+        pauseSlider?.addEventListener('input', (e) => {
+            this.settings.sentencePause = parseFloat(e.target.value);
+            this.updateVoiceSettingControls();
+            this.saveSettings();
+        });
+        
+        // Presets
+        const presetSelect = document.getElementById('voice-preset-select');
+        presetSelect?.addEventListener('change', (e) => this.applyPreset(e.target.value));
+        
+        const savePresetBtn = document.getElementById('save-preset-btn');
+        savePresetBtn?.addEventListener('click', () => this.saveCurrentAsPreset());
+        
+        const deletePresetBtn = document.getElementById('delete-preset-btn');
+        deletePresetBtn?.addEventListener('click', () => this.deleteActivePreset());
+        
+        // Retry chunks that failed during long-form synthesis
+        const retryChunksBtn = document.getElementById('retry-chunks-btn');
+        retryChunksBtn?.addEventListener('click', () => this.retryFailedChunks());
+        
+        document.querySelector('.synthesis-chunk-list')?.addEventListener('click', (e) => {
+            if (e.target.closest('.synthesis-chunk[data-status="failed"]')) this.retryFailedChunks();
         });
         
+        // Markup mode and pronunciation lexicon
+        const markupToggle = document.getElementById('markup-mode-toggle');
+        markupToggle?.addEventListener('change', (e) => {
+            this.markupMode = e.target.checked;
+            this.saveSettings();
+        });
+        
+        const lexiconToggleBtn = document.getElementById('lexicon-toggle-btn');
+        lexiconToggleBtn?.addEventListener('click', () => this.toggleLexiconPanel());
+        
+        const lexiconSaveBtn = document.getElementById('lexicon-save-btn');
+        lexiconSaveBtn?.addEventListener('click', () => this.saveLexicon());
+        
+        // Generation history actions
+        const historyList = document.getElementById('history-list');
+        historyList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+            
+            const id = Number(button.closest('.history-item').dataset.id);
+            this.handleHistoryAction(button.dataset.historyAction, id);
+        });
+        
+        // Export dialog
+        const exportModal = document.getElementById('export-modal');
+        exportModal?.addEventListener('click', (e) => {
+            if (e.target === exportModal) this.closeExportDialog();
+        });
+        document.getElementById('export-close')?.addEventListener('click', () => this.closeExportDialog());
+        document.getElementById('export-format')?.addEventListener('change', () => this.updateExportOptions());
+        document.getElementById('export-confirm-btn')?.addEventListener('click', () => this.runExport());
+        
         // Text input character counter
         const textInput = document.getElementById('demo-text-input');
         textInput?.addEventListener('input', () => this.updateCharacterCount());
@@ -69,18 +218,360 @@ class ElevenLabsDemo {
     }
     
     updateUI() {
+        const markupToggle = document.getElementById('markup-mode-toggle');
+        if (markupToggle) markupToggle.checked = this.markupMode;
+        
         this.updateVoiceInfo();
-        this.updateSpeedDisplay();
+        this.updatePresetSelect();
+        this.updateVoiceSettingControls();
         this.updateCharacterCount();
     }
     
+    updateVoiceSettingControls() {
+        document.querySelectorAll('[data-voice-setting]').forEach(slider => {
+            const key = slider.dataset.voiceSetting;
+            slider.value = this.settings[key];
+            
+            const display = document.getElementById(`${key}-display`);
+            if (display) {
+                display.textContent = `${Math.round(this.settings[key] * 100)}%`;
+            }
+        });
+        
+        const speedSlider = document.getElementById('speed-slider');
+        if (speedSlider) speedSlider.value = this.settings.speed;
+        this.updateSpeedDisplay();
+        
+        const pauseSlider = document.getElementById('pause-slider');
+        const pauseDisplay = document.getElementById('pause-display');
+        if (pauseSlider) pauseSlider.value = this.settings.sentencePause;
+        if (pauseDisplay) pauseDisplay.textContent = `${this.settings.sentencePause.toFixed(2)}s`;
+    }
+    
+    updatePresetSelect() {
+        const presetSelect = document.getElementById('voice-preset-select');
+        if (!presetSelect) return;
+        
+        presetSelect.innerHTML = `<option value="${CUSTOM_PRESET}">CUSTOM</option>`;
+        Object.entries(this.presets).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label || name.toUpperCase();
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = this.activePreset;
+        
+        // Only presets the user saved can be deleted
+        const deletePresetBtn = document.getElementById('delete-preset-btn');
+        if (deletePresetBtn) deletePresetBtn.style.display = this.isUserPreset(this.activePreset) ? '' : 'none';
+    }
+    
+    isUserPreset(name) {
+        return name !== CUSTOM_PRESET && !VOICE_PRESETS[name] && !!this.presets[name];
+    }
+    
+    /**
+     * Update one or more voice settings from the UI or the public API
+     */
+    setVoiceSettings(values, { fromPreset = false } = {}) {
+        VOICE_SETTING_KEYS.forEach(key => {
+            if (values[key] === undefined || Number.isNaN(values[key])) return;
+            this.settings[key] = clampVoiceSetting(key, values[key]);
+        });
+        
+        // Manual tweaks detach the settings from whichever preset was applied
+        if (!fromPreset && this.activePreset !== CUSTOM_PRESET) {
+            this.activePreset = CUSTOM_PRESET;
+            this.updatePresetSelect();
+        }
+        
+        this.updateVoiceSettingControls();
+        this.saveSettings();
+    }
+    
+    applyPreset(name) {
+        const preset = this.presets[name];
+        if (!preset) {
+            this.activePreset = CUSTOM_PRESET;
+            this.updatePresetSelect();
+            this.saveSettings();
+            return;
+        }
+        
+        this.activePreset = name;
+        this.setVoiceSettings(preset, { fromPreset: true });
+        this.updatePresetSelect();
+    }
+    
+    saveCurrentAsPreset() {
+        const label = window.prompt('Preset name:');
+        const name = label?.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        if (!name) return;
+        
+        if (VOICE_PRESETS[name]) {
+            this.showToast('Built-in presets cannot be overwritten', 'warning');
+            return;
+        }
+        if (name === CUSTOM_PRESET) {
+            this.showToast('"Custom" is reserved for unsaved settings - pick another name', 'warning');
+            return;
+        }
+        
+        const preset = { label: label.trim().toUpperCase() };
+        VOICE_SETTING_KEYS.forEach(key => { preset[key] = this.settings[key]; });
+        
+        this.presets[name] = preset;
+        this.activePreset = name;
+        
+        const customPresets = this.loadCustomPresets();
+        customPresets[name] = preset;
+        this.writeStorage(PRESETS_STORAGE_KEY, customPresets);
+        
+        this.updatePresetSelect();
+        this.saveSettings();
+        this.showToast(`Preset "${preset.label}" saved`, 'success');
+    }
+    
+    deleteActivePreset() {
+        const name = this.activePreset;
+        if (!this.isUserPreset(name)) return;
+        
+        const { label } = this.presets[name];
+        if (!window.confirm(`Delete preset "${label}"?`)) return;
+        
+        delete this.presets[name];
+        const customPresets = this.loadCustomPresets();
+        delete customPresets[name];
+        this.writeStorage(PRESETS_STORAGE_KEY, customPresets);
+        
+        // The current settings stay as they are, just no longer under that name
+        this.activePreset = CUSTOM_PRESET;
+        this.updatePresetSelect();
+        this.saveSettings();
+        this.showToast(`Preset "${label}" deleted`, 'success');
+    }
+    
+    loadCustomPresets() {
+        const presets = this.readStorage(PRESETS_STORAGE_KEY);
+        if (!presets || typeof presets !== 'object') return {};
+        
+        // Presets saved before "custom" was reserved would shadow the CUSTOM option
+        return Object.fromEntries(Object.entries(presets).filter(([name, preset]) =>
+            name !== CUSTOM_PRESET && !VOICE_PRESETS[name] && preset && typeof preset === 'object'));
+    }
+    
+    restoreSettings() {
+        const saved = this.readStorage(SETTINGS_STORAGE_KEY);
+        if (!saved) return;
+        
+        if (typeof saved.voice === 'string') this.settings.voice = saved.voice;
+        // Stored values may predate the current slider ranges, or have been edited by hand
+        VOICE_SETTING_KEYS.forEach(key => {
+            if (Number.isFinite(saved[key])) this.settings[key] = clampVoiceSetting(key, saved[key]);
+        });
+        if (Number.isFinite(saved.sentencePause)) {
+            const [min, max] = SENTENCE_PAUSE_RANGE;
+            this.settings.sentencePause = Math.max(min, Math.min(max, saved.sentencePause));
+        }
+        if (typeof saved.markup === 'boolean') this.markupMode = saved.markup;
+        if (saved.preset && (saved.preset === CUSTOM_PRESET || this.presets[saved.preset])) {
+            this.activePreset = saved.preset;
+        }
+    }
+    
+    saveSettings() {
+        this.writeStorage(SETTINGS_STORAGE_KEY, { ...this.settings, preset: this.activePreset, markup: this.markupMode });
+    }
+    
+    toggleLexiconPanel() {
+        const panel = document.getElementById('lexicon-panel');
+        const lexiconInput = document.getElementById('lexicon-input');
+        if (!panel) return;
+        
+        const isOpen = panel.style.display !== 'none';
+        if (!isOpen && lexiconInput) {
+            lexiconInput.value = formatLexicon(this.lexicon);
+        }
+        panel.style.display = isOpen ? 'none' : 'block';
+    }
+    
+    saveLexicon() {
+        const lexiconInput = document.getElementById('lexicon-input');
+        if (!lexiconInput) return;
+        
+        const { entries, errors } = parseLexicon(lexiconInput.value);
+        if (errors.length > 0) {
+            this.showToast(this.formatErrors(errors), 'error');
+            return;
+        }
+        
+        this.lexicon = entries;
+        this.writeStorage(LEXICON_STORAGE_KEY, entries);
+        this.showToast(`Lexicon saved (${entries.length} ${entries.length === 1 ? 'entry' : 'entries'})`, 'success');
+    }
+    
+    /**
+     * Turn the typed text into provider text: markup is compiled when markup
+     * mode is on, and lexicon substitutions apply either way
+     */
+    prepareSpeechText(text) {
+        if (this.markupMode) {
+            // The default model would read phoneme tags aloud - send the plain word instead
+            const phonemes = supportsPhonemes(this.ttsProvider.modelId);
+            if (!phonemes && /<phoneme\b/i.test(text)) {
+                this.showToast('This voice model ignores <phoneme> - those words are spoken as written', 'warning');
+            }
+            return compileMarkup(text, { lexicon: this.lexicon, phonemes });
+        }
+        return { text: applyLexicon(text, this.lexicon), errors: [] };
+    }
+    
+    // Toasts have room for one message - point at the first problem and count the rest
+    formatErrors(errors) {
+        return errors.length > 1 ? `${errors[0]} (+${errors.length - 1} more)` : errors[0];
+    }
+    
+    readStorage(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${key}:`, error);
+            return null;
+        }
+    }
+    
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not persist ${key}:`, error);
+        }
+    }
+    
     updateVoiceInfo() {
-        const voice = this.voices.find(v => v.id === this.settings.voice);
+        const voice = this.voiceCatalog.find(this.settings.voice);
         if (voice) {
             const voiceInfo = document.querySelector('.voice-info');
             if (voiceInfo) {
-                voiceInfo.textContent = voice.description;
+                voiceInfo.textContent = this.voiceCatalog.describe(voice);
+            }
+        }
+    }
+    
+    async loadVoices() {
+        try {
+            await this.voiceCatalog.load();
+        } catch (error) {
+            console.error('Failed to load voice catalog:', error);
+            this.showToast('Voice catalog unavailable', 'error');
+            return;
+        }
+        
+        this.populateLanguageFilter();
+        this.populateVoiceSelect();
+    }
+    
+    populateLanguageFilter() {
+        const languageFilter = document.getElementById('voice-language-filter');
+        if (!languageFilter) return;
+        
+        const languages = this.voiceCatalog.getLanguages();
+        languageFilter.innerHTML = '<option value="all">ALL LANGUAGES</option>';
+        languages.forEach(({ code, label }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = label.toUpperCase();
+            languageFilter.appendChild(option);
+        });
+        languageFilter.value = this.voiceLanguage;
+        
+        // Nothing to filter with a single-language catalog
+        languageFilter.style.display = languages.length > 1 ? '' : 'none';
+    }
+    
+    populateVoiceSelect() {
+        const voiceSelect = document.getElementById('voice-select');
+        if (!voiceSelect) return;
+        
+        const voices = this.voiceCatalog.filterByLanguage(this.voiceLanguage);
+        voiceSelect.innerHTML = '';
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.id;
+            option.textContent = voice.name;
+            voiceSelect.appendChild(option);
+        });
+        
+        // Keep the current voice if the filter still includes it
+        if (voices.length > 0 && !voices.some(voice => voice.id === this.settings.voice)) {
+            this.settings.voice = voices[0].id;
+        }
+        voiceSelect.value = this.settings.voice;
+        voiceSelect.disabled = voices.length === 0;
+        
+        this.updateVoiceInfo();
+    }
+    
+    /**
+     * Play a short sample of the selected voice - the provider's preview clip
+     * when it has one, otherwise a sample synthesized on demand
+     */
+    async previewVoice() {
+        const voice = this.voiceCatalog.find(this.settings.voice);
+        if (!voice) return;
+        
+        if (this.previewAudio && !this.previewAudio.paused) {
+            this.stopPreview();
+            return;
+        }
+        
+        const previewBtn = document.getElementById('voice-preview-btn');
+        if (previewBtn) previewBtn.disabled = true;
+        
+        try {
+            let previewUrl = voice.previewUrl || this.previewCache.get(voice.voiceId);
+            
+            if (!previewUrl) {
+                const spokenName = voice.name.split(/[_\s]/)[0].toLowerCase();
+                const response = await this.ttsProvider.synthesize({
+                    text: `Hello, I'm ${spokenName.charAt(0).toUpperCase()}${spokenName.slice(1)}. This is how I sound.`,
+                    voiceId: voice.voiceId,
+                    voiceSettings: this.getVoiceSettings()
+                });
+                previewUrl = URL.createObjectURL(await response.blob());
+                this.previewCache.set(voice.voiceId, previewUrl);
             }
+            
+            // Previews shouldn't talk over generated audio; the narration ducks under them
+            if (this.isPlaying()) this.currentAudio.element.pause();
+            this.stopPreview();
+            
+            // Catalog previews can be cross-origin, so they're mixed by volume rather than routed
+            this.previewAudio = audioEngine.attach(new Audio(previewUrl), 'tts', { route: false });
+            this.previewAudio.addEventListener('ended', () => this.updatePreviewButton(false));
+            await this.previewAudio.play();
+            this.updatePreviewButton(true);
+        } catch (error) {
+            console.error('Voice preview failed:', error);
+            this.showToast(`Preview failed: ${error.message}`, 'error');
+        } finally {
+            if (previewBtn) previewBtn.disabled = false;
+        }
+    }
+    
+    stopPreview() {
+        if (this.previewAudio) {
+            this.previewAudio.pause();
+            audioEngine.detach(this.previewAudio);
+            this.previewAudio = null;
+        }
+        this.updatePreviewButton(false);
+    }
+    
+    updatePreviewButton(isPlaying) {
+        const previewBtn = document.getElementById('voice-preview-btn');
+        if (previewBtn) {
+            previewBtn.textContent = isPlaying ? '⏹' : '🔊';
         }
     }
     
@@ -97,8 +588,11 @@ class ElevenLabsDemo {
         
         if (textInput && counter) {
             const length = textInput.value.length;
-            const maxLength = 500;
-            counter.textContent = `${length}/${maxLength}`;
+            const maxLength = this.options.maxTextLength;
+            const chunkCount = this.longForm.split(textInput.value).length;
+            counter.textContent = chunkCount > 1
+                ? `${length}/${maxLength} • ${chunkCount} CHUNKS`
+                : `${length}/${maxLength}`;
             
             // Visual feedback for approaching limit
             if (length > maxLength * 0.8) {
@@ -117,6 +611,11 @@ class ElevenLabsDemo {
     }
     
     handleKeyboardShortcuts(e) {
+        if (e.key === 'Escape' && this.exportTarget) {
+            this.closeExportDialog();
+            return;
+        }
+        
         // Don't handle if user is typing in an input
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
         
@@ -147,24 +646,49 @@ class ElevenLabsDemo {
             return;
         }
         
-        if (text.length > 500) {
-            this.showToast('Text too long. Maximum 500 characters.', 'error');
+        if (text.length > this.options.maxTextLength) {
+            this.showToast(`Text too long. Maximum ${this.options.maxTextLength} characters.`, 'error');
+            return;
+        }
+        
+        const { text: speechText, errors } = this.prepareSpeechText(text);
+        if (errors.length > 0) {
+            this.showToast(this.formatErrors(errors), 'error');
+            return;
+        }
+        
+        if (!speechText) {
+            this.showToast('Nothing left to speak once markup is removed', 'warning');
             return;
         }
         
         this.isGenerating = true;
+        this.stopPreview();
         this.showSynthesisProgress();
         
         try {
-            // Show realistic loading process
-            await this.simulateGenerationProcess();
+            this.updateSynthesisStep('🧠 Analyzing text semantics...');
             
-            // For demo purposes, use existing audio
-            // In production, this would call the actual ElevenLabs API
-            const audioBlob = await this.simulateAudioGeneration(text);
+            // Snapshot the settings so the info panel describes this take, not later edits
+            const generation = { text, speechText, markup: this.markupMode, settings: { ...this.settings, preset: this.activePreset } };
+            
+            let audioBlob;
+            if (this.longForm.split(speechText).length > 1) {
+                audioBlob = await this.synthesizeLongForm(generation);
+            } else {
+                this.hideChunkStatus();
+                try {
+                    const response = await this.requestSynthesis(speechText);
+                    audioBlob = await this.receiveAudio(response, generation);
+                } catch (error) {
+                    if (!this.canFallBackToLocalVoice(error)) throw error;
+                    await this.speakLocally(generation);
+                }
+            }
             
             if (audioBlob) {
-                await this.displayResult(audioBlob);
+                await this.prepareWordTimings(audioBlob);
+                await this.saveToHistory(generation, audioBlob);
                 
                 // TEMPORARILY DISABLED to test if Toast is causing audio issues
                 // this.showToast('Speech synthesis complete!', 'success');
@@ -173,130 +697,323 @@ class ElevenLabsDemo {
             
         } catch (error) {
             console.error('Speech generation failed:', error);
-            this.showToast('Generation failed. Please try again.', 'error');
+            this.showToast(error.message || 'Generation failed. Please try again.', 'error');
         } finally {
             this.isGenerating = false;
             this.hideSynthesisProgress();
         }
     }
     
-    async simulateGenerationProcess() {
-        const steps = [
-            { message: '🧠 Analyzing text semantics...', duration: 800 },
-            { message: '🎭 Applying emotional modeling...', duration: 1200 },
-            { message: '🎵 Generating neural audio waves...', duration: 1500 },
-            { message: '⚡ Quantum synthesis in progress...', duration: 1000 },
-            { message: '🔊 Finalizing audio output...', duration: 600 }
-        ];
+    async requestSynthesis(text) {
+        const voice = this.voiceCatalog.find(this.settings.voice);
+        
+        return this.ttsProvider.synthesize({
+            text,
+            voiceId: voice?.voiceId || this.settings.voice,
+            voiceSettings: this.getVoiceSettings(),
+            withTimestamps: this.options.alignment !== false
+        });
+    }
+    
+    /**
+     * Narrate text longer than one request allows: chunks are synthesized
+     * through the long-form synthesizer and played back as one stitched track
+     */
+    async synthesizeLongForm(generation) {
+        const voice = this.voiceCatalog.find(this.settings.voice);
+        
+        this.longForm.options.sentencePause = this.settings.sentencePause;
+        this.longFormGeneration = generation;
+        this.renderChunkStatus(this.longForm.split(generation.speechText));
+        
+        const result = await this.longForm.synthesize(generation.speechText, {
+            voiceId: voice?.voiceId || this.settings.voice,
+            voiceSettings: this.getVoiceSettings(),
+            onChunkUpdate: (chunk, chunks) => this.updateChunkStatus(chunk, chunks)
+        });
         
-        const statusElement = document.querySelector('.synthesis-step');
-        const progressBar = document.getElementById('synthesis-progress');
+        return this.handleLongFormResult(result);
+    }
+    
+    async retryFailedChunks() {
+        if (this.isGenerating || !this.longFormGeneration) return;
         
-        let totalProgress = 0;
+        this.isGenerating = true;
+        this.showSynthesisProgress();
         
-        for (let i = 0; i < steps.length; i++) {
-            const step = steps[i];
-            
-            if (statusElement) {
-                statusElement.textContent = step.message;
+        try {
+            const result = await this.longForm.retryFailed();
+            const blob = await this.handleLongFormResult(result);
+            if (blob) await this.prepareWordTimings(blob);
+        } catch (error) {
+            console.error('Chunk retry failed:', error);
+            this.showToast(error.message || 'Retry failed. Please try again.', 'error');
+        } finally {
+            this.isGenerating = false;
+            this.hideSynthesisProgress();
+        }
+    }
+    
+    async handleLongFormResult({ blob, failed }) {
+        const retryBtn = document.getElementById('retry-chunks-btn');
+        
+        if (!blob) {
+            if (failed.every(chunk => this.canFallBackToLocalVoice(chunk.error))) {
+                this.hideChunkStatus();
+                await this.speakLocally(this.longFormGeneration);
+                return null;
             }
             
-            // Animate progress
-            const stepProgress = (i + 1) / steps.length * 100;
-            if (progressBar) {
-                progressBar.style.width = `${stepProgress}%`;
+            if (retryBtn) retryBtn.style.display = '';
+            const reason = failed[0]?.error?.message;
+            this.showToast(`${failed.length} of ${this.longForm.chunks.length} chunks failed${reason ? `: ${reason}` : ''}`, 'error');
+            return null;
+        }
+        
+        if (retryBtn) retryBtn.style.display = 'none';
+        this.updateSynthesisStep('🔊 Stitching audio chunks...', 100);
+        await this.displayResult(blob, this.longFormGeneration);
+        return blob;
+    }
+    
+    renderChunkStatus(chunks) {
+        const container = document.getElementById('synthesis-chunks');
+        const list = container?.querySelector('.synthesis-chunk-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        chunks.forEach(chunk => {
+            const chip = document.createElement('span');
+            chip.className = 'synthesis-chunk';
+            chip.dataset.index = chunk.index;
+            chip.dataset.status = 'pending';
+            chip.title = chunk.text;
+            chip.textContent = chunk.index + 1;
+            list.appendChild(chip);
+        });
+        
+        const retryBtn = document.getElementById('retry-chunks-btn');
+        if (retryBtn) retryBtn.style.display = 'none';
+        container.style.display = 'block';
+    }
+    
+    updateChunkStatus(chunk, chunks) {
+        const chip = document.querySelector(`.synthesis-chunk[data-index="${chunk.index}"]`);
+        if (chip) {
+            chip.dataset.status = chunk.status;
+            chip.title = chunk.status === 'failed' && chunk.error
+                ? `${chunk.error.message} - click to retry`
+                : chunk.text;
+        }
+        
+        // Completed chunks count fully, in-flight ones by bytes against their estimate
+        const progress = chunks.reduce((sum, item) => {
+            if (item.status === 'done') return sum + 1;
+            if (item.status === 'active') return sum + Math.min(0.9, item.bytes / this.estimateAudioBytes(item.text));
+            return sum;
+        }, 0);
+        
+        const done = chunks.filter(item => item.status === 'done').length;
+        this.updateSynthesisStep(
+            `🎵 Synthesizing chunk ${Math.min(done + 1, chunks.length)} of ${chunks.length}...`,
+            Math.min(95, (progress / chunks.length) * 100)
+        );
+    }
+    
+    hideChunkStatus() {
+        const container = document.getElementById('synthesis-chunks');
+        if (container) container.style.display = 'none';
+        this.longFormGeneration = null;
+    }
+    
+    /**
+     * Consume the synthesis response, streaming it into the player when the
+     * format allows and otherwise buffering it; progress follows bytes received
+     */
+    async receiveAudio(response, generation) {
+        const { text } = generation;
+        
+        // Timestamped responses carry the audio inside JSON lines alongside the alignment
+        let alignment = null;
+        if ((response.headers.get('Content-Type') || '').includes('ndjson')) {
+            ({ response, alignment } = await splitTimestampedResponse(response));
+        }
+        
+        const mimeType = (response.headers.get('Content-Type') || 'audio/mpeg').split(';')[0];
+        const expectedBytes = Number(response.headers.get('Content-Length')) || this.estimateAudioBytes(text);
+        const onProgress = (bytesReceived) => this.updateSynthesisProgress(bytesReceived, expectedBytes);
+        
+        this.updateSynthesisStep('🎵 Generating neural audio waves...');
+        
+        const audioElement = document.getElementById('generated-audio');
+        
+        if (audioElement && StreamingAudioLoader.canStream(mimeType)) {
+            const loader = new StreamingAudioLoader(audioElement);
+            this.bindAudioSource(audioElement, loader.attach(mimeType), null, generation);
+            this.showResultPanel();
+            
+            let audioBlob;
+            try {
+                audioBlob = await loader.load(response, {
+                    onProgress,
+                    onFirstChunk: () => {
+                        // Start speaking as soon as the first audio frames are buffered
+                        audioElement.play().catch(error => {
+                            console.log('Streaming autoplay blocked, waiting for user:', error.message);
+                        });
+                    }
+                });
+            } catch (error) {
+                // Don't leave the player bound to a stream that will never finish
+                loader.abort();
+                this.releaseAudioElement(audioElement);
+                throw error;
             }
             
-            await new Promise(resolve => setTimeout(resolve, step.duration));
-        }
-    }
-    
-    async simulateAudioGeneration(text) {
-        // In a real implementation, this would be:
-        // const response = await fetch('/api/elevenlabs/text-to-speech', {
-        //     method: 'POST',
-        //     headers: { 'Content-Type': 'application/json' },
-        //     body: JSON.stringify({
-        //         text: text,
-        //         voice_id: this.settings.voice,
-        //         model_id: 'eleven_monolingual_v1',
-        //         voice_settings: {
-        //             stability: this.settings.stability,
-        //             similarity_boost: this.settings.clarity,
-        //             style: this.settings.style,
-        //             use_speaker_boost: true
-        //         }
-        //     })
-        // });
-        // return response.blob();
-        
-        // For demo, create a blob from existing audio
+            this.currentAudio.blob = audioBlob;
+            this.updateSynthesisStep('🔊 Finalizing audio output...', 100);
+            await this.applyAlignment(alignment);
+            return audioBlob;
+        }
+        
+        const audioBlob = await StreamingAudioLoader.readBlob(response, onProgress);
+        this.updateSynthesisStep('🔊 Finalizing audio output...', 100);
+        await this.displayResult(audioBlob, generation);
+        await this.applyAlignment(alignment);
+        return audioBlob;
+    }
+    
+    async applyAlignment(alignment) {
+        if (!alignment) return;
+        
         try {
-            const response = await fetch('./src/assets/audio/claude_mcp_explanation_english.mp3');
-            return await response.blob();
+            const words = wordsFromAlignment(await alignment);
+            if (words.length > 0) this.setWordTimings(words);
         } catch (error) {
-            console.warn('Could not load demo audio, creating placeholder');
-            return this.createSilentAudioBlob();
+            console.warn('Could not read speech alignment:', error);
         }
     }
     
-    createSilentAudioBlob() {
-        // Create a short silent audio file for demo
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const sampleRate = audioContext.sampleRate;
-        const duration = 2; // 2 seconds
-        const numSamples = sampleRate * duration;
-        
-        const audioBuffer = audioContext.createBuffer(1, numSamples, sampleRate);
-        const channelData = audioBuffer.getChannelData(0);
+    /**
+     * Fill in word timings when the provider sent no alignment (mock audio,
+     * stitched long-form takes, older history entries) by estimating them
+     */
+    async prepareWordTimings(audioBlob) {
+        const audio = this.currentAudio;
+        if (!audio || audio.words?.length || !audioBlob) return;
         
-        // Add some gentle white noise for demo
-        for (let i = 0; i < numSamples; i++) {
-            channelData[i] = (Math.random() - 0.5) * 0.1;
+        try {
+            const words = await estimateAlignmentForBlob(audioBlob, audio.speechText || audio.text || '');
+            if (this.currentAudio !== audio) return;
+            
+            this.setWordTimings(words);
+            if (audio.historyId && this.history) {
+                await this.history.update(audio.historyId, { words });
+            }
+        } catch (error) {
+            console.warn('Could not estimate word timings:', error);
         }
+    }
+    
+    setWordTimings(words) {
+        this.currentAudio.words = words;
+        this.karaoke?.render(words);
+        if (this.isPlaying()) this.showKaraoke();
+    }
+    
+    showKaraoke() {
+        if (!this.karaoke || !this.currentAudio?.words?.length) return;
+        
+        const textInput = document.getElementById('demo-text-input');
+        if (textInput) textInput.style.display = 'none';
+        this.karaoke.show();
+    }
+    
+    hideKaraoke() {
+        const textInput = document.getElementById('demo-text-input');
+        if (textInput) textInput.style.display = '';
+        this.karaoke?.hide();
+    }
+    
+    async seekToWord(time) {
+        const audioElement = this.currentAudio?.element;
+        if (!audioElement) return;
         
-        // Convert to WAV blob (simplified)
-        const wavData = this.audioBufferToWav(audioBuffer);
-        return new Blob([wavData], { type: 'audio/wav' });
+        audioElement.currentTime = time;
+        this.karaoke?.update(time);
+        if (!this.isPlaying()) await this.togglePlayback();
     }
     
-    audioBufferToWav(buffer) {
-        // Simplified WAV encoding
-        const length = buffer.length;
-        const arrayBuffer = new ArrayBuffer(44 + length * 2);
-        const view = new DataView(arrayBuffer);
+    canFallBackToLocalVoice(error) {
+        if (this.options.localFallback === false || !LocalSpeechPlayer.isSupported()) return false;
         
-        // WAV header
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
+        // fetch rejects with a TypeError when the server cannot be reached at all
+        return error instanceof TypeError || BACKEND_UNAVAILABLE_STATUSES.includes(error?.status);
+    }
+    
+    /**
+     * Speak the generation with the closest installed browser voice; it plays
+     * through the same controls but leaves nothing to download or keep
+     */
+    async speakLocally(generation) {
+        this.updateSynthesisStep('🗣️ Backend unavailable - switching to local voice...', 100);
+        
+        const catalogVoice = this.voiceCatalog.find(generation.settings.voice);
+        const voices = await LocalSpeechPlayer.getVoices();
+        const voice = LocalSpeechPlayer.findVoice(voices, {
+            language: catalogVoice?.language,
+            gender: catalogVoice?.gender
+        });
         
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length * 2, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, 1, true);
-        view.setUint32(24, buffer.sampleRate, true);
-        view.setUint32(28, buffer.sampleRate * 2, true);
-        view.setUint16(32, 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, length * 2, true);
+        const player = new LocalSpeechPlayer(generation.speechText, { voice, rate: generation.settings.speed });
+        this.bindAudioSource(player, null, null, {
+            ...generation,
+            words: player.words,
+            localVoice: voice?.name || 'System default'
+        });
+        player.load();
+        this.showResultPanel();
+        this.showToast(`TTS backend unavailable - speaking with local voice (${voice?.name || 'system default'})`, 'warning');
         
-        // Convert float samples to 16-bit PCM
-        const channelData = buffer.getChannelData(0);
-        let offset = 44;
-        for (let i = 0; i < length; i++) {
-            const sample = Math.max(-1, Math.min(1, channelData[i]));
-            view.setInt16(offset, sample * 0x7FFF, true);
-            offset += 2;
+        await this.togglePlayback();
+    }
+    
+    // Rough MP3 size for the text (128kbps, ~14 spoken characters per second)
+    estimateAudioBytes(text) {
+        const seconds = text.length / (14 * this.settings.speed);
+        return Math.max(16000, Math.round(seconds * 16000));
+    }
+    
+    updateSynthesisStep(message, progress = null) {
+        const statusElement = document.querySelector('.synthesis-step');
+        if (statusElement) {
+            statusElement.textContent = message;
         }
         
-        return arrayBuffer;
+        if (progress !== null) {
+            const progressBar = document.getElementById('synthesis-progress');
+            if (progressBar) {
+                progressBar.style.width = `${progress}%`;
+            }
+        }
+    }
+    
+    updateSynthesisProgress(bytesReceived, expectedBytes) {
+        // Hold below 100% until the stream actually ends - estimates can undershoot
+        const progress = Math.min(95, (bytesReceived / expectedBytes) * 100);
+        const kilobytes = (bytesReceived / 1024).toFixed(1);
+        this.updateSynthesisStep(`🎵 Receiving audio... ${kilobytes} KB`, progress);
+    }
+    
+    // Map demo settings onto the ElevenLabs voice_settings payload
+    getVoiceSettings() {
+        return {
+            stability: this.settings.stability,
+            similarity_boost: this.settings.clarity,
+            style: this.settings.style,
+            use_speaker_boost: true,
+            speed: this.settings.speed
+        };
     }
     
     showSynthesisProgress() {
@@ -304,8 +1021,11 @@ class ElevenLabsDemo {
         const resultElement = document.getElementById('synthesis-result');
         const generateBtn = document.getElementById('generate-speech-btn');
         
+        const progressBar = document.getElementById('synthesis-progress');
+        
         if (statusElement) statusElement.style.display = 'block';
         if (resultElement) resultElement.style.display = 'none';
+        if (progressBar) progressBar.style.width = '0%';
         if (generateBtn) {
             generateBtn.disabled = true;
             generateBtn.innerHTML = '⚡ SYNTHESIZING...';
@@ -334,27 +1054,11 @@ class ElevenLabsDemo {
         if (stepElement) stepElement.remove();
     }
     
-    async displayResult(audioBlob) {
-        const resultElement = document.getElementById('synthesis-result');
+    async displayResult(audioBlob, generation = {}) {
         const audioElement = document.getElementById('generated-audio');
         
-        if (resultElement) resultElement.style.display = 'block';
-        
         if (audioElement && audioBlob) {
-            const audioUrl = URL.createObjectURL(audioBlob);
-            audioElement.src = audioUrl;
-            this.currentAudio = { blob: audioBlob, url: audioUrl, element: audioElement };
-            
-            // Configure audio element FIRST
-            audioElement.preload = 'auto';
-            audioElement.muted = false;
-            audioElement.volume = 1.0;
-            
-            // Clean up previous event listeners
-            this.removeAudioEventListeners(audioElement);
-            
-            // Add new event listeners BEFORE loading
-            this.setupAudioEventListeners(audioElement);
+            this.bindAudioSource(audioElement, URL.createObjectURL(audioBlob), audioBlob, generation);
             
             console.log('Loading demo audio for immediate playback...');
             audioElement.load();
@@ -382,6 +1086,86 @@ class ElevenLabsDemo {
             console.log('Demo audio fully configured and ready for first-click playback');
         }
         
+        this.showResultPanel();
+    }
+    
+    /**
+     * Point the audio element at a new source (blob URL or MediaSource URL)
+     */
+    bindAudioSource(audioElement, audioUrl, audioBlob, generation = {}) {
+        // Release the previous generation's object URL
+        if (this.currentAudio?.url) {
+            URL.revokeObjectURL(this.currentAudio.url);
+        }
+        
+        // Switching between the audio element and a local voice player
+        const previousElement = this.currentAudio?.element;
+        if (previousElement && previousElement !== audioElement) {
+            previousElement.pause();
+            this.removeAudioEventListeners(previousElement);
+            audioEngine.detach(previousElement);
+        }
+        
+        audioElement.src = audioUrl;
+        this.currentAudio = { ...generation, blob: audioBlob, url: audioUrl, element: audioElement };
+        
+        this.karaoke?.render(generation.words || []);
+        if (!generation.words?.length) this.hideKaraoke();
+        this.updateSourceLabel();
+        
+        // Configure audio element FIRST
+        audioElement.preload = 'auto';
+        audioElement.muted = false;
+        audioElement.volume = 1.0;
+        
+        // Generated speech plays on the TTS bus, ducking the narration
+        audioEngine.attach(audioElement, 'tts');
+        
+        // Clean up previous event listeners
+        this.removeAudioEventListeners(audioElement);
+        
+        // Add new event listeners BEFORE loading
+        this.setupAudioEventListeners(audioElement);
+    }
+    
+    /**
+     * Detach a failed take from the audio element and hide its player
+     */
+    releaseAudioElement(audioElement) {
+        audioElement.pause();
+        this.removeAudioEventListeners(audioElement);
+        audioEngine.detach(audioElement);
+        
+        if (this.currentAudio?.url) {
+            URL.revokeObjectURL(this.currentAudio.url);
+        }
+        this.currentAudio = null;
+        
+        audioElement.removeAttribute('src');
+        audioElement.load();
+        this.hideKaraoke();
+        
+        const resultElement = document.getElementById('synthesis-result');
+        if (resultElement) resultElement.style.display = 'none';
+    }
+    
+    // Make it obvious when playback comes from the browser rather than ElevenLabs
+    updateSourceLabel() {
+        const localVoice = this.currentAudio?.localVoice;
+        
+        const label = document.getElementById('demo-audio-label');
+        if (label) label.textContent = localVoice ? `🗣️ LOCAL VOICE • ${localVoice}` : 'Demo Audio';
+        
+        const downloadBtn = document.getElementById('download-audio-btn');
+        if (downloadBtn) downloadBtn.style.display = localVoice ? 'none' : '';
+    }
+    
+    showResultPanel() {
+        const resultElement = document.getElementById('synthesis-result');
+        if (!resultElement) return;
+        
+        resultElement.style.display = 'block';
+        
         // Trigger success animation
         gsap.fromTo(resultElement, 
             { scale: 0.8, opacity: 0 },
@@ -390,16 +1174,43 @@ class ElevenLabsDemo {
     }
     
     updateAudioInfo(duration) {
+        // Streams report an unknown duration until the last chunk arrives
+        if (!Number.isFinite(duration)) return;
+        
         const audioInfo = document.querySelector('.audio-info');
         if (audioInfo) {
             const minutes = Math.floor(duration / 60);
             const seconds = Math.floor(duration % 60);
-            audioInfo.textContent = `Duration: ${minutes}:${seconds.toString().padStart(2, '0')}`;
+            const details = [`Duration: ${minutes}:${seconds.toString().padStart(2, '0')}`];
+            
+            const settings = this.currentAudio?.settings;
+            if (this.currentAudio?.localVoice) {
+                details.push(
+                    `Voice: ${this.currentAudio.localVoice} (local voice)`,
+                    `Speed: ${settings.speed.toFixed(1)}x`
+                );
+            } else if (settings) {
+                const voice = this.voiceCatalog.find(settings.voice);
+                const percent = (value) => `${Math.round(value * 100)}%`;
+                
+                details.push(
+                    `Voice: ${voice?.name || settings.voice}`,
+                    `Stability: ${percent(settings.stability)}`,
+                    `Clarity: ${percent(settings.clarity)}`,
+                    `Style: ${percent(settings.style)}`,
+                    `Speed: ${settings.speed.toFixed(1)}x`
+                );
+                if (settings.preset && settings.preset !== CUSTOM_PRESET) {
+                    details.push(`Preset: ${this.presets[settings.preset]?.label || settings.preset}`);
+                }
+            }
+            
+            audioInfo.textContent = details.join(' • ');
         }
     }
     
     async togglePlayback() {
-        const audioElement = document.getElementById('generated-audio');
+        const audioElement = this.currentAudio?.element;
         if (!audioElement || !this.currentAudio) {
             console.log('🎯 No audio element or currentAudio available');
             return;
@@ -409,19 +1220,8 @@ class ElevenLabsDemo {
             if (audioElement.paused) {
                 console.log('🎯 STARTING DEMO AUDIO - IMPROVED VERSION');
                 
-                // Ensure AudioContext is ready
-                if (window.audioManager && window.audioManager.audioContext) {
-                    if (window.audioManager.audioContext.state === 'suspended') {
-                        console.log('🎯 Resuming AudioContext...');
-                        await window.audioManager.resumeAudioContext();
-                    }
-                }
-                
-                // Stop main audio
-                if (window.audioManager && window.audioManager.isPlaying) {
-                    window.audioManager.pause();
-                    console.log('🎯 Main audio paused');
-                }
+                // Ensure the shared AudioContext is running - the demo plays through it
+                await audioEngine.resume();
                 
                 // Wait for audio to be really ready if needed
                 if (audioElement.readyState < 2) {
@@ -459,16 +1259,406 @@ class ElevenLabsDemo {
             return;
         }
         
+        if (this.currentAudio.localVoice) {
+            this.showToast('Local voice playback cannot be downloaded', 'warning');
+            return;
+        }
+        
+        if (!this.currentAudio.blob) {
+            this.showToast('Audio is still streaming, try again in a moment', 'warning');
+            return;
+        }
+        
+        // The playback URL may be a MediaSource, so export from the collected blob
+        const { settings } = this.currentAudio;
+        const voice = settings && this.voiceCatalog.find(settings.voice);
+        
+        this.openExportDialog({
+            blob: this.currentAudio.blob,
+            text: this.getDisplayText(this.currentAudio),
+            title: this.getDisplayTitle(this.currentAudio),
+            voiceName: voice?.name || settings?.voice
+        });
+    }
+    
+    /**
+     * The typed text as a listener would read it: with markup on, the tags
+     * are dropped so titles and file metadata carry words, not <break>s
+     */
+    getDisplayText({ text = '', markup = false }) {
+        return markup ? stripMarkup(text) : text;
+    }
+    
+    getDisplayTitle(generation) {
+        if (generation.title) {
+            return generation.markup ? stripMarkup(generation.title) : generation.title;
+        }
+        
+        const text = this.getDisplayText(generation);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+    
+    openExportDialog(target) {
+        const modal = document.getElementById('export-modal');
+        if (!modal) {
+            this.downloadBlob(target.blob);
+            return;
+        }
+        
+        this.exportTarget = target;
+        
+        const formatSelect = document.getElementById('export-format');
+        AudioExporter.getFormats().forEach(format => {
+            const option = formatSelect?.querySelector(`option[value="${format.id}"]`);
+            if (option) option.disabled = !format.supported;
+        });
+        if (formatSelect?.selectedOptions[0]?.disabled) formatSelect.value = 'original';
+        
+        const filenameInput = document.getElementById('export-filename');
+        if (filenameInput) filenameInput.value = AudioExporter.createFilename(target.text, 'wav');
+        
+        const status = modal.querySelector('.export-status');
+        if (status) status.textContent = '';
+        
+        this.updateExportOptions();
+        modal.classList.add('active');
+    }
+    
+    closeExportDialog() {
+        document.getElementById('export-modal')?.classList.remove('active');
+        this.exportTarget = null;
+    }
+    
+    getExportExtension(format, audioBlob) {
+        if (format !== 'original') {
+            return AudioExporter.getFormats().find(item => item.id === format).extension;
+        }
+        return { 'audio/wav': 'wav', 'audio/ogg': 'ogg', 'audio/webm': 'webm' }[audioBlob.type.split(';')[0]] || 'mp3';
+    }
+    
+    /**
+     * Show only the options that apply to the chosen format and keep the filename extension in step
+     */
+    updateExportOptions() {
+        const format = document.getElementById('export-format')?.value || 'original';
+        const applicable = {
+            original: [],
+            wav: ['sampleRate', 'bitDepth', 'channels'],
+            mp3: ['sampleRate', 'channels', 'bitrate'],
+            ogg: ['channels', 'bitrate']
+        }[format];
+        
+        document.querySelectorAll('[data-export-option]').forEach(field => {
+            field.style.display = applicable.includes(field.dataset.exportOption) ? '' : 'none';
+        });
+        
+        const filenameInput = document.getElementById('export-filename');
+        if (filenameInput && this.exportTarget) {
+            const stem = filenameInput.value.replace(/\.[a-z0-9]+$/i, '') || 'quantum-synthesis';
+            filenameInput.value = `${stem}.${this.getExportExtension(format, this.exportTarget.blob)}`;
+        }
+    }
+    
+    async runExport() {
+        const target = this.exportTarget;
+        if (!target) return;
+        
+        const modal = document.getElementById('export-modal');
+        const status = modal?.querySelector('.export-status');
+        const confirmBtn = document.getElementById('export-confirm-btn');
+        const value = (id) => document.getElementById(id)?.value;
+        
+        const format = value('export-format') || 'original';
+        const filename = value('export-filename')?.trim() || AudioExporter.createFilename(target.text, this.getExportExtension(format, target.blob));
+        
+        if (format === 'original') {
+            this.downloadBlob(target.blob, filename);
+            this.closeExportDialog();
+            return;
+        }
+        
+        if (confirmBtn) confirmBtn.disabled = true;
+        if (status) status.textContent = '⚙️ Encoding audio...';
+        
+        try {
+            const exported = await this.exporter.export(target.blob, {
+                format,
+                sampleRate: Number(value('export-sample-rate')),
+                bitDepth: Number(value('export-bit-depth')),
+                channels: Number(value('export-channels')),
+                bitrate: Number(value('export-bitrate')),
+                metadata: {
+                    title: target.title,
+                    artist: target.voiceName,
+                    comment: target.text
+                }
+            });
+            
+            this.downloadBlob(exported, filename);
+            this.closeExportDialog();
+        } catch (error) {
+            console.error('Audio export failed:', error);
+            if (status) status.textContent = '';
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        } finally {
+            if (confirmBtn) confirmBtn.disabled = false;
+        }
+    }
+    
+    downloadBlob(audioBlob, filename = null) {
+        const extension = this.getExportExtension('original', audioBlob);
+        const downloadUrl = URL.createObjectURL(audioBlob);
         const link = document.createElement('a');
-        link.href = this.currentAudio.url;
-        link.download = `claude-mcp-synthesis-${Date.now()}.mp3`;
+        link.href = downloadUrl;
+        link.download = filename || `claude-mcp-synthesis-${Date.now()}.${extension}`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
         
         this.showToast('Audio download started', 'success');
     }
     
+    async loadHistory() {
+        if (!this.history) return;
+        
+        try {
+            this.historyEntries = await this.history.list();
+        } catch (error) {
+            console.warn('Generation history unavailable:', error);
+            this.history = null;
+            return;
+        }
+        
+        this.renderHistory();
+    }
+    
+    /**
+     * Keep a finished take so it survives the next generation and page reloads
+     */
+    async saveToHistory(generation, audioBlob) {
+        if (!this.history) return;
+        
+        const { text, speechText, markup, settings } = generation;
+        const voice = this.voiceCatalog.find(settings.voice);
+        
+        try {
+            const entry = {
+                title: this.getDisplayTitle(generation),
+                text,
+                speechText,
+                markup,
+                voiceName: voice?.name || settings.voice,
+                settings,
+                words: this.currentAudio?.words || null,
+                duration: await this.getBlobDuration(audioBlob),
+                blob: audioBlob,
+                createdAt: Date.now()
+            };
+            
+            entry.id = await this.history.add(entry);
+            this.currentAudio.historyId = entry.id;
+            this.historyEntries = await this.history.list();
+            this.renderHistory();
+        } catch (error) {
+            console.warn('Could not save generation to history:', error);
+        }
+    }
+    
+    // Streamed audio may not report a final duration on the player, so measure the blob itself
+    getBlobDuration(audioBlob) {
+        return new Promise((resolve) => {
+            const probe = new Audio();
+            const url = URL.createObjectURL(audioBlob);
+            const finish = (duration) => {
+                clearTimeout(timeout);
+                URL.revokeObjectURL(url);
+                resolve(Number.isFinite(duration) ? duration : null);
+            };
+            const timeout = setTimeout(() => finish(null), 3000);
+            
+            probe.preload = 'metadata';
+            probe.addEventListener('loadedmetadata', () => finish(probe.duration), { once: true });
+            probe.addEventListener('error', () => finish(null), { once: true });
+            probe.src = url;
+        });
+    }
+    
+    renderHistory() {
+        const container = document.getElementById('generation-history');
+        const list = document.getElementById('history-list');
+        if (!container || !list) return;
+        
+        container.style.display = this.historyEntries.length > 0 ? 'block' : 'none';
+        
+        const count = container.querySelector('.history-count');
+        if (count) count.textContent = `${this.historyEntries.length} SAVED`;
+        
+        list.innerHTML = '';
+        this.historyEntries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.dataset.id = entry.id;
+            item.classList.toggle('active', entry.id === this.currentAudio?.historyId);
+            
+            const body = document.createElement('div');
+            body.className = 'history-item-body';
+            
+            const title = document.createElement('div');
+            title.className = 'history-item-title';
+            title.textContent = entry.title;
+            title.title = entry.text;
+            
+            const meta = document.createElement('div');
+            meta.className = 'history-item-meta';
+            meta.textContent = this.describeHistoryEntry(entry);
+            
+            body.append(title, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'history-item-actions';
+            [
+                ['replay', '▶', 'Replay'],
+                ['rename', '✏️', 'Rename'],
+                ['download', '📥', 'Download'],
+                ['load', '⚙️', 'Load text and settings into the form'],
+                ['delete', '🗑️', 'Delete']
+            ].forEach(([action, icon, label]) => {
+                const button = document.createElement('button');
+                button.dataset.historyAction = action;
+                button.textContent = icon;
+                button.title = label;
+                button.setAttribute('aria-label', label);
+                actions.appendChild(button);
+            });
+            
+            item.append(body, actions);
+            list.appendChild(item);
+        });
+    }
+    
+    describeHistoryEntry(entry) {
+        const { settings } = entry;
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const details = [entry.voiceName];
+        
+        if (Number.isFinite(entry.duration)) {
+            const minutes = Math.floor(entry.duration / 60);
+            const seconds = Math.floor(entry.duration % 60);
+            details.push(`${minutes}:${seconds.toString().padStart(2, '0')}`);
+        }
+        
+        details.push(
+            `STB ${percent(settings.stability)} / CLR ${percent(settings.clarity)} / STY ${percent(settings.style)}`,
+            `${settings.speed.toFixed(1)}x`,
+            new Date(entry.createdAt).toLocaleString()
+        );
+        
+        return details.join(' • ');
+    }
+    
+    async handleHistoryAction(action, id) {
+        const entry = this.historyEntries.find(item => item.id === id);
+        if (!entry) return;
+        
+        try {
+            switch (action) {
+                case 'replay':
+                    await this.replayHistoryEntry(entry);
+                    break;
+                case 'rename':
+                    await this.renameHistoryEntry(entry);
+                    break;
+                case 'download':
+                    this.openExportDialog({
+                        blob: entry.blob,
+                        text: this.getDisplayText(entry),
+                        title: this.getDisplayTitle(entry),
+                        voiceName: entry.voiceName
+                    });
+                    break;
+                case 'load':
+                    this.loadHistorySettings(entry);
+                    break;
+                case 'delete':
+                    await this.deleteHistoryEntry(entry);
+                    break;
+            }
+        } catch (error) {
+            console.error(`History ${action} failed:`, error);
+            this.showToast(`Could not ${action} this take`, 'error');
+        }
+    }
+    
+    async replayHistoryEntry(entry) {
+        if (this.isGenerating) return;
+        
+        this.stopPreview();
+        await this.displayResult(entry.blob, {
+            text: entry.text,
+            title: entry.title,
+            markup: entry.markup,
+            speechText: entry.speechText,
+            settings: entry.settings,
+            words: entry.words,
+            historyId: entry.id
+        });
+        await this.prepareWordTimings(entry.blob);
+        this.renderHistory();
+        
+        if (!this.isPlaying()) await this.togglePlayback();
+    }
+    
+    async renameHistoryEntry(entry) {
+        const title = window.prompt('Rename take:', entry.title)?.trim();
+        if (!title || title === entry.title) return;
+        
+        const updated = await this.history.update(entry.id, { title });
+        this.historyEntries = this.historyEntries.map(item => item.id === entry.id ? updated : item);
+        this.renderHistory();
+    }
+    
+    async deleteHistoryEntry(entry) {
+        if (!window.confirm(`Delete "${entry.title}" from history?`)) return;
+        
+        await this.history.delete(entry.id);
+        this.historyEntries = this.historyEntries.filter(item => item.id !== entry.id);
+        this.renderHistory();
+    }
+    
+    /**
+     * Put a take's text, voice and settings back into the form for another pass
+     */
+    loadHistorySettings(entry) {
+        const textInput = document.getElementById('demo-text-input');
+        if (textInput) textInput.value = entry.text;
+        
+        this.markupMode = !!entry.markup;
+        const markupToggle = document.getElementById('markup-mode-toggle');
+        if (markupToggle) markupToggle.checked = this.markupMode;
+        
+        // The voice may be hidden by the language filter
+        const voice = this.voiceCatalog.find(entry.settings.voice);
+        if (voice && !this.voiceCatalog.filterByLanguage(this.voiceLanguage).includes(voice)) {
+            this.voiceLanguage = 'all';
+            const languageFilter = document.getElementById('voice-language-filter');
+            if (languageFilter) languageFilter.value = 'all';
+            this.populateVoiceSelect();
+        }
+        this.setVoice(entry.settings.voice);
+        
+        if (typeof entry.settings.sentencePause === 'number') {
+            this.settings.sentencePause = entry.settings.sentencePause;
+        }
+        this.setVoiceSettings(entry.settings, { fromPreset: true });
+        this.activePreset = this.presets[entry.settings.preset] ? entry.settings.preset : CUSTOM_PRESET;
+        this.updatePresetSelect();
+        this.saveSettings();
+        
+        this.updateCharacterCount();
+        this.showToast('Settings loaded from history', 'success');
+    }
+    
     showToast(message, type = 'info') {
         // Remove existing toast
         const existingToast = document.querySelector('.toast-notification');
@@ -522,6 +1712,7 @@ class ElevenLabsDemo {
         // Create bound event handlers to prevent memory leaks
         this.audioEventListeners = {
             loadedmetadata: () => this.updateAudioInfo(audioElement.duration),
+            durationchange: () => this.updateAudioInfo(audioElement.duration),
             loadstart: () => this.onDemoAudioLoadStart(),
             canplay: () => this.onDemoAudioCanPlay(),
             canplaythrough: () => this.onDemoAudioCanPlayThrough(),
@@ -542,23 +1733,8 @@ class ElevenLabsDemo {
     async onDemoAudioCanPlay() {
         console.log('Demo audio can play - preparing for smooth playback');
         
-        // Pre-prepare audio context when audio becomes ready
-        if (window.audioManager && window.audioManager.audioContext) {
-            try {
-                // Resume audio context proactively when the demo audio is ready
-                if (window.audioManager.audioContext.state === 'suspended') {
-                    await window.audioManager.resumeAudioContext();
-                    console.log('AudioContext pre-resumed for demo in canplay event');
-                }
-            } catch (error) {
-                console.warn('Could not pre-resume AudioContext:', error);
-            }
-        }
-        
-        // Also try to create AudioContext if it doesn't exist
-        if (!window.audioManager || !window.audioManager.audioContext) {
-            console.log('No AudioContext found, this might cause issues');
-        }
+        // Resume the shared audio context proactively when the demo audio is ready
+        await audioEngine.resume();
         
         // Mark that demo audio is ready for playback
         this.isDemoReady = true;
@@ -605,28 +1781,16 @@ class ElevenLabsDemo {
             playPauseBtn.textContent = '⏸';
         }
         
-        // Ensure audio context is ready for both main and demo audio
-        if (window.audioManager && window.audioManager.audioContext) {
-            try {
-                await window.audioManager.resumeAudioContext();
-                console.log('AudioContext resumed for demo playback');
-            } catch (error) {
-                console.warn('Could not resume AudioContext:', error);
-            }
-        }
-        
-        // Stop main audio immediately when demo plays
-        if (window.audioManager && window.audioManager.isPlaying) {
-            console.log('Stopping main audio for demo playback');
-            window.audioManager.pause();
-        }
+        // Ensure the shared audio context is running; the audio engine ducks
+        // the narration for as long as the demo plays
+        await audioEngine.resume();
         
         // Start progress tracking
+        this.showKaraoke();
         this.startProgressTracking();
         
         // Create demo audio manager reference for global coordination
         window.demoAudioManager = this;
-        this.shouldRestoreMainAudio = false; // Don't auto-restore while demo is playing
     }
     
     onDemoAudioPause() {
@@ -662,7 +1826,11 @@ class ElevenLabsDemo {
         
         this.progressInterval = setInterval(() => {
             const audioElement = this.currentAudio?.element;
-            if (audioElement && !audioElement.paused) {
+            if (!audioElement || audioElement.paused) return;
+            
+            this.karaoke?.update(audioElement.currentTime);
+            
+            if (Number.isFinite(audioElement.duration)) {
                 const progress = (audioElement.currentTime / audioElement.duration) * 100;
                 const progressBar = document.getElementById('demo-progress');
                 if (progressBar) {
@@ -696,16 +1864,7 @@ class ElevenLabsDemo {
         
         // Stop progress tracking
         this.stopProgressTracking();
-        
-        this.shouldRestoreMainAudio = true;
-        
-        // Restore main audio after demo ends
-        if (window.audioManager) {
-            setTimeout(() => {
-                console.log('🎵 Demo ended naturally - restoring main audio');
-                window.audioManager.play();
-            }, 500);
-        }
+        this.karaoke?.reset();
     }
     
     // Method to stop demo audio (called from external systems)
@@ -760,21 +1919,9 @@ class ElevenLabsDemo {
             if (currentTime > 5) {
                 console.log('🎯 User scrolled significantly away from demo after', currentTime, 'seconds - stopping demo audio');
                 this.stop();
-                this.shouldRestoreMainAudio = true;
-                
-                // Restore main audio after scrolling away with a longer delay
-                if (window.audioManager) {
-                    setTimeout(() => {
-                        console.log('🎵 Restoring main audio after leaving demo section');
-                        window.audioManager.play();
-                    }, 500);
-                }
             } else {
                 console.log('🎯 Demo playing but not long enough to stop (', currentTime, 's) - continuing');
             }
-        } else if (isVisible && this.isPlaying()) {
-            // Demo is visible and playing - don't restore main audio
-            this.shouldRestoreMainAudio = false;
         }
     }
 
@@ -788,19 +1935,18 @@ class ElevenLabsDemo {
     }
     
     setVoice(voiceId) {
-        if (this.voices.find(v => v.id === voiceId)) {
-            this.settings.voice = voiceId;
+        const voice = this.voiceCatalog.find(voiceId);
+        if (voice) {
+            this.settings.voice = voice.id;
             const voiceSelect = document.getElementById('voice-select');
-            if (voiceSelect) voiceSelect.value = voiceId;
+            if (voiceSelect) voiceSelect.value = voice.id;
             this.updateVoiceInfo();
+            this.saveSettings();
         }
     }
     
     setSpeed(speed) {
-        this.settings.speed = Math.max(0.5, Math.min(2.0, speed));
-        const speedSlider = document.getElementById('speed-slider');
-        if (speedSlider) speedSlider.value = this.settings.speed;
-        this.updateSpeedDisplay();
+        this.setVoiceSettings({ speed });
     }
     
     getStatus() {
@@ -817,8 +1963,17 @@ class ElevenLabsDemo {
             URL.revokeObjectURL(this.currentAudio.url);
         }
         
+        this.stopPreview();
+        this.longForm.abort();
+        this.exporter.terminate();
+        this.closeExportDialog();
+        this.hideKaraoke();
+        this.previewCache.forEach(url => URL.revokeObjectURL(url));
+        this.previewCache.clear();
+        
         // Clean up audio event listeners
         if (this.currentAudio?.element) {
+            this.currentAudio.element.pause();
             this.removeAudioEventListeners(this.currentAudio.element);
         }
         
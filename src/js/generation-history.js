@@ -0,0 +1,109 @@
+/**
+ * Generation History
+ * Persists synthesized takes in IndexedDB - audio blobs are far too large
+ * for localStorage - so earlier outputs survive new generations and reloads
+ */
+
+const STORE_NAME = 'generations';
+
+class GenerationHistory {
+    constructor(options = {}) {
+        this.options = {
+            dbName: 'elevenLabsDemoHistory',
+            maxEntries: 50,
+            ...options
+        };
+
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof window.indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a single request in its own transaction and resolve with its result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        });
+    }
+
+    async add(entry) {
+        const id = await this.run('readwrite', store => store.add({ ...entry, createdAt: entry.createdAt || Date.now() }));
+        await this.prune();
+        return id;
+    }
+
+    /**
+     * All entries, newest first
+     */
+    async list() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    async update(id, changes) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error('History entry not found');
+
+        const updated = { ...entry, ...changes, id };
+        await this.run('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    // Drop the oldest takes once the history outgrows maxEntries
+    async prune() {
+        const count = await this.run('readonly', store => store.count());
+        let excess = count - this.options.maxEntries;
+        if (excess <= 0) return;
+
+        await this.run('readwrite', store => {
+            const request = store.index('createdAt').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            return request;
+        });
+    }
+}
+
+// Export for module usage
+export default GenerationHistory;
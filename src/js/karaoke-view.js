@@ -0,0 +1,95 @@
+/**
+ * Karaoke View
+ * Renders the spoken words of a generation and highlights the current one
+ * as the audio plays; clicking a word seeks to it
+ */
+
+class KaraokeView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.wordsElement = container.querySelector('.karaoke-words') || container;
+        this.onSeek = options.onSeek || null;
+
+        this.words = [];
+        this.elements = [];
+        this.activeIndex = -1;
+
+        this.wordsElement.addEventListener('click', (e) => {
+            const element = e.target.closest('.karaoke-word');
+            if (!element) return;
+
+            const word = this.words[Number(element.dataset.index)];
+            if (word) this.onSeek?.(word.start);
+        });
+    }
+
+    /**
+     * @param {Array<{ text: string, start: number, end: number }>} words
+     */
+    render(words) {
+        this.words = words || [];
+        this.activeIndex = -1;
+        this.wordsElement.innerHTML = '';
+
+        this.elements = this.words.map((word, index) => {
+            const element = document.createElement('span');
+            element.className = 'karaoke-word';
+            element.dataset.index = index;
+            element.textContent = word.text;
+            element.title = `${word.start.toFixed(2)}s`;
+
+            this.wordsElement.appendChild(element);
+            this.wordsElement.appendChild(document.createTextNode(' '));
+            return element;
+        });
+    }
+
+    /**
+     * Highlight the most recently started word at the given playback time
+     */
+    update(time) {
+        let low = 0;
+        let high = this.words.length - 1;
+        let index = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.words[middle].start <= time) {
+                index = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        if (index === this.activeIndex) return;
+
+        this.elements.forEach((element, i) => {
+            element.classList.toggle('active', i === index);
+            element.classList.toggle('spoken', i < index);
+        });
+        this.activeIndex = index;
+
+        this.elements[index]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    reset() {
+        this.activeIndex = -1;
+        this.elements.forEach(element => element.classList.remove('active', 'spoken'));
+    }
+
+    show() {
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    isVisible() {
+        return this.container.style.display !== 'none';
+    }
+}
+
+// Export for module usage
+export default KaraokeView;
@@ -0,0 +1,125 @@
+/**
+ * Language Registry
+ * The narration languages available to the audio manager, each with its own
+ * audio, timeline and caption files. Languages come from a JSON manifest so a
+ * new narration is added by configuration alone.
+ */
+
+// Used when the manifest cannot be loaded, so the page still narrates
+const FALLBACK_LANGUAGE = {
+    code: 'en',
+    label: 'English',
+    shortLabel: 'EN',
+    direction: 'ltr',
+    aliases: ['english'],
+    audio: './src/assets/audio/neuroscience_explanation_english.mp3',
+    timeline: './src/assets/timelines/english.json',
+    captions: './src/assets/captions/english.vtt'
+};
+
+class LanguageRegistry {
+    constructor(options = {}) {
+        this.options = {
+            manifestUrl: './src/assets/languages.json',
+            ...options
+        };
+
+        this.languages = [];
+        this.defaultCode = null;
+    }
+
+    /**
+     * Load the manifest, or use the languages passed in the options instead
+     */
+    async load() {
+        if (this.options.languages) {
+            this.options.languages.forEach(language => this.register(language));
+            this.defaultCode = this.options.default || this.languages[0]?.code || null;
+            return this.languages;
+        }
+
+        try {
+            const response = await fetch(this.options.manifestUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            (data.languages || []).forEach(language => {
+                try {
+                    this.register(language);
+                } catch (error) {
+                    console.warn('Skipping narration language:', error.message);
+                }
+            });
+            this.defaultCode = data.default || null;
+        } catch (error) {
+            console.warn('Narration language manifest unavailable:', error.message);
+        }
+
+        if (this.languages.length === 0) this.register(FALLBACK_LANGUAGE);
+        if (!this.get(this.defaultCode)) this.defaultCode = this.languages[0].code;
+
+        return this.languages;
+    }
+
+    /**
+     * Add or replace a language; audio is required, timeline and captions are optional
+     */
+    register(language) {
+        if (!language?.code || typeof language.code !== 'string') {
+            throw new Error('Narration language needs a code');
+        }
+        if (!language.audio) {
+            throw new Error(`Narration language ${language.code} has no audio file`);
+        }
+
+        const entry = {
+            code: language.code.toLowerCase(),
+            label: language.label || language.code,
+            shortLabel: language.shortLabel || language.code.toUpperCase(),
+            direction: language.direction === 'rtl' ? 'rtl' : 'ltr',
+            aliases: (language.aliases || []).map(alias => alias.toLowerCase()),
+            audio: language.audio,
+            timeline: language.timeline || null,
+            captions: language.captions || null
+        };
+
+        this.languages = [...this.languages.filter(item => item.code !== entry.code), entry];
+        return entry;
+    }
+
+    /**
+     * Look up a language by code ("he"), regional tag ("he-IL") or alias ("hebrew")
+     */
+    get(codeOrAlias) {
+        if (!codeOrAlias) return null;
+
+        const key = String(codeOrAlias).toLowerCase();
+        const base = key.split('-')[0];
+        return this.languages.find(language => language.code === key)
+            || this.languages.find(language => language.aliases.includes(key))
+            || this.languages.find(language => language.code === base)
+            || null;
+    }
+
+    list() {
+        return [...this.languages];
+    }
+
+    getDefault() {
+        return this.get(this.defaultCode);
+    }
+
+    /**
+     * The first of the user's preferred languages we have a narration for
+     */
+    match(preferredLanguages = navigator.languages || [navigator.language]) {
+        for (const tag of preferredLanguages.filter(Boolean)) {
+            const language = this.get(tag);
+            if (language) return language;
+        }
+        return this.getDefault();
+    }
+}
+
+// Export for module usage
+export default LanguageRegistry;
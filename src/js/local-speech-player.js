@@ -0,0 +1,208 @@
+/**
+ * Local Speech Player
+ * Speaks text with the browser's own SpeechSynthesis engine when the TTS
+ * backend is out of reach. It mirrors the slice of HTMLAudioElement the demo
+ * drives (play, pause, currentTime, duration and media events) so the regular
+ * player controls work unchanged.
+ */
+
+import { estimateWordTimings } from './speech-alignment.js';
+
+// Typical speaking rate of the built-in engines at rate 1
+const CHARACTERS_PER_SECOND = 14;
+
+class LocalSpeechPlayer extends EventTarget {
+    constructor(text, options = {}) {
+        super();
+
+        this.text = text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        this.voice = options.voice || null;
+        this.rate = options.rate || 1;
+        this.pitch = options.pitch ?? 1;
+
+        // Media element surface read by the demo
+        this.src = '';
+        this.preload = 'auto';
+        this.muted = false;
+        this.volume = options.volume ?? 1;
+        this.readyState = 4;
+        this.networkState = 1;
+        this.paused = true;
+        this.ended = false;
+        this.error = null;
+        this.duration = this.text.length / (CHARACTERS_PER_SECOND * this.rate);
+
+        this.words = this.createWordTimeline();
+        this.utterance = null;
+        this.position = 0; // seconds reached at the last word boundary
+        this.positionUpdatedAt = 0;
+    }
+
+    static isSupported() {
+        return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Installed voices - some browsers only fill the list after voiceschanged
+     */
+    static getVoices(timeout = 1500) {
+        const voices = speechSynthesis.getVoices();
+        if (voices.length > 0) return Promise.resolve(voices);
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                speechSynthesis.removeEventListener('voiceschanged', done);
+                resolve(speechSynthesis.getVoices());
+            };
+            const timer = setTimeout(done, timeout);
+            speechSynthesis.addEventListener('voiceschanged', done);
+        });
+    }
+
+    /**
+     * The installed voice closest to a catalog voice: same language first,
+     * then matching gender, then voices that work without a network
+     */
+    static findVoice(voices, { language = 'en', gender = null } = {}) {
+        const score = (voice) => {
+            const lang = voice.lang.toLowerCase();
+            const name = voice.name.toLowerCase();
+            let points = 0;
+
+            if (lang === language || lang.startsWith(`${language}-`)) points += 8;
+            if (gender && new RegExp(`\\b${gender.toLowerCase()}\\b`).test(name)) points += 3;
+            if (voice.localService) points += 1;
+            if (voice.default) points += 1;
+            return points;
+        };
+
+        return voices.reduce((best, voice) => (!best || score(voice) > score(best) ? voice : best), null);
+    }
+
+    // Word start times spread over the estimated duration, with their offsets in the text
+    createWordTimeline() {
+        let searchFrom = 0;
+
+        return estimateWordTimings(this.text, { start: 0, end: this.duration }).map(word => {
+            const offset = this.text.indexOf(word.text, searchFrom);
+            searchFrom = offset + word.text.length;
+            return { ...word, offset };
+        });
+    }
+
+    get currentTime() {
+        if (this.paused) return this.position;
+
+        const elapsed = (performance.now() - this.positionUpdatedAt) / 1000;
+        return Math.min(this.duration, this.position + elapsed);
+    }
+
+    set currentTime(time) {
+        const wasPlaying = !this.paused;
+        this.stopSpeaking();
+
+        this.position = Math.max(0, Math.min(this.duration, time));
+        this.positionUpdatedAt = performance.now();
+        this.ended = false;
+        this.dispatchEvent(new Event('timeupdate'));
+
+        if (wasPlaying) this.speak();
+    }
+
+    load() {
+        // Nothing to fetch - report readiness like a loaded media element would
+        setTimeout(() => {
+            ['loadedmetadata', 'durationchange', 'canplay', 'canplaythrough'].forEach(type => {
+                this.dispatchEvent(new Event(type));
+            });
+        }, 0);
+    }
+
+    async play() {
+        if (!this.paused) return;
+
+        if (this.ended) {
+            this.position = 0;
+            this.ended = false;
+        }
+
+        this.paused = false;
+        this.speak();
+        this.dispatchEvent(new Event('play'));
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.position = this.currentTime;
+        this.stopSpeaking();
+        this.paused = true;
+        this.dispatchEvent(new Event('pause'));
+    }
+
+    /**
+     * Speak from the word at the current position; the engine's own pause and
+     * resume are unreliable across browsers, so pausing cancels and play restarts
+     */
+    speak() {
+        const word = [...this.words].reverse().find(item => item.start <= this.position) || this.words[0];
+        const offset = word?.offset || 0;
+        if (word) this.position = word.start;
+
+        const utterance = new SpeechSynthesisUtterance(this.text.slice(offset));
+        utterance.voice = this.voice;
+        utterance.lang = this.voice?.lang || document.documentElement.lang || 'en';
+        utterance.rate = this.rate;
+        utterance.pitch = this.pitch;
+        utterance.volume = this.muted ? 0 : this.volume;
+
+        utterance.onboundary = (event) => {
+            if (utterance !== this.utterance || event.name !== 'word') return;
+
+            const charIndex = offset + event.charIndex;
+            const current = this.words.find(item => item.offset >= charIndex);
+            if (current) {
+                this.position = current.start;
+                this.positionUpdatedAt = performance.now();
+            }
+        };
+        utterance.onend = () => {
+            if (utterance !== this.utterance) return;
+            this.finish();
+        };
+        utterance.onerror = (event) => {
+            if (utterance !== this.utterance) return;
+            if (event.error === 'interrupted' || event.error === 'canceled') return;
+
+            this.utterance = null;
+            this.paused = true;
+            this.error = { message: `Speech synthesis failed: ${event.error}` };
+            this.dispatchEvent(new Event('error'));
+        };
+
+        this.utterance = utterance;
+        this.positionUpdatedAt = performance.now();
+        speechSynthesis.cancel();
+        speechSynthesis.speak(utterance);
+    }
+
+    stopSpeaking() {
+        if (!this.utterance) return;
+
+        // Drop the reference first so the cancelled utterance's events are ignored
+        this.utterance = null;
+        speechSynthesis.cancel();
+    }
+
+    finish() {
+        this.utterance = null;
+        this.position = this.duration;
+        this.paused = true;
+        this.ended = true;
+        this.dispatchEvent(new Event('ended'));
+    }
+}
+
+// Export for module usage
+export default LocalSpeechPlayer;
@@ -0,0 +1,191 @@
+/**
+ * Long-Form Synthesizer
+ * Narrates text beyond a single request's limit: synthesizes chunks with a
+ * concurrency cap and retries, then stitches them into one WAV track with
+ * pauses between sentences and paragraphs
+ */
+
+import { chunkText } from './text-chunker.js';
+import { encodeWav } from './mock-tts.js';
+import StreamingAudioLoader from './streaming-audio.js';
+
+class LongFormSynthesizer {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.options = {
+            maxChunkLength: 400,
+            concurrency: 2,
+            retries: 2,
+            retryDelay: 800,
+            sampleRate: 44100,
+            sentencePause: 0.35,
+            ...options
+        };
+
+        this.chunks = [];
+        this.buffers = [];
+        this.request = null;
+        this.controller = null;
+        this.decoder = null;
+    }
+
+    /**
+     * Split text the way synthesize() will, without making any requests
+     */
+    split(text) {
+        return chunkText(text, { maxLength: this.options.maxChunkLength });
+    }
+
+    /**
+     * Synthesize every chunk of the text
+     * @returns {Promise<{ blob: Blob|null, failed: Array }>} blob is null while any chunk has failed
+     */
+    async synthesize(text, { voiceId, voiceSettings, onChunkUpdate } = {}) {
+        this.abort();
+
+        this.controller = new AbortController();
+        this.request = { voiceId, voiceSettings, onChunkUpdate };
+        this.chunks = this.split(text).map(chunk => ({
+            ...chunk,
+            status: 'pending',
+            attempts: 0,
+            bytes: 0,
+            error: null
+        }));
+        this.buffers = new Array(this.chunks.length).fill(null);
+
+        this.chunks.forEach(chunk => onChunkUpdate?.(chunk, this.chunks));
+
+        await this.runPool(this.chunks);
+        return this.finish();
+    }
+
+    /**
+     * Re-run the failed chunks of the last synthesis
+     */
+    async retryFailed() {
+        const failed = this.chunks.filter(chunk => chunk.status === 'failed');
+        if (!this.request || failed.length === 0) return this.finish();
+
+        this.controller = new AbortController();
+        failed.forEach(chunk => {
+            chunk.status = 'pending';
+            chunk.attempts = 0;
+            chunk.error = null;
+            this.request.onChunkUpdate?.(chunk, this.chunks);
+        });
+
+        await this.runPool(failed);
+        return this.finish();
+    }
+
+    finish() {
+        const failed = this.chunks.filter(chunk => chunk.status !== 'done');
+        return { blob: failed.length === 0 ? this.stitch() : null, failed };
+    }
+
+    /**
+     * Work through the queue with at most `concurrency` requests in flight
+     */
+    async runPool(chunks) {
+        const queue = [...chunks];
+        const workers = Array.from({ length: Math.min(this.options.concurrency, queue.length) }, async () => {
+            while (queue.length > 0) {
+                await this.runChunk(queue.shift());
+            }
+        });
+
+        await Promise.all(workers);
+    }
+
+    async runChunk(chunk) {
+        // Hold on to this run's state in case a new synthesis replaces it mid-request
+        const { voiceId, voiceSettings, onChunkUpdate } = this.request;
+        const { buffers, chunks } = this;
+        const signal = this.controller.signal;
+
+        while (chunk.attempts <= this.options.retries) {
+            chunk.attempts++;
+            chunk.status = 'active';
+            chunk.bytes = 0;
+            onChunkUpdate?.(chunk, chunks);
+
+            try {
+                const response = await this.provider.synthesize({ text: chunk.text, voiceId, voiceSettings, signal });
+                const audioBlob = await StreamingAudioLoader.readBlob(response, (bytes) => {
+                    chunk.bytes = bytes;
+                    onChunkUpdate?.(chunk, chunks);
+                });
+
+                buffers[chunk.index] = await this.decode(await audioBlob.arrayBuffer());
+                chunk.status = 'done';
+                chunk.error = null;
+                onChunkUpdate?.(chunk, chunks);
+                return;
+            } catch (error) {
+                chunk.error = error;
+                if (signal.aborted || !this.isRetryable(error)) break;
+
+                console.warn(`Chunk ${chunk.index + 1} failed (attempt ${chunk.attempts}):`, error.message);
+                if (chunk.attempts <= this.options.retries) {
+                    await new Promise(resolve => setTimeout(resolve, this.options.retryDelay * chunk.attempts));
+                }
+            }
+        }
+
+        chunk.status = 'failed';
+        onChunkUpdate?.(chunk, chunks);
+    }
+
+    // Client errors other than rate limiting will fail the same way again
+    isRetryable(error) {
+        return !error.status || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Decode to PCM at the output sample rate (an offline context resamples for us)
+     */
+    decode(audioData) {
+        if (!this.decoder) {
+            this.decoder = new OfflineAudioContext(1, 1, this.options.sampleRate);
+        }
+        return this.decoder.decodeAudioData(audioData);
+    }
+
+    getPause(pauseAfter) {
+        const { sentencePause } = this.options;
+        const pauses = { clause: sentencePause / 3, sentence: sentencePause, paragraph: sentencePause * 2 };
+        return pauses[pauseAfter] || 0;
+    }
+
+    /**
+     * Join the decoded chunks into a single mono WAV
+     */
+    stitch() {
+        const { sampleRate } = this.options;
+        const gaps = this.chunks.map(chunk => Math.round(this.getPause(chunk.pauseAfter) * sampleRate));
+        const totalLength = this.buffers.reduce((sum, buffer, i) => sum + buffer.length + gaps[i], 0);
+        const samples = new Float32Array(totalLength);
+        let offset = 0;
+
+        this.buffers.forEach((buffer, i) => {
+            // Down-mix to mono
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                const data = buffer.getChannelData(channel);
+                for (let j = 0; j < data.length; j++) {
+                    samples[offset + j] += data[j] / buffer.numberOfChannels;
+                }
+            }
+            offset += buffer.length + gaps[i];
+        });
+
+        return new Blob([encodeWav(samples, sampleRate)], { type: 'audio/wav' });
+    }
+
+    abort() {
+        this.controller?.abort();
+    }
+}
+
+// Export for module usage
+export default LongFormSynthesizer;
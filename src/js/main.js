@@ -37,6 +37,8 @@ class ClaudeMCPShowcase {
         this.particles = [];
         this.audioContext = null;
         this.audioAnalyser = null;
+        this.audioEnergy = { bass: 0, rms: 0 }; // latest narration band energies
+        this.audioBeat = false; // set by a beat onset, consumed by the next particle tick
         this.mouse = { x: 0, y: 0, isMoving: false };
         this.scrollPosition = 0;
         this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -194,16 +196,25 @@ class ClaudeMCPShowcase {
     }
 
     async initializeAudio() {
-        if (!window.AudioContext && !window.webkitAudioContext) {
+        // The page's shared audio engine owns the one AudioContext; this is a
+        // classic script, so it is reached through the global the page sets
+        const audioEngine = window.audioEngine;
+        if (!audioEngine) {
+            console.warn('Shared audio engine not loaded - audio analysis disabled');
+            return;
+        }
+        
+        const context = audioEngine.getContext();
+        if (!context) {
             console.warn('Web Audio API not supported');
             return;
         }
         
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.audioAnalyser = this.audioContext.createAnalyser();
+            this.audioContext = context;
+            this.audioAnalyser = context.createAnalyser();
             this.audioAnalyser.fftSize = 256;
-            this.audioAnalyser.connect(this.audioContext.destination);
+            this.audioAnalyser.connect(audioEngine.getBus('sfx'));
         } catch (error) {
             console.warn('Failed to initialize audio context:', error);
         }
@@ -760,6 +771,12 @@ class ClaudeMCPShowcase {
     initParticleSystem() {
         this.createParticles();
         this.animateParticles();
+        
+        // Particles speed up with the narration's bass and scatter on beats
+        window.audioManager?.subscribe?.((frame) => {
+            this.audioEnergy = frame;
+            if (frame.beat) this.audioBeat = true;
+        });
     }
 
     createParticles() {
@@ -794,10 +811,19 @@ class ClaudeMCPShowcase {
 
     animateParticles() {
         const updateParticles = () => {
+            const boost = 1 + this.audioEnergy.bass * 2;
+            const kick = this.audioBeat;
+            this.audioBeat = false;
+            
             this.particles.forEach(particle => {
+                if (kick) {
+                    particle.vx += (Math.random() - 0.5) * 3;
+                    particle.vy += (Math.random() - 0.5) * 3;
+                }
+                
                 // Update position
-                particle.x += particle.vx;
-                particle.y += particle.vy;
+                particle.x += particle.vx * boost;
+                particle.y += particle.vy * boost;
                 
                 // Boundary checking
                 if (particle.x < 0 || particle.x > window.innerWidth) {
@@ -823,7 +849,8 @@ class ClaudeMCPShowcase {
                 // Apply position
                 gsap.set(particle.element, {
                     x: particle.x,
-                    y: particle.y
+                    y: particle.y,
+                    scale: 1 + this.audioEnergy.rms * 3
                 });
                 
                 // Damping
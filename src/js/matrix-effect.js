@@ -2,6 +2,8 @@
  * Matrix Effect Manager - Creates the iconic Matrix rain effect
  * Inspired by the legendary Matrix digital rain from the movies
  */
+
+import { audioEngine } from './audio-engine.js';
 class MatrixEffect {
     constructor() {
         this.isActive = false;
@@ -200,13 +202,9 @@ class MatrixEffect {
      */
     syncAudioToMCP() {
         if (window.audioManager) {
-            // Find the MCP section timing
-            const mcpSection = window.audioManager.sections.find(section => section.id === 'mcp');
-            if (mcpSection) {
-                console.log(`🎵 Matrix: Syncing audio to MCP section - startTime: ${mcpSection.startTime}s`);
-                
-                // Start from beginning of MCP section
-                window.audioManager.seekTo(mcpSection.startTime);
+            // Start from beginning of the MCP section in the current language's timeline
+            if (window.audioManager.seekToSection('mcp')) {
+                console.log('🎵 Matrix: Syncing audio to MCP section');
                 
                 // Start playing if not already playing
                 if (!window.audioManager.isPlaying) {
@@ -273,7 +271,9 @@ class MatrixSounds {
     
     async init() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // Shared with the narration and demo, so effects duck rather than clash
+            this.audioContext = audioEngine.getContext();
+            if (!this.audioContext) throw new Error('AudioContext unavailable');
             this.createSounds();
         } catch (error) {
             console.warn('Web Audio API not supported:', error);
@@ -299,7 +299,7 @@ class MatrixSounds {
             const gainNode = this.audioContext.createGain();
             
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectEffect(gainNode, duration);
             
             oscillator.frequency.setValueAtTime(startFreq, this.audioContext.currentTime);
             oscillator.frequency.exponentialRampToValueAtTime(endFreq, this.audioContext.currentTime + duration);
@@ -320,7 +320,7 @@ class MatrixSounds {
             const gainNode = this.audioContext.createGain();
             
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectEffect(gainNode, duration);
             
             oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
             gainNode.gain.setValueAtTime(0.05, this.audioContext.currentTime);
@@ -339,7 +339,7 @@ class MatrixSounds {
             const gainNode = this.audioContext.createGain();
             
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectEffect(gainNode, duration);
             
             oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
             gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
@@ -350,6 +350,12 @@ class MatrixSounds {
         };
     }
     
+    // Effects play on the shared sfx bus and duck the narration while they last
+    connectEffect(node, duration) {
+        node.connect(audioEngine.getBus('sfx'));
+        audioEngine.activate('sfx', duration);
+    }
+    
     play(soundName) {
         if (this.sounds[soundName]) {
             this.sounds[soundName]();
@@ -357,9 +363,7 @@ class MatrixSounds {
     }
     
     async resume() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
-        }
+        await audioEngine.resume();
     }
 }
 
@@ -0,0 +1,253 @@
+/**
+ * Deterministic Mock Speech Synthesizer
+ * Generates voice-like WAV audio from text without any network access,
+ * shared by the local /api/tts mock and the in-browser mock provider
+ */
+
+const DEFAULT_SAMPLE_RATE = 22050;
+
+// Base pitch (Hz) per ElevenLabs voice id - unknown voices get a pitch derived from their id
+const VOICE_PITCH = {
+    '21m00Tcm4TlvDq8ikWAM': 210, // Rachel
+    '2EiwWnXFnvU5JabPnv8n': 105, // Clyde
+    '9BWtsMINqrJLrRacOk9x': 245  // Aria
+};
+
+const PAUSES = {
+    word: 0.06,
+    comma: 0.22,
+    sentence: 0.42
+};
+
+/**
+ * FNV-1a string hash, used to seed the synthesizer
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so identical input yields identical audio
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function countSyllables(word) {
+    const groups = word.toLowerCase().match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : Math.ceil(word.length / 3));
+}
+
+/**
+ * Split text into words and pause markers, honouring <break> tags
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /<break\s+time="(\d+(?:\.\d+)?)(ms|s)"\s*\/>|<[^>]*>|([^\s.,;:!?<]+)|([.!?]+)|([,;:]+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1]) {
+            const seconds = parseFloat(match[1]) / (match[2] === 'ms' ? 1000 : 1);
+            tokens.push({ type: 'pause', duration: seconds });
+        } else if (match[0].startsWith('<')) {
+            // Other markup (e.g. phoneme tags) is not pronounced - its inner text still is
+            continue;
+        } else if (match[3]) {
+            tokens.push({ type: 'word', value: match[3], index: match.index });
+        } else if (match[4]) {
+            tokens.push({ type: 'pause', duration: PAUSES.sentence });
+        } else {
+            tokens.push({ type: 'pause', duration: PAUSES.comma });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Per-character timings in the ElevenLabs alignment shape - characters inside a
+ * word are spread across its syllables, everything else sits at the preceding edge
+ */
+function buildAlignment(text, words) {
+    const starts = new Array(text.length).fill(null);
+    const ends = new Array(text.length).fill(null);
+
+    words.forEach(({ index, length, start, end }) => {
+        const step = (end - start) / length;
+        for (let i = 0; i < length; i++) {
+            starts[index + i] = start + step * i;
+            ends[index + i] = start + step * (i + 1);
+        }
+    });
+
+    let edge = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (starts[i] === null) {
+            starts[i] = edge;
+            ends[i] = edge;
+        }
+        edge = ends[i];
+    }
+
+    return {
+        characters: text.split(''),
+        character_start_times_seconds: starts.map(time => +time.toFixed(3)),
+        character_end_times_seconds: ends.map(time => +time.toFixed(3))
+    };
+}
+
+/**
+ * Synthesize mono PCM samples for the given text, with the timing of every character
+ * @returns {{ samples: Float32Array, sampleRate: number, alignment: object }}
+ */
+export function synthesizeMockSpeech(text, options = {}) {
+    const {
+        voiceId = '21m00Tcm4TlvDq8ikWAM',
+        speed = 1.0,
+        stability = 0.5,
+        sampleRate = DEFAULT_SAMPLE_RATE
+    } = options;
+
+    const rate = Math.max(0.7, Math.min(1.2, speed || 1));
+    const basePitch = VOICE_PITCH[voiceId] || 100 + (hashString(voiceId) % 160);
+    const jitter = (1 - Math.max(0, Math.min(1, stability))) * 0.35 + 0.05;
+    const random = createRandom(hashString(`${voiceId}|${text}`));
+
+    // Plan segments first so the output buffer can be allocated once
+    const segments = [];
+    const words = [];
+    let time = 0;
+
+    tokenize(text).forEach(token => {
+        if (token.type === 'pause') {
+            segments.push({ silence: token.duration / rate });
+            time += token.duration / rate;
+            return;
+        }
+
+        const start = time;
+        const syllables = countSyllables(token.value);
+        for (let i = 0; i < syllables; i++) {
+            const duration = (0.12 + random() * 0.08) / rate;
+            segments.push({
+                pitch: basePitch * (1 + (random() - 0.5) * jitter),
+                duration,
+                brightness: 0.3 + random() * 0.4
+            });
+            time += duration;
+        }
+        words.push({ index: token.index, length: token.value.length, start, end: time });
+
+        segments.push({ silence: PAUSES.word / rate });
+        time += PAUSES.word / rate;
+    });
+
+    const totalSeconds = segments.reduce((sum, s) => sum + (s.silence ?? s.duration), 0);
+    const samples = new Float32Array(Math.ceil(totalSeconds * sampleRate) + 1);
+    let offset = 0;
+
+    segments.forEach(segment => {
+        if (segment.silence !== undefined) {
+            offset += Math.round(segment.silence * sampleRate);
+            return;
+        }
+
+        const length = Math.round(segment.duration * sampleRate);
+        const attack = Math.min(length / 4, sampleRate * 0.015);
+
+        for (let i = 0; i < length && offset + i < samples.length; i++) {
+            const t = i / sampleRate;
+            const envelope = Math.min(1, i / attack) * Math.pow(1 - i / length, 1.5);
+            const phase = 2 * Math.PI * segment.pitch * t;
+
+            // Fundamental plus two formant-like harmonics
+            const voice = Math.sin(phase)
+                + segment.brightness * 0.5 * Math.sin(phase * 2)
+                + segment.brightness * 0.25 * Math.sin(phase * 3);
+
+            samples[offset + i] = voice * envelope * 0.35;
+        }
+
+        offset += length;
+    });
+
+    return { samples, sampleRate, alignment: buildAlignment(text, words) };
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV file
+ */
+export function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(offset, sample * 0x7FFF, true);
+        offset += 2;
+    }
+
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Synthesize text straight to WAV bytes
+ */
+export function createMockSpeechWav(text, options = {}) {
+    const { samples, sampleRate } = synthesizeMockSpeech(text, options);
+    return encodeWav(samples, sampleRate);
+}
+
+function encodeBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Synthesize text to one line of the timestamped stream format
+ * ({ audio_base64, alignment }), as served by the provider's with-timestamps endpoint
+ */
+export function createMockSpeechTimestamps(text, options = {}) {
+    const { samples, sampleRate, alignment } = synthesizeMockSpeech(text, options);
+    return {
+        audio_base64: encodeBase64(encodeWav(samples, sampleRate)),
+        alignment
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Narration Timeline
+ * Section and cue timings for one narration recording, loaded from a
+ * per-language JSON file (src/assets/timelines) so every recording carries
+ * its own timings.
+ *
+ * File format (times in seconds):
+ * {
+ *   "language": "en",
+ *   "duration": 85.8,
+ *   "sections": {
+ *     "hero": { "title": "...", "start": 0, "end": 14.3, "cues": [{ "start": 0, "text": "..." }] }
+ *   }
+ * }
+ */
+
+class NarrationTimeline {
+    constructor(data) {
+        const sections = Object.entries(data.sections)
+            .map(([id, section]) => ({
+                id,
+                title: section.title,
+                startTime: section.start,
+                endTime: section.end,
+                cues: section.cues || []
+            }))
+            .sort((a, b) => a.startTime - b.startTime);
+
+        // A cue runs until the next cue, or the end of its section
+        sections.forEach(section => {
+            section.cues = section.cues.map((cue, i, cues) => ({
+                startTime: cue.start,
+                endTime: cues[i + 1]?.start ?? section.endTime,
+                text: cue.text
+            }));
+        });
+
+        this.language = data.language || null;
+        this.sections = sections;
+        this.duration = data.duration ?? sections.at(-1)?.endTime ?? 0;
+    }
+
+    /**
+     * Fetch and validate a timeline file
+     * @returns {Promise<NarrationTimeline>}
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Timeline ${url} failed to load (HTTP ${response.status})`);
+
+        const data = await response.json();
+        const errors = NarrationTimeline.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid timeline ${url}:\n${errors.join('\n')}`);
+        }
+
+        return new NarrationTimeline(data);
+    }
+
+    /**
+     * Every problem with a parsed timeline file, empty when it is usable
+     * @returns {string[]}
+     */
+    static validate(data) {
+        const errors = [];
+        const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        if (!data || typeof data.sections !== 'object' || Array.isArray(data.sections)) {
+            return ['"sections" must be an object keyed by section id'];
+        }
+
+        if (data.duration !== undefined && !isTime(data.duration)) {
+            errors.push('"duration" must be a non-negative number of seconds');
+        }
+
+        const entries = Object.entries(data.sections);
+        if (entries.length === 0) errors.push('Timeline has no sections');
+
+        entries.forEach(([id, section]) => {
+            if (typeof section?.title !== 'string' || !section.title.trim()) {
+                errors.push(`${id}: missing title`);
+            }
+            if (!isTime(section?.start) || !isTime(section?.end) || section.start >= section.end) {
+                errors.push(`${id}: start and end must be seconds with start < end`);
+                return;
+            }
+            if (isTime(data.duration) && section.end > data.duration) {
+                errors.push(`${id}: ends at ${section.end}s, after the ${data.duration}s recording`);
+            }
+
+            if (section.cues !== undefined && !Array.isArray(section.cues)) {
+                errors.push(`${id}: "cues" must be an array`);
+                return;
+            }
+
+            let previous = -Infinity;
+            (section.cues || []).forEach((cue, i) => {
+                if (!isTime(cue?.start) || cue.start < section.start || cue.start >= section.end) {
+                    errors.push(`${id}: cue ${i} starts outside the section`);
+                } else if (cue.start <= previous) {
+                    errors.push(`${id}: cue ${i} is out of order`);
+                }
+                if (typeof cue?.text !== 'string') errors.push(`${id}: cue ${i} has no text`);
+                previous = cue?.start;
+            });
+        });
+
+        // Sections may leave gaps but must not overlap
+        const ordered = entries
+            .filter(([, section]) => isTime(section?.start) && isTime(section?.end) && section.start < section.end)
+            .sort(([, a], [, b]) => a.start - b.start);
+        for (let i = 1; i < ordered.length; i++) {
+            const [previousId, previous] = ordered[i - 1];
+            const [id, section] = ordered[i];
+            if (section.start < previous.end) errors.push(`${id}: overlaps ${previousId}`);
+        }
+
+        return errors;
+    }
+
+    getSection(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+
+    /**
+     * The section playing at a time in seconds (null in a gap)
+     */
+    sectionAt(time) {
+        return this.sections.find(section => time >= section.startTime && time < section.endTime) || null;
+    }
+
+    cueAt(time) {
+        return this.sectionAt(time)?.cues.find(cue => time >= cue.startTime && time < cue.endTime) || null;
+    }
+
+    /**
+     * Time for a relative position (0-1) through a section. Each cue gets an
+     * equal share, so a tall section is read paragraph by paragraph instead
+     * of racing through short cues and crawling through long ones
+     */
+    timeAtProgress(section, progress) {
+        const clamped = Math.max(0, Math.min(1, progress));
+        if (section.cues.length === 0) {
+            return section.startTime + clamped * (section.endTime - section.startTime);
+        }
+
+        const scaled = clamped * section.cues.length;
+        const index = Math.min(section.cues.length - 1, Math.floor(scaled));
+        const cue = section.cues[index];
+        return cue.startTime + (scaled - index) * (cue.endTime - cue.startTime);
+    }
+
+    /**
+     * Inverse of timeAtProgress: how far through its section a time falls
+     */
+    progressAt(section, time) {
+        if (section.cues.length === 0) {
+            return Math.max(0, Math.min(1, (time - section.startTime) / (section.endTime - section.startTime)));
+        }
+
+        const index = section.cues.findIndex(cue => time < cue.endTime);
+        if (index === -1) return 1;
+
+        const cue = section.cues[index];
+        const within = Math.max(0, Math.min(1, (time - cue.startTime) / (cue.endTime - cue.startTime)));
+        return (index + within) / section.cues.length;
+    }
+
+    /**
+     * Warn when the timeline was written for a recording of a different length
+     */
+    checkDuration(audioDuration, tolerance = 1) {
+        if (!Number.isFinite(audioDuration)) return true;
+
+        const end = this.sections.at(-1)?.endTime ?? 0;
+        if (end > audioDuration + tolerance) {
+            console.warn(`Narration timeline (${this.language}) ends at ${end}s but the audio is ${audioDuration.toFixed(1)}s long`);
+            return false;
+        }
+        return true;
+    }
+}
+
+// Export for module usage
+export default NarrationTimeline;
@@ -3,6 +3,8 @@
  * Provides comprehensive documentation without external dependencies
  */
 
+import { audioEngine } from './audio-engine.js';
+
 class NeuralDocs {
     constructor() {
         this.isActive = false;
@@ -474,12 +476,35 @@ audioManager.play()           // Start playback
 audioManager.pause()          // Pause playback  
 audioManager.stop()           // Stop and reset
 audioManager.seekTo(timeMs)   // Jump to timestamp
+audioManager.seekToSection('mcp') // Jump to a timeline section
+audioManager.goToChapter('mcp')   // Seek and scroll the page to a chapter
 audioManager.setVolume(0.8)   // Adjust volume
-audioManager.switchLanguage('hebrew') // Change audio track
+audioManager.setPlaybackRate(1.5) // Speed up, pitch preserved
+audioManager.switchLanguage('he')  // Any language in languages.json
+audioManager.resume()         // Continue from the saved position
+audioManager.clearSavedPosition() // Forget it
+
+// Band energies every frame while narration plays
+const unsubscribe = audioManager.subscribe(({ bass, mid, treble, rms, beat }) => {
+    // levels are 0-1, beat is true on a bass onset
+});
 
 // Scroll synchronization
 audioManager.enableScrollSync()   // Enable scroll-audio sync
 audioManager.disableScrollSync()  // Disable sync temporarily
+audioManager.setFollowMode(true)  // Scroll along with the narration
+                    </div>
+                    
+                    <h4 class="neural-highlight mt-6 mb-3">Audio Engine API:</h4>
+                    <div class="neural-code-block">
+// One shared AudioContext with narration, tts and sfx buses
+import { audioEngine } from './audio-engine.js';
+
+audioEngine.setBusVolume('sfx', 0.5)   // Per-bus volume
+audioEngine.setBusMuted('tts', true)   // Per-bus mute
+audioEngine.attach(audioElement, 'tts') // Play an element on a bus
+audioEngine.activate('sfx', 0.3)       // Duck the narration for a one-shot sound
+audioEngine.setDucking({ levels: { tts: 0.1 } }) // How far the narration drops
                     </div>
                     
                     <h4 class="neural-highlight mt-6 mb-3">Matrix Effects API:</h4>
@@ -516,11 +541,27 @@ quantumRealm.resetField()          // Reset to ground state
 // State management
 quantumRealm.saveSignature()       // Save quantum signature
 quantumRealm.sharePortal()         // Generate shareable URL
+quantumRealm.signatures.list()     // Saved signatures, newest first
+quantumRealm.restoreSignature(entry) // Rebuild a saved state
+quantumRealm.captureSnapshot()     // Scene as plain numbers
+quantumRealm.restorePortal(portal) // Rebuild a decoded portal
 
 // Properties
 quantumRealm.quantumState          // Current quantum state
 quantumRealm.quantumSignature      // Unique signature
 quantumRealm.interactionCount      // User interaction count
+quantumRealm.clock.tick            // Fixed simulation steps since opening
+quantumRealm.random                // PRNG seeded from the signature
+
+// Sessions
+quantumRealm.getSession().toJSON() // Action log of this visit
+quantumRealm.startReplay(session)  // Replay against a reset scene
+quantumRealm.seekReplay(tick)      // Jump to a simulation step
+quantumRealm.exitReplay()          // Back to live from here
+
+// Schrödinger mode
+quantumRealm.setMode('wave')       // Solve a wave packet ('field' to go back)
+quantumRealm.solver.measure()      // { time, norm, meanX, right }
                     </div>
                     
                     <h4 class="neural-highlight mt-6 mb-3">Neural Docs API:</h4>
@@ -642,10 +683,9 @@ optimizer.preloadAssets()           // Smart asset preloading
      * Play neural-themed sound effects
      */
     playNeuralSound(type) {
-        if (!window.AudioContext && !window.webkitAudioContext) return;
-        
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const audioContext = audioEngine.getContext();
+            if (!audioContext) return;
             
             switch (type) {
                 case 'activation':
@@ -671,7 +711,8 @@ optimizer.preloadAssets()           // Smart asset preloading
      */
     createNeuralTone(audioContext, frequencies, duration, type) {
         const gainNode = audioContext.createGain();
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(audioEngine.getBus('sfx'));
+        audioEngine.activate('sfx', duration);
         
         // Create multiple oscillators for rich harmonic content
         const oscillators = frequencies.map((freq, index) => {
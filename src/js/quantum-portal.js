@@ -0,0 +1,204 @@
+/**
+ * Quantum Portal
+ * Encodes a Quantum Realm scene into the `state` URL parameter written by
+ * sharePortal, and decodes it back. Decoding treats the link as untrusted:
+ * every field is checked and sizes are capped before the realm is rebuilt.
+ *
+ * Snapshot (version 1), numbers rounded to 6 decimals:
+ * {
+ *   v: 1,
+ *   time: 12.5,
+ *   interactions: 4,
+ *   random: 2891336453, (PRNG state, so later actions draw the same numbers)
+ *   state: { entanglement, coherence, superposition, waveCollapse },
+ *   particles: [[x, y, z, vx, vy, vz, phase, spin, entangled, color, rotationY]],
+ *   waves: [[x, y, z, scale, maxScale, speed, phase, rotationZ]],
+ *   fields: [[layer, rotationZ]], (layer -1 is the base field)
+ *   timers: [[steps, "spawnParticles"]] (work scheduled on the clock but not yet run)
+ * }
+ */
+
+export const PORTAL_VERSION = 1;
+
+// Limits for links from strangers. The realm caps its scene at the same
+// counts, so anything the controls build can be shared.
+export const MAX_PARTICLES = 2000;
+export const MAX_WAVES = 500;
+export const MAX_FIELDS = 100;
+const MAX_COORDINATE = 10000;
+
+// Delayed work a scene can be waiting on: every control action a session
+// logs (SESSION_ACTIONS), queued for the next step, and the steps of a
+// field being rebuilt
+export const TIMER_NAMES = ['particles', 'waves', 'field', 'reset', 'save', 'share', 'spawnParticles', 'createQuantumField'];
+export const MAX_TIMERS = 1000;
+const MAX_TIMER_STEPS = 60 * 60;
+
+const PARTICLE_FIELDS = 11;
+const WAVE_FIELDS = 8;
+const FIELD_FIELDS = 2;
+
+// Room for a full scene of the longest numbers the encoder writes within
+// MAX_COORDINATE ("-9999.999999,"), plus the header, in base64
+const MAX_NUMBER_LENGTH = 13;
+const rowsLength = (rows, width) => rows * (width * MAX_NUMBER_LENGTH + 2);
+const MAX_ENCODED_LENGTH = Math.ceil((
+    rowsLength(MAX_PARTICLES, PARTICLE_FIELDS) +
+    rowsLength(MAX_WAVES, WAVE_FIELDS) +
+    rowsLength(MAX_FIELDS, FIELD_FIELDS) +
+    MAX_TIMERS * '[3600,"createQuantumField"],'.length +
+    1000
+) / 3) * 4;
+
+// Signatures look like "γ-3FA2-LZ9K2Q1B"
+const SIGNATURE_PATTERN = /^[α-θ]-[0-9A-F]{1,4}-[0-9A-Z]{1,12}$/;
+
+// Velocities and spins are small, so fewer decimals visibly change where a
+// restored scene drifts to
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Snapshot to URL-safe text; the input's arrays hold plain numbers
+ * @throws {Error} when the scene is beyond what decodePortalState accepts
+ */
+export function encodePortalState(snapshot) {
+    const compact = {
+        v: PORTAL_VERSION,
+        time: round(snapshot.time),
+        interactions: snapshot.interactions,
+        random: snapshot.random,
+        state: {
+            entanglement: round(snapshot.state.entanglement),
+            coherence: round(snapshot.state.coherence),
+            superposition: round(snapshot.state.superposition),
+            waveCollapse: !!snapshot.state.waveCollapse
+        },
+        particles: snapshot.particles.map(values => values.map(round)),
+        waves: snapshot.waves.map(values => values.map(round)),
+        fields: snapshot.fields.map(values => values.map(round)),
+        timers: (snapshot.timers || []).map(({ steps, name }) => [steps, name])
+    };
+
+    // Refuse here rather than write a link that will not open
+    readRows(compact.particles, 'particles', PARTICLE_FIELDS, MAX_PARTICLES);
+    readRows(compact.waves, 'waves', WAVE_FIELDS, MAX_WAVES);
+    readRows(compact.fields, 'fields', FIELD_FIELDS, MAX_FIELDS);
+    readTimers(compact.timers);
+
+    // The JSON is plain ASCII, so btoa is safe
+    const encoded = btoa(JSON.stringify(compact));
+    if (encoded.length > MAX_ENCODED_LENGTH) {
+        throw new Error('The portal state is too large');
+    }
+    return encoded;
+}
+
+/**
+ * Decode and validate a `state` parameter. Links shared before scenes were
+ * encoded carry only the quantum state, and decode with no objects.
+ * @throws {Error} when the text is not a usable portal
+ */
+export function decodePortalState(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0) {
+        throw new Error('The link has no portal state');
+    }
+    if (encoded.length > MAX_ENCODED_LENGTH) {
+        throw new Error('The portal state is too large');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(atob(encoded.replace(/[ -]/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+        throw new Error('The portal state is not valid base64 JSON');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The portal state is not an object');
+    }
+
+    if (data.v === undefined) {
+        return { version: 0, time: 0, interactions: 0, random: null, state: readState(data), particles: null, waves: null, fields: null, timers: [] };
+    }
+    if (data.v !== PORTAL_VERSION) {
+        throw new Error(`Unsupported portal version ${data.v}`);
+    }
+
+    if (!isNumber(data.time) || data.time < 0) throw new Error('Invalid portal time');
+    if (!Number.isInteger(data.interactions) || data.interactions < 0) {
+        throw new Error('Invalid interaction count');
+    }
+    // Portals shared before the simulation was seeded have no PRNG state
+    const hasRandom = data.random !== undefined;
+    if (hasRandom && (!Number.isInteger(data.random) || data.random < 0 || data.random > 0xFFFFFFFF)) {
+        throw new Error('Invalid random state');
+    }
+
+    return {
+        version: data.v,
+        time: data.time,
+        interactions: data.interactions,
+        random: hasRandom ? data.random : null,
+        state: readState(data.state),
+        particles: readRows(data.particles, 'particles', PARTICLE_FIELDS, MAX_PARTICLES),
+        waves: readRows(data.waves, 'waves', WAVE_FIELDS, MAX_WAVES),
+        fields: readRows(data.fields, 'fields', FIELD_FIELDS, MAX_FIELDS),
+        // Portals shared before timers were encoded have none
+        timers: data.timers === undefined ? [] : readTimers(data.timers)
+    };
+}
+
+export function isValidSignature(signature) {
+    return typeof signature === 'string' && SIGNATURE_PATTERN.test(signature);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function readState(state) {
+    if (!state || typeof state !== 'object') throw new Error('Missing quantum state');
+
+    ['entanglement', 'coherence', 'superposition'].forEach(key => {
+        if (!isNumber(state[key]) || state[key] < 0 || state[key] > 1) {
+            throw new Error(`Quantum state "${key}" must be between 0 and 1`);
+        }
+    });
+
+    return {
+        entanglement: state.entanglement,
+        coherence: state.coherence,
+        superposition: state.superposition,
+        waveCollapse: state.waveCollapse === true
+    };
+}
+
+function readRows(rows, name, width, limit) {
+    if (!Array.isArray(rows)) throw new Error(`Portal ${name} must be a list`);
+    if (rows.length > limit) throw new Error(`Portal has more than ${limit} ${name}`);
+
+    rows.forEach((row, i) => {
+        const valid = Array.isArray(row)
+            && row.length === width
+            && row.every(value => isNumber(value) && Math.abs(value) <= MAX_COORDINATE);
+        if (!valid) throw new Error(`Portal ${name} entry ${i} is malformed`);
+    });
+
+    return rows;
+}
+
+function readTimers(timers) {
+    if (!Array.isArray(timers)) throw new Error('Portal timers must be a list');
+    if (timers.length > MAX_TIMERS) throw new Error(`Portal has more than ${MAX_TIMERS} timers`);
+
+    return timers.map((timer, i) => {
+        const valid = Array.isArray(timer)
+            && timer.length === 2
+            && Number.isInteger(timer[0])
+            && timer[0] >= 1
+            && timer[0] <= MAX_TIMER_STEPS
+            && TIMER_NAMES.includes(timer[1]);
+        if (!valid) throw new Error(`Portal timers entry ${i} is malformed`);
+
+        return { steps: timer[0], name: timer[1] };
+    });
+}
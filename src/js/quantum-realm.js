@@ -3,6 +3,46 @@
  * Experience quantum mechanics through visualization and interaction
  */
 
+import { audioEngine } from './audio-engine.js';
+import { encodePortalState, decodePortalState, isValidSignature, MAX_PARTICLES, MAX_WAVES, MAX_FIELDS, PORTAL_VERSION } from './quantum-portal.js';
+import SeededRandom from './seeded-random.js';
+import SimulationClock from './simulation-clock.js';
+import QuantumSession from './quantum-session.js';
+import SignatureStore from './signature-store.js';
+import SchrodingerSolver, { POTENTIALS } from './schrodinger-solver.js';
+
+const PARTICLE_COLORS = [0x8a2be2, 0xff1493, 0x00ffff, 0xff4500];
+const FIELD_LAYER_COUNT = 3;
+
+// Gallery thumbnails, small enough for ten of them to fit in localStorage
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 100;
+
+// Schrödinger mode draws on its own camera layer, so the field scene keeps
+// running underneath without being drawn
+const WAVE_LAYER = 1;
+const SOLVER_STEPS_PER_TICK = 2;
+const WAVE_HEIGHT = 15; // scene units for the packet's starting peak
+const POTENTIAL_SCALE = 3; // scene units per unit of energy
+const POTENTIAL_MAX_HEIGHT = 20;
+
+// Replay keeps a snapshot every so many steps, at most MAX_CHECKPOINTS of
+// them, so seeking re-runs the log from the nearest one rather than the start
+const CHECKPOINT_INTERVAL = 600;
+const MAX_CHECKPOINTS = 50;
+// Milliseconds per frame a seek spends stepping, so the page stays responsive
+const SEEK_FRAME_BUDGET = 12;
+
+// Rotations only ever grow, so snapshots store them within one turn
+const wrapAngle = (angle) => ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+
+const GROUND_STATE = {
+    entanglement: 0,
+    coherence: 1.0,
+    superposition: 0.5,
+    waveCollapse: false
+};
+
 class QuantumRealm {
     constructor() {
         this.isActive = false;
@@ -17,17 +57,30 @@ class QuantumRealm {
         this.interactionCount = 0;
         
         // Quantum physics parameters
-        this.quantumState = {
-            entanglement: 0,
-            coherence: 1.0,
-            superposition: 0.5,
-            waveCollapse: false
-        };
+        this.quantumState = { ...GROUND_STATE };
         
-        // Animation parameters
+        // Animation parameters - the simulation runs on a fixed-timestep
+        // clock and draws from a PRNG seeded by the signature, so the same
+        // signature and actions always build the same scene
+        this.clock = new SimulationClock();
+        this.random = null;
         this.time = 0;
         this.animationId = null;
         
+        // The live visit's action log, and the session being replayed
+        this.session = null;
+        this.replay = null;
+        
+        // Saved signatures, and the keys of up to two picked for comparison
+        this.signatures = new SignatureStore();
+        this.compareKeys = [];
+        
+        // Schrödinger mode
+        this.solver = null;
+        this.waveMesh = null;
+        this.potentialMesh = null;
+        this.wavePeak = 1;
+        
         this.init();
     }
     
@@ -37,8 +90,34 @@ class QuantumRealm {
         this.signature = document.getElementById('quantum-signature');
         this.closeBtn = document.getElementById('quantum-close');
         
+        // Session bar; kept as elements so it survives the playground being cleared
+        this.sessionBar = document.getElementById('quantum-session');
+        this.sessionToggle = document.getElementById('quantum-session-toggle');
+        this.sessionScrub = document.getElementById('quantum-session-scrub');
+        this.sessionTime = document.getElementById('quantum-session-time');
+        this.sessionLive = document.getElementById('quantum-session-live');
+        this.sessionFile = document.getElementById('quantum-session-file');
+        
+        this.gallery = document.getElementById('quantum-gallery');
+        this.galleryList = document.getElementById('quantum-gallery-list');
+        this.compareView = document.getElementById('quantum-compare');
+        
+        this.solverPanel = document.getElementById('quantum-solver');
+        this.solverToggle = document.getElementById('quantum-solver-toggle');
+        this.solverOptions = document.getElementById('quantum-solver-options');
+        this.solverPotential = document.getElementById('quantum-solver-potential');
+        this.solverDimensions = document.getElementById('quantum-solver-dimensions');
+        this.solverReadout = document.getElementById('quantum-solver-readout');
+        
+        if (this.solverPotential) {
+            Object.entries(POTENTIALS).forEach(([key, { label }]) => {
+                this.solverPotential.appendChild(new Option(label, key, false, key === 'barrier'));
+            });
+        }
+        
         this.setupEventListeners();
         this.generateSignature();
+        this.openSharedPortal();
     }
     
     setupEventListeners() {
@@ -55,25 +134,67 @@ class QuantumRealm {
         });
         
         // Control buttons
-        document.querySelectorAll('.quantum-control').forEach(btn => {
+        document.querySelectorAll('.quantum-control[data-action]').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const action = e.currentTarget.getAttribute('data-action');
                 this.handleAction(action, e.currentTarget);
             });
         });
         
+        // Session recording and replay
+        this.sessionToggle?.addEventListener('click', () => this.toggleReplay());
+        this.sessionScrub?.addEventListener('input', () => this.previewSeek(Number(this.sessionScrub.value)));
+        this.sessionScrub?.addEventListener('change', () => this.seekReplay(Number(this.sessionScrub.value)));
+        this.sessionLive?.addEventListener('click', () => this.exitReplay());
+        document.getElementById('quantum-session-export')?.addEventListener('click', () => this.exportSession());
+        document.getElementById('quantum-session-import')?.addEventListener('click', () => this.sessionFile?.click());
+        this.sessionFile?.addEventListener('change', () => {
+            const [file] = this.sessionFile.files;
+            this.sessionFile.value = '';
+            if (file) this.importSession(file);
+        });
+        
+        // Schrödinger mode
+        this.solverToggle?.addEventListener('click', () => this.setMode(this.solver ? 'field' : 'wave'));
+        this.solverPotential?.addEventListener('change', () => this.startWavePacket());
+        this.solverDimensions?.addEventListener('change', () => this.startWavePacket());
+        document.getElementById('quantum-solver-restart')?.addEventListener('click', () => this.startWavePacket());
+        
+        // Saved signatures gallery
+        document.getElementById('quantum-save')?.addEventListener('click', (e) => this.handleAction('save', e.currentTarget));
+        document.getElementById('quantum-gallery-toggle')?.addEventListener('click', () => this.toggleGallery());
+        document.getElementById('quantum-gallery-close')?.addEventListener('click', () => this.toggleGallery(false));
+        this.galleryList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-gallery-action]');
+            if (!button) return;
+            
+            const key = button.closest('.quantum-gallery-item').dataset.key;
+            this.handleGalleryAction(button.dataset.galleryAction, key);
+        });
+        this.compareView?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-compare-clear]')) {
+                this.compareKeys = [];
+                this.renderGallery();
+            }
+        });
+        
         // Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isActive) {
-                this.closeRealm();
+                if (this.gallery && !this.gallery.hidden) {
+                    this.toggleGallery(false);
+                } else {
+                    this.closeRealm();
+                }
             }
         });
     }
     
     /**
-     * Open the Quantum Realm laboratory
+     * Open the Quantum Realm laboratory, optionally rebuilding the scene in
+     * a shared portal's `state` parameter
      */
-    async openRealm() {
+    async openRealm(portalState = null) {
         if (this.isActive) return;
         
         this.isActive = true;
@@ -81,7 +202,8 @@ class QuantumRealm {
         
         // Initialize Three.js scene
         await this.setupThreeJS();
-        this.startQuantumSimulation();
+        this.seedSimulation();
+        this.startQuantumSimulation(portalState);
         
         // Play quantum entrance sound
         this.playQuantumSound('entrance');
@@ -102,6 +224,9 @@ class QuantumRealm {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        this.replay = null;
+        this.toggleGallery(false);
+        this.setMode('field');
         
         // Clean up Three.js
         this.cleanup();
@@ -146,6 +271,8 @@ class QuantumRealm {
         signature.textContent = `QS: ${this.quantumSignature}`;
         this.playground.appendChild(signature);
         this.signature = signature;
+        if (this.sessionBar) this.playground.appendChild(this.sessionBar);
+        if (this.solverPanel) this.playground.appendChild(this.solverPanel);
         
         // Add quantum ambient lighting
         const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
@@ -161,23 +288,76 @@ class QuantumRealm {
     /**
      * Start the quantum physics simulation
      */
-    startQuantumSimulation() {
-        // Create initial quantum field
-        this.createQuantumField();
+    startQuantumSimulation(portalState = null) {
+        if (!this.scene) return;
+        
+        this.buildScene(portalState);
+        
+        // Record the visit from here
+        this.session = new QuantumSession({ signature: this.quantumSignature, start: portalState });
+        this.updateSessionControls();
         
         // Start animation loop
         this.animate();
     }
     
+    /**
+     * The scene a session starts from: a shared portal, or a fresh field
+     */
+    buildScene(portalState) {
+        if (portalState) {
+            this.restorePortal(decodePortalState(portalState));
+        } else {
+            // Create initial quantum field
+            this.createQuantumField();
+        }
+    }
+    
+    /**
+     * Restart the clock and the PRNG from the current signature
+     */
+    seedSimulation() {
+        this.random = SeededRandom.fromString(this.quantumSignature);
+        this.clock.reset();
+        this.time = 0;
+    }
+    
     /**
      * Main animation loop
      */
-    animate() {
+    animate(now = performance.now()) {
         if (!this.isActive) return;
         
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.animationId = requestAnimationFrame(frame => this.animate(frame));
         
-        this.time += 0.016; // ~60fps
+        // Advance in fixed steps, however long the frame took
+        if (this.replay?.seekTarget != null) {
+            this.stepSeek();
+        } else if (this.replay && !this.replay.playing) {
+            this.clock.hold();
+        } else {
+            this.clock.advance(now, () => this.stepSimulation());
+        }
+        if (this.replay?.playing && this.clock.tick >= this.replay.session.duration) {
+            this.pauseReplay();
+        }
+        if (this.solver) this.updateWaveMesh();
+        
+        // Render scene
+        if (this.renderer && this.scene && this.camera) {
+            this.renderer.render(this.scene, this.camera);
+        }
+        
+        // Update signature
+        this.updateSignature();
+        this.updateSessionControls();
+    }
+    
+    /**
+     * One fixed step of the simulation
+     */
+    stepSimulation() {
+        this.time = this.clock.time;
         
         // Update quantum state
         this.updateQuantumState();
@@ -186,14 +366,12 @@ class QuantumRealm {
         this.updateParticles();
         this.updateWaves();
         this.updateFields();
+        this.solver?.step(SOLVER_STEPS_PER_TICK);
         
-        // Render scene
-        if (this.renderer && this.scene && this.camera) {
-            this.renderer.render(this.scene, this.camera);
+        if (this.replay) {
+            this.scheduleReplayActions();
+            this.saveCheckpoint();
         }
-        
-        // Update signature
-        this.updateSignature();
     }
     
     /**
@@ -218,6 +396,80 @@ class QuantumRealm {
         button.classList.add('active');
         setTimeout(() => button.classList.remove('active'), 200);
         
+        if (this.replay) {
+            this.showNotification('Replaying a session - press Live to interact again.');
+            return;
+        }
+        if (this.solver) {
+            this.showNotification('Switch off Schrödinger mode to use the field controls.');
+            return;
+        }
+        
+        switch (action) {
+            case 'save':
+                this.saveSignature();
+                break;
+            case 'share':
+                this.sharePortal();
+                break;
+        }
+        
+        const full = this.getFullMessage(action);
+        if (full) {
+            this.showNotification(full);
+            return;
+        }
+        
+        // The scene changes on the next simulation step, which is the step
+        // the session logs, so a replay runs it at exactly the same point
+        this.schedule(0, action);
+        this.session?.record(action, this.clock.tick + 1);
+        
+        this.playQuantumSound('interaction');
+    }
+    
+    /**
+     * Why an action can't add anything, when the scene is at the size a
+     * portal can hold
+     */
+    getFullMessage(action) {
+        const limits = {
+            particles: [this.particles.length, MAX_PARTICLES, 'particles'],
+            waves: [this.waves.length, MAX_WAVES, 'waves'],
+            field: [this.fields.length, MAX_FIELDS, 'field layers']
+        };
+        const [count, max, name] = limits[action] || [];
+        if (count === undefined || count < max) return null;
+        
+        return `The realm holds at most ${max} ${name}. Reset the field to make room.`;
+    }
+    
+    /**
+     * Run `name` (one of TIMER_NAMES) on the clock once the simulation is
+     * `seconds` further on. Timers are named rather than closures so a
+     * snapshot can carry the ones still pending.
+     */
+    schedule(seconds, name) {
+        this.clock.after(seconds, () => this.runTimer(name), name);
+    }
+    
+    runTimer(name) {
+        switch (name) {
+            case 'spawnParticles':
+                this.spawnParticles();
+                break;
+            case 'createQuantumField':
+                this.createQuantumField();
+                break;
+            default:
+                this.applyAction(name);
+        }
+    }
+    
+    /**
+     * The part of an action that changes the simulation, live or replayed
+     */
+    applyAction(action) {
         switch (action) {
             case 'particles':
                 this.spawnParticles();
@@ -231,182 +483,224 @@ class QuantumRealm {
             case 'reset':
                 this.resetField();
                 break;
-            case 'save':
-                this.saveSignature();
-                break;
-            case 'share':
-                this.sharePortal();
-                break;
         }
         
         this.interactionCount++;
-        this.playQuantumSound('interaction');
     }
     
     /**
      * Spawn quantum particles
      */
     spawnParticles() {
-        const particleCount = 50;
+        const particleCount = Math.min(50, MAX_PARTICLES - this.particles.length);
+        if (particleCount <= 0) return;
+        
         const geometry = new THREE.SphereGeometry(0.1, 8, 8);
         
         for (let i = 0; i < particleCount; i++) {
-            // Random quantum colors
-            const colors = [0x8a2be2, 0xff1493, 0x00ffff, 0xff4500];
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            
-            const material = new THREE.MeshBasicMaterial({ 
-                color: color,
-                transparent: true,
-                opacity: 0.8
+            this.createParticle(geometry, {
+                // Random quantum colors
+                colorIndex: this.random.int(PARTICLE_COLORS.length),
+                
+                // Random position in quantum space
+                position: [
+                    this.random.range(-20, 20),
+                    this.random.range(-15, 15),
+                    this.random.range(-10, 10)
+                ],
+                
+                // Quantum properties
+                velocity: [
+                    this.random.range(-0.1, 0.1),
+                    this.random.range(-0.1, 0.1),
+                    this.random.range(-0.05, 0.05)
+                ],
+                phase: this.random.range(0, Math.PI * 2),
+                spin: this.random.range(-0.05, 0.05),
+                entangled: this.random.chance(0.3)
             });
-            
-            const particle = new THREE.Mesh(geometry, material);
-            
-            // Random position in quantum space
-            particle.position.set(
-                (Math.random() - 0.5) * 40,
-                (Math.random() - 0.5) * 30,
-                (Math.random() - 0.5) * 20
-            );
-            
-            // Quantum properties
-            particle.userData = {
-                velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.2,
-                    (Math.random() - 0.5) * 0.2,
-                    (Math.random() - 0.5) * 0.1
-                ),
-                phase: Math.random() * Math.PI * 2,
-                spin: (Math.random() - 0.5) * 0.1,
-                entangled: Math.random() < 0.3
-            };
-            
-            this.scene.add(particle);
-            this.particles.push(particle);
         }
         
         console.log(`🔵 Spawned ${particleCount} quantum particles`);
     }
     
+    /**
+     * Add one particle to the scene
+     */
+    createParticle(geometry, { colorIndex, position, velocity, phase, spin, entangled, rotationY = 0 }) {
+        const material = new THREE.MeshBasicMaterial({ 
+            color: PARTICLE_COLORS[colorIndex],
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        const particle = new THREE.Mesh(geometry, material);
+        particle.position.set(...position);
+        particle.rotation.y = rotationY;
+        particle.userData = {
+            velocity: new THREE.Vector3(...velocity),
+            phase,
+            spin,
+            entangled,
+            colorIndex
+        };
+        
+        this.scene.add(particle);
+        this.particles.push(particle);
+        return particle;
+    }
+    
     /**
      * Create quantum wave interference patterns
      */
     createQuantumWaves() {
-        const waveCount = 5;
+        const waveCount = Math.min(5, MAX_WAVES - this.waves.length);
         
         for (let i = 0; i < waveCount; i++) {
-            const geometry = new THREE.RingGeometry(1, 1.2, 16);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x8a2be2,
-                transparent: true,
-                opacity: 0.3,
-                side: THREE.DoubleSide
+            this.createWave({
+                position: [
+                    this.random.range(-10, 10),
+                    this.random.range(-7.5, 7.5),
+                    this.random.range(-5, 5)
+                ],
+                maxScale: this.random.range(10, 20),
+                speed: this.random.range(0.05, 0.1),
+                phase: this.random.range(0, Math.PI * 2)
             });
-            
-            const wave = new THREE.Mesh(geometry, material);
-            wave.position.set(
-                (Math.random() - 0.5) * 20,
-                (Math.random() - 0.5) * 15,
-                (Math.random() - 0.5) * 10
-            );
-            
-            wave.userData = {
-                initialScale: 1,
-                maxScale: 10 + Math.random() * 10,
-                speed: 0.05 + Math.random() * 0.05,
-                phase: Math.random() * Math.PI * 2
-            };
-            
-            this.scene.add(wave);
-            this.waves.push(wave);
         }
         
         console.log(`🌀 Generated ${waveCount} quantum wave patterns`);
     }
     
+    /**
+     * Add one expanding wave ring to the scene
+     */
+    createWave({ position, maxScale, speed, phase, scale = 1, rotationZ = 0 }) {
+        const geometry = new THREE.RingGeometry(1, 1.2, 16);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x8a2be2,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide
+        });
+        
+        const wave = new THREE.Mesh(geometry, material);
+        wave.position.set(...position);
+        wave.scale.setScalar(scale);
+        wave.rotation.z = rotationZ;
+        
+        wave.userData = {
+            initialScale: 1,
+            maxScale,
+            speed,
+            phase
+        };
+        
+        this.scene.add(wave);
+        this.waves.push(wave);
+        return wave;
+    }
+    
     /**
      * Generate additional quantum field layers (adds to existing field)
      */
     generateField() {
         // Add multiple layers of quantum fields with different properties
-        const layerCount = 3;
+        const layerCount = Math.min(FIELD_LAYER_COUNT, MAX_FIELDS - this.fields.length);
         
         for (let i = 0; i < layerCount; i++) {
-            const geometry = new THREE.PlaneGeometry(25 + i * 5, 15 + i * 3, 24 + i * 8, 24 + i * 8);
-            const material = new THREE.ShaderMaterial({
-                uniforms: {
-                    time: { value: 0 },
-                    coherence: { value: this.quantumState.coherence },
-                    layer: { value: i }
-                },
-                vertexShader: `
-                    uniform float time;
-                    uniform float coherence;
-                    uniform float layer;
-                    varying vec3 vPosition;
+            this.createFieldLayer(i);
+        }
+        
+        console.log(`⚡ Generated ${layerCount} additional quantum field layers`);
+    }
+    
+    /**
+     * Add one field layer; each layer index has its own size and colour
+     */
+    createFieldLayer(i, rotationZ = 0) {
+        const geometry = new THREE.PlaneGeometry(25 + i * 5, 15 + i * 3, 24 + i * 8, 24 + i * 8);
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                coherence: { value: this.quantumState.coherence },
+                layer: { value: i }
+            },
+            vertexShader: `
+                uniform float time;
+                uniform float coherence;
+                uniform float layer;
+                varying vec3 vPosition;
+                
+                void main() {
+                    vPosition = position;
+                    vec3 pos = position;
                     
-                    void main() {
-                        vPosition = position;
-                        vec3 pos = position;
-                        
-                        // Multi-layer quantum interference
-                        float layerFreq = 0.05 + layer * 0.03;
-                        pos.z += sin(pos.x * layerFreq + time + layer) * coherence * (2.0 + layer);
-                        pos.z += cos(pos.y * layerFreq + time * 0.7 + layer * 0.5) * coherence * (1.5 + layer * 0.5);
-                        
-                        // Add quantum uncertainty
-                        pos.z += sin(length(pos.xy) * 0.1 + time * 2.0) * coherence * 0.5;
-                        
-                        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                    }
-                `,
-                fragmentShader: `
-                    uniform float time;
-                    uniform float layer;
-                    varying vec3 vPosition;
+                    // Multi-layer quantum interference
+                    float layerFreq = 0.05 + layer * 0.03;
+                    pos.z += sin(pos.x * layerFreq + time + layer) * coherence * (2.0 + layer);
+                    pos.z += cos(pos.y * layerFreq + time * 0.7 + layer * 0.5) * coherence * (1.5 + layer * 0.5);
+                    
+                    // Add quantum uncertainty
+                    pos.z += sin(length(pos.xy) * 0.1 + time * 2.0) * coherence * 0.5;
                     
-                    void main() {
-                        float intensity = sin(vPosition.x * (0.1 + layer * 0.05) + time) * cos(vPosition.y * (0.1 + layer * 0.03) + time);
-                        
-                        // Different color per layer
-                        vec3 baseColor;
-                        if (layer < 1.0) {
-                            baseColor = vec3(0.54, 0.17, 0.89); // Purple
-                        } else if (layer < 2.0) {
-                            baseColor = vec3(0.17, 0.89, 0.54); // Green
-                        } else {
-                            baseColor = vec3(0.89, 0.54, 0.17); // Orange
-                        }
-                        
-                        vec3 color = baseColor + intensity * 0.4;
-                        float alpha = 0.15 + abs(intensity) * 0.15;
-                        gl_FragColor = vec4(color, alpha);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float time;
+                uniform float layer;
+                varying vec3 vPosition;
+                
+                void main() {
+                    float intensity = sin(vPosition.x * (0.1 + layer * 0.05) + time) * cos(vPosition.y * (0.1 + layer * 0.03) + time);
+                    
+                    // Different color per layer
+                    vec3 baseColor;
+                    if (layer < 1.0) {
+                        baseColor = vec3(0.54, 0.17, 0.89); // Purple
+                    } else if (layer < 2.0) {
+                        baseColor = vec3(0.17, 0.89, 0.54); // Green
+                    } else {
+                        baseColor = vec3(0.89, 0.54, 0.17); // Orange
                     }
-                `,
-                transparent: true,
-                side: THREE.DoubleSide,
-                blending: THREE.AdditiveBlending
-            });
-            
-            const field = new THREE.Mesh(geometry, material);
-            field.rotation.x = -Math.PI / 2;
-            field.position.y = -8 - i * 2;
-            field.position.z = i * 1;
-            
-            field.userData = { type: 'field', layer: i };
-            
-            this.scene.add(field);
-            this.fields.push(field);
-        }
+                    
+                    vec3 color = baseColor + intensity * 0.4;
+                    float alpha = 0.15 + abs(intensity) * 0.15;
+                    gl_FragColor = vec4(color, alpha);
+                }
+            `,
+            transparent: true,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending
+        });
         
-        console.log(`⚡ Generated ${layerCount} additional quantum field layers`);
+        const field = new THREE.Mesh(geometry, material);
+        field.rotation.x = -Math.PI / 2;
+        field.rotation.z = rotationZ;
+        field.position.y = -8 - i * 2;
+        field.position.z = i * 1;
+        
+        field.userData = { type: 'field', layer: i };
+        
+        this.scene.add(field);
+        this.fields.push(field);
+        return field;
     }
     
     /**
      * Create initial quantum field (basic foundation)
      */
     createQuantumField() {
+        this.createBaseField();
+        
+        console.log('⚛️ Basic quantum field foundation created');
+        
+        // Add some initial particles after field is ready
+        this.schedule(0.5, 'spawnParticles');
+    }
+    
+    createBaseField(rotationZ = 0) {
         // Create a simple base field
         const geometry = new THREE.PlaneGeometry(20, 15, 16, 16);
         const material = new THREE.ShaderMaterial({
@@ -446,17 +740,14 @@ class QuantumRealm {
         
         const field = new THREE.Mesh(geometry, material);
         field.rotation.x = -Math.PI / 2;
+        field.rotation.z = rotationZ;
         field.position.y = -12;
         
         field.userData = { type: 'baseField' };
         
         this.scene.add(field);
         this.fields.push(field);
-        
-        console.log('⚛️ Basic quantum field foundation created');
-        
-        // Add some initial particles after field is ready
-        setTimeout(() => this.spawnParticles(), 500);
+        return field;
     }
     
     /**
@@ -478,9 +769,10 @@ class QuantumRealm {
             // Spin
             particle.rotation.y += data.spin;
             
-            // Boundary conditions (quantum tunneling)
+            // Boundary conditions: pull escaping particles back to the centre
+            // (a visual shortcut - Schrödinger mode shows real tunneling)
             if (particle.position.length() > 50) {
-                particle.position.multiplyScalar(0.1); // Tunnel to center
+                particle.position.multiplyScalar(0.1);
             }
             
             // Entanglement effects
@@ -550,36 +842,40 @@ class QuantumRealm {
      * Reset quantum field
      */
     resetField() {
-        // Remove all quantum objects
+        this.clearObjects();
+        this.interactionCount = 0;
+        
+        // Reset quantum state
+        this.quantumState = { ...GROUND_STATE };
+        
+        // Recreate basic field
+        this.schedule(0.1, 'createQuantumField');
+        
+        console.log('🔄 Quantum field reset');
+    }
+    
+    /**
+     * Remove all quantum objects
+     */
+    clearObjects() {
+        const geometries = new Set();
         [...this.particles, ...this.waves, ...this.fields].forEach(obj => {
             this.scene.remove(obj);
-            if (obj.geometry) obj.geometry.dispose();
+            if (obj.geometry) geometries.add(obj.geometry);
             if (obj.material) obj.material.dispose();
         });
+        geometries.forEach(geometry => geometry.dispose());
         
         this.particles = [];
         this.waves = [];
         this.fields = [];
-        this.interactionCount = 0;
-        
-        // Reset quantum state
-        this.quantumState = {
-            entanglement: 0,
-            coherence: 1.0,
-            superposition: 0.5,
-            waveCollapse: false
-        };
-        
-        // Recreate basic field
-        setTimeout(() => this.createQuantumField(), 100);
-        
-        console.log('🔄 Quantum field reset');
     }
     
     /**
      * Generate unique quantum signature
      */
     generateSignature() {
+        // The signature seeds the simulation, so this is its only randomness
         const timestamp = Date.now();
         const random = Math.floor(Math.random() * 0xFFFF).toString(16).toUpperCase();
         const quantum = ['α', 'β', 'γ', 'δ', 'ε', 'ζ', 'η', 'θ'][Math.floor(Math.random() * 8)];
@@ -604,29 +900,284 @@ class QuantumRealm {
      * Save quantum signature to localStorage
      */
     saveSignature() {
-        const savedSignatures = JSON.parse(localStorage.getItem('quantumSignatures') || '[]');
+        let portal;
+        try {
+            portal = encodePortalState(this.captureSnapshot());
+        } catch (error) {
+            this.showNotification(`This scene can't be saved: ${error.message}.`);
+            return;
+        }
         
-        const signatureData = {
+        const entry = {
             id: this.quantumSignature,
             timestamp: new Date().toISOString(),
             state: { ...this.quantumState },
             interactions: this.interactionCount,
             particles: this.particles.length,
             waves: this.waves.length,
-            fields: this.fields.length
+            fields: this.fields.length,
+            portal,
+            thumbnail: this.captureThumbnail(),
+            session: this.getSession()?.toJSON() || null
         };
         
-        savedSignatures.push(signatureData);
+        let dropped;
+        try {
+            ({ dropped } = this.signatures.add(entry));
+        } catch (error) {
+            console.warn('Could not save quantum signature:', error.message);
+            this.showNotification(`${error.message}, even with every other save removed.`);
+            return;
+        }
+        this.renderGallery();
         
-        // Keep only last 10 signatures
-        if (savedSignatures.length > 10) {
-            savedSignatures.shift();
+        console.log('💾 Quantum signature saved:', this.quantumSignature);
+        if (dropped.length > 0) {
+            const names = dropped.map(saved => `"${saved.name}"`).join(', ');
+            this.showNotification(`Quantum signature saved. Browser storage was full, so the oldest saves were removed: ${names}.`);
+        } else {
+            this.showNotification('Quantum signature saved to local storage!');
         }
+    }
+    
+    /**
+     * A small JPEG of the current frame for the gallery
+     */
+    captureThumbnail() {
+        if (!this.renderer || !this.scene || !this.camera) return null;
         
-        localStorage.setItem('quantumSignatures', JSON.stringify(savedSignatures));
+        try {
+            // The drawing buffer is only readable in the task that rendered it
+            this.renderer.render(this.scene, this.camera);
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = THUMBNAIL_HEIGHT;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#000';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(this.renderer.domElement, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            console.warn('Could not capture quantum thumbnail:', error);
+            return null;
+        }
+    }
+    
+    toggleGallery(open = this.gallery?.hidden) {
+        if (!this.gallery) return;
         
-        console.log('💾 Quantum signature saved:', this.quantumSignature);
-        this.showNotification('Quantum signature saved to local storage!');
+        this.gallery.hidden = !open;
+        document.getElementById('quantum-gallery-toggle')?.setAttribute('aria-expanded', String(!!open));
+        if (open) this.renderGallery();
+    }
+    
+    renderGallery() {
+        if (!this.galleryList) return;
+        
+        const entries = this.signatures.list();
+        this.compareKeys = this.compareKeys.filter(key => entries.some(entry => entry.key === key));
+        
+        const count = this.gallery.querySelector('.quantum-gallery-count');
+        if (count) count.textContent = `${entries.length} SAVED`;
+        
+        this.galleryList.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'quantum-gallery-empty';
+            empty.textContent = 'No saved signatures yet. Use 💾 Save State to keep this scene.';
+            this.galleryList.appendChild(empty);
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'quantum-gallery-item';
+            item.dataset.key = entry.key;
+            item.classList.toggle('comparing', this.compareKeys.includes(entry.key));
+            
+            item.appendChild(this.createThumbnail(entry));
+            
+            const body = document.createElement('div');
+            body.className = 'quantum-gallery-body';
+            
+            const title = document.createElement('div');
+            title.className = 'quantum-gallery-title';
+            title.textContent = entry.name;
+            title.title = entry.id;
+            
+            const meta = document.createElement('div');
+            meta.className = 'quantum-gallery-meta';
+            meta.textContent = this.describeSignature(entry);
+            
+            const actions = document.createElement('div');
+            actions.className = 'quantum-gallery-actions';
+            [
+                ['restore', '↺', 'Restore this state'],
+                ['compare', '⇄', 'Compare'],
+                ['rename', '✏️', 'Rename'],
+                ['delete', '🗑️', 'Delete']
+            ].forEach(([action, icon, label]) => {
+                const button = document.createElement('button');
+                button.dataset.galleryAction = action;
+                button.textContent = icon;
+                button.title = label;
+                button.setAttribute('aria-label', label);
+                actions.appendChild(button);
+            });
+            
+            body.append(title, meta, actions);
+            item.appendChild(body);
+            this.galleryList.appendChild(item);
+        });
+        
+        this.renderComparison(entries);
+    }
+    
+    createThumbnail(entry) {
+        if (!entry.thumbnail?.startsWith('data:image/')) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'quantum-gallery-thumb';
+            placeholder.textContent = '⚛️';
+            return placeholder;
+        }
+        
+        const image = document.createElement('img');
+        image.className = 'quantum-gallery-thumb';
+        image.src = entry.thumbnail;
+        image.alt = `Quantum scene ${entry.name}`;
+        return image;
+    }
+    
+    describeSignature(entry) {
+        const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+        return [
+            new Date(entry.timestamp).toLocaleString(),
+            `E ${percent(entry.state?.entanglement)} / C ${percent(entry.state?.coherence)} / S ${percent(entry.state?.superposition)}`,
+            `${entry.particles}P ${entry.waves}W ${entry.fields}F • ${entry.interactions} actions`
+        ].join(' • ');
+    }
+    
+    handleGalleryAction(action, key) {
+        const entry = this.signatures.get(key);
+        if (!entry) return;
+        
+        try {
+            switch (action) {
+                case 'restore':
+                    this.restoreSignature(entry);
+                    break;
+                case 'compare':
+                    this.toggleCompare(entry);
+                    break;
+                case 'rename':
+                    this.renameSignature(entry);
+                    break;
+                case 'delete':
+                    this.deleteSignature(entry);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Signature ${action} failed:`, error);
+            this.showNotification(`Could not ${action} this signature. ${error.message}.`);
+        }
+    }
+    
+    /**
+     * Put a saved state back in the realm and record a new session from it
+     */
+    restoreSignature(entry) {
+        if (!isValidSignature(entry.id)) throw new Error('Its signature is invalid');
+        
+        // Signatures saved before the gallery only kept the quantum state,
+        // which is exactly what the first portal links carried
+        const start = entry.portal || btoa(JSON.stringify(entry.state));
+        decodePortalState(start);
+        
+        this.replay = null;
+        this.loadScene(entry.id, start);
+        this.session = new QuantumSession({ signature: entry.id, start });
+        this.updateSessionControls();
+        this.toggleGallery(false);
+        
+        this.showNotification(`Restored ${entry.name}`);
+    }
+    
+    toggleCompare(entry) {
+        if (this.compareKeys.includes(entry.key)) {
+            this.compareKeys = this.compareKeys.filter(key => key !== entry.key);
+        } else {
+            // Picking a third drops the first
+            this.compareKeys = [...this.compareKeys, entry.key].slice(-2);
+        }
+        this.renderGallery();
+    }
+    
+    renameSignature(entry) {
+        const name = window.prompt('Rename signature:', entry.name)?.trim();
+        if (!name || name === entry.name) return;
+        
+        this.signatures.update(entry.key, { name });
+        this.renderGallery();
+    }
+    
+    deleteSignature(entry) {
+        if (!window.confirm(`Delete "${entry.name}" from saved signatures?`)) return;
+        
+        this.signatures.delete(entry.key);
+        this.renderGallery();
+    }
+    
+    /**
+     * Side-by-side metrics for the two signatures picked with ⇄
+     */
+    renderComparison(entries) {
+        if (!this.compareView) return;
+        
+        const [first, second] = this.compareKeys.map(key => entries.find(entry => entry.key === key));
+        this.compareView.hidden = !(first && second);
+        this.compareView.innerHTML = '';
+        if (this.compareView.hidden) return;
+        
+        const percent = (value) => Math.round((value || 0) * 100);
+        const rows = [
+            ['Entanglement', entry => percent(entry.state?.entanglement), '%'],
+            ['Coherence', entry => percent(entry.state?.coherence), '%'],
+            ['Superposition', entry => percent(entry.state?.superposition), '%'],
+            ['Interactions', entry => entry.interactions, ''],
+            ['Particles', entry => entry.particles, ''],
+            ['Waves', entry => entry.waves, ''],
+            ['Field layers', entry => entry.fields, '']
+        ];
+        
+        const table = document.createElement('table');
+        table.className = 'quantum-compare-table';
+        
+        const head = table.createTHead().insertRow();
+        [null, first, second].forEach(entry => {
+            const cell = document.createElement('th');
+            if (entry) cell.append(this.createThumbnail(entry), entry.name);
+            head.appendChild(cell);
+        });
+        head.appendChild(Object.assign(document.createElement('th'), { textContent: 'Δ' }));
+        
+        const body = table.createTBody();
+        rows.forEach(([label, read, unit]) => {
+            const row = body.insertRow();
+            const a = Number(read(first)) || 0;
+            const b = Number(read(second)) || 0;
+            const delta = b - a;
+            [label, `${a}${unit}`, `${b}${unit}`, `${delta > 0 ? '+' : ''}${delta}${unit}`].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.classList.toggle('changed', delta !== 0);
+        });
+        
+        const clear = document.createElement('button');
+        clear.className = 'quantum-session-btn';
+        clear.dataset.compareClear = '';
+        clear.textContent = 'Clear comparison';
+        
+        this.compareView.append(table, clear);
     }
     
     /**
@@ -635,7 +1186,12 @@ class QuantumRealm {
     sharePortal() {
         const url = new URL(window.location.href);
         url.searchParams.set('quantum', this.quantumSignature);
-        url.searchParams.set('state', btoa(JSON.stringify(this.quantumState)));
+        try {
+            url.searchParams.set('state', encodePortalState(this.captureSnapshot()));
+        } catch (error) {
+            this.showNotification(`This scene can't be shared: ${error.message}.`);
+            return;
+        }
         
         navigator.clipboard.writeText(url.toString()).then(() => {
             console.log('🔗 Quantum portal URL copied to clipboard');
@@ -646,6 +1202,343 @@ class QuantumRealm {
         });
     }
     
+    /**
+     * Everything needed to rebuild the current scene, as plain numbers
+     * for encodePortalState
+     */
+    captureSnapshot() {
+        return {
+            time: this.time,
+            interactions: this.interactionCount,
+            random: this.random.state,
+            state: { ...this.quantumState },
+            particles: this.particles.map(particle => {
+                const { position, rotation, userData: data } = particle;
+                return [
+                    position.x, position.y, position.z,
+                    data.velocity.x, data.velocity.y, data.velocity.z,
+                    data.phase, data.spin, data.entangled ? 1 : 0,
+                    data.colorIndex, wrapAngle(rotation.y)
+                ];
+            }),
+            waves: this.waves.map(wave => {
+                const { position, scale, rotation, userData: data } = wave;
+                return [position.x, position.y, position.z, scale.x, data.maxScale, data.speed, data.phase, wrapAngle(rotation.z)];
+            }),
+            fields: this.fields.map(field => [
+                field.userData.type === 'baseField' ? -1 : field.userData.layer,
+                wrapAngle(field.rotation.z)
+            ]),
+            // Actions queued for the next step, and a field still being rebuilt
+            timers: this.clock.pending()
+        };
+    }
+    
+    /**
+     * Rebuild a scene decoded by decodePortalState. Portals shared before
+     * scenes were encoded only carry the quantum state, so they get a fresh
+     * field with that state.
+     */
+    restorePortal(portal) {
+        this.clearObjects();
+        
+        this.clock.setTime(portal.time);
+        this.time = this.clock.time;
+        if (portal.random !== null) this.random.state = portal.random;
+        this.interactionCount = portal.version === 0
+            ? Math.round(portal.state.entanglement * 10)
+            : portal.interactions;
+        this.quantumState = { ...portal.state };
+        portal.timers.forEach(({ steps, name }) => {
+            this.clock.afterSteps(steps, () => this.runTimer(name), name);
+        });
+        
+        if (!portal.particles) {
+            this.createQuantumField();
+            return;
+        }
+        
+        portal.fields.forEach(([layer, rotationZ]) => {
+            if (layer < 0) {
+                this.createBaseField(rotationZ);
+            } else {
+                // Only the layers generateField builds have a look of their own
+                this.createFieldLayer(Math.min(Math.round(layer), FIELD_LAYER_COUNT - 1), rotationZ);
+            }
+        });
+        
+        const geometry = new THREE.SphereGeometry(0.1, 8, 8);
+        portal.particles.forEach(([x, y, z, vx, vy, vz, phase, spin, entangled, colorIndex, rotationY]) => {
+            this.createParticle(geometry, {
+                colorIndex: Math.abs(Math.round(colorIndex)) % PARTICLE_COLORS.length,
+                position: [x, y, z],
+                velocity: [vx, vy, vz],
+                phase,
+                spin,
+                entangled: entangled === 1,
+                rotationY
+            });
+        });
+        
+        portal.waves.forEach(([x, y, z, scale, maxScale, speed, phase, rotationZ]) => {
+            this.createWave({ position: [x, y, z], scale, maxScale, speed, phase, rotationZ });
+        });
+        
+        console.log(`🌀 Restored quantum portal ${this.quantumSignature}`);
+    }
+    
+    /**
+     * Open the portal in a link written by sharePortal, if the page has one
+     */
+    openSharedPortal() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('quantum') && !params.has('state')) return;
+        
+        try {
+            if (!isValidSignature(params.get('quantum'))) {
+                throw new Error('The portal signature is missing or invalid');
+            }
+            decodePortalState(params.get('state'));
+        } catch (error) {
+            console.warn('Ignoring malformed quantum portal link:', error.message);
+            this.showNotification(`This quantum portal link is broken and could not be opened. ${error.message}.`);
+            return;
+        }
+        
+        this.quantumSignature = params.get('quantum');
+        this.openRealm(params.get('state'));
+    }
+    
+    /**
+     * The session on screen: the one replaying, or the live visit so far
+     */
+    getSession() {
+        if (this.replay) return this.replay.session;
+        this.session?.extend(this.clock.tick);
+        return this.session;
+    }
+    
+    /**
+     * Replay a session against a reset scene; defaults to the live visit
+     */
+    startReplay(session = this.getSession()) {
+        if (!this.scene || !session) return;
+        
+        this.setMode('field');
+        this.replay = { session, playing: true, startTick: 0, seekTarget: null, scrubTick: null, checkpoints: new Map() };
+        this.resetReplay();
+        this.updateSessionControls();
+        
+        console.log(`⏪ Replaying ${session.actions.length} quantum actions`);
+    }
+    
+    /**
+     * Rebuild the session's starting scene from its signature
+     */
+    resetReplay() {
+        const { session } = this.replay;
+        
+        this.loadScene(session.signature, session.start);
+        
+        this.replay.startTick = this.clock.tick;
+        this.scheduleReplayActions();
+    }
+    
+    /**
+     * Start over from a signature and the scene a session starts from
+     */
+    loadScene(signature, start) {
+        this.clearObjects();
+        this.quantumSignature = signature;
+        this.seedSimulation();
+        this.interactionCount = 0;
+        this.quantumState = { ...GROUND_STATE };
+        this.buildScene(start);
+    }
+    
+    /**
+     * Queue the logged actions for the next step, just as handleAction did
+     */
+    scheduleReplayActions() {
+        this.replay.session.actionsAt(this.clock.tick + 1).forEach(({ action }) => {
+            this.schedule(0, action);
+        });
+    }
+    
+    /**
+     * Snapshot the replay every so many steps. Checkpoints aren't encoded,
+     * so restoring one rebuilds the scene exactly and the replay carries on
+     * as if it had run from the start.
+     */
+    saveCheckpoint() {
+        const { session, checkpoints } = this.replay;
+        const interval = Math.max(CHECKPOINT_INTERVAL, Math.ceil(session.duration / MAX_CHECKPOINTS));
+        const { tick } = this.clock;
+        if (tick % interval !== 0 || checkpoints.has(tick)) return;
+        
+        checkpoints.set(tick, { version: PORTAL_VERSION, ...this.captureSnapshot() });
+    }
+    
+    /**
+     * The latest checkpoint at or before a step
+     */
+    findCheckpoint(target) {
+        let found = null;
+        this.replay.checkpoints.forEach((portal, tick) => {
+            if (tick <= target && (!found || tick > found.tick)) found = { tick, portal };
+        });
+        return found;
+    }
+    
+    toggleReplay() {
+        if (!this.replay) {
+            this.startReplay();
+        } else if (this.replay.playing) {
+            this.pauseReplay();
+        } else {
+            // Play again from the top once the end is reached
+            if (this.clock.tick >= this.replay.session.duration) this.seekReplay(this.replay.startTick);
+            this.replay.playing = true;
+            this.updateSessionControls();
+        }
+    }
+    
+    pauseReplay() {
+        if (!this.replay) return;
+        this.replay.playing = false;
+        this.updateSessionControls();
+    }
+    
+    /**
+     * Show where the scrubber is being dragged; the seek runs once it's let go
+     */
+    previewSeek(tick) {
+        if (!this.replay) return;
+        this.replay.scrubTick = tick;
+        this.updateSessionControls();
+    }
+    
+    /**
+     * Jump to a step by replaying the log without rendering, from the scene
+     * on screen when the step is ahead of it, or else from the nearest
+     * checkpoint. The steps run over as many frames as they need.
+     */
+    seekReplay(tick) {
+        if (!this.replay) return;
+        
+        const target = Math.max(this.replay.startTick, Math.min(tick, this.replay.session.duration));
+        const checkpoint = this.findCheckpoint(target);
+        if (this.clock.tick > target || (checkpoint && checkpoint.tick > this.clock.tick)) {
+            if (checkpoint) {
+                this.restorePortal(checkpoint.portal);
+            } else {
+                this.resetReplay();
+            }
+        }
+        
+        this.replay.scrubTick = null;
+        this.replay.seekTarget = target;
+        this.stepSeek();
+    }
+    
+    /**
+     * Run a frame's worth of a seek
+     */
+    stepSeek() {
+        const { seekTarget } = this.replay;
+        const deadline = performance.now() + SEEK_FRAME_BUDGET;
+        while (this.clock.tick < seekTarget && performance.now() < deadline) {
+            this.clock.stepOnce(() => this.stepSimulation());
+        }
+        
+        if (this.clock.tick >= seekTarget) this.replay.seekTarget = null;
+        this.clock.hold();
+        this.updateSessionControls();
+    }
+    
+    /**
+     * Leave replay where it is and record a new live session from that scene
+     */
+    exitReplay() {
+        if (!this.replay) return;
+        
+        let start;
+        try {
+            start = encodePortalState(this.captureSnapshot());
+        } catch (error) {
+            this.showNotification(`Can't go live from this point. ${error.message}.`);
+            return;
+        }
+        
+        // The start is rounded to 6 decimals; go on from exactly that scene
+        // so replaying the new session shows what happens next
+        this.replay = null;
+        this.restorePortal(decodePortalState(start));
+        this.session = new QuantumSession({ signature: this.quantumSignature, start });
+        this.updateSessionControls();
+    }
+    
+    exportSession() {
+        const session = this.getSession();
+        if (!session) return;
+        
+        const blob = new Blob([JSON.stringify(session.toJSON(), null, 2)], { type: 'application/json' });
+        const downloadUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = downloadUrl;
+        link.download = `quantum-session-${session.signature}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
+        
+        this.showNotification(`Session exported with ${session.actions.length} actions.`);
+    }
+    
+    /**
+     * Load a session exported by exportSession and replay it
+     */
+    async importSession(file) {
+        let session;
+        try {
+            session = QuantumSession.fromJSON(JSON.parse(await file.text()));
+        } catch (error) {
+            console.warn('Ignoring invalid quantum session file:', error.message);
+            this.showNotification(`Could not import this session. ${error.message}.`);
+            return;
+        }
+        
+        this.startReplay(session);
+    }
+    
+    updateSessionControls() {
+        if (!this.sessionBar) return;
+        
+        const formatTicks = (ticks) => {
+            const seconds = Math.floor(Math.max(0, ticks) * this.clock.options.step);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        
+        if (this.replay) {
+            const { session, playing, startTick, seekTarget, scrubTick } = this.replay;
+            const tick = Math.min(scrubTick ?? seekTarget ?? this.clock.tick, session.duration);
+            this.sessionToggle.textContent = playing ? '⏸ Pause' : '▶ Play';
+            this.sessionScrub.disabled = false;
+            this.sessionScrub.min = startTick;
+            this.sessionScrub.max = session.duration;
+            this.sessionScrub.value = tick;
+            this.sessionTime.textContent = `${formatTicks(tick - startTick)} / ${formatTicks(session.duration - startTick)}`;
+        } else {
+            const actions = this.session?.actions.length || 0;
+            this.sessionToggle.textContent = '⏪ Replay';
+            this.sessionScrub.disabled = true;
+            this.sessionScrub.value = 0;
+            this.sessionTime.textContent = `● REC ${actions} action${actions === 1 ? '' : 's'}`;
+        }
+        this.sessionLive.hidden = !this.replay;
+        this.sessionBar.classList.toggle('replaying', !!this.replay);
+    }
+    
     /**
      * Show notification message
      */
@@ -703,15 +1596,16 @@ class QuantumRealm {
      * Create quantum-themed audio tones
      */
     createQuantumTone(startFreq, endFreq, duration) {
-        if (!window.AudioContext && !window.webkitAudioContext) return;
-        
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const audioContext = audioEngine.getContext();
+            if (!audioContext) return;
+            
             const oscillator = audioContext.createOscillator();
             const gainNode = audioContext.createGain();
             
             oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+            gainNode.connect(audioEngine.getBus('sfx'));
+            audioEngine.activate('sfx', duration);
             
             oscillator.frequency.setValueAtTime(startFreq, audioContext.currentTime);
             oscillator.frequency.exponentialRampToValueAtTime(endFreq, audioContext.currentTime + duration);
@@ -741,6 +1635,174 @@ class QuantumRealm {
         this.renderer.setSize(width, height);
     }
     
+    /**
+     * Switch between the quantum field ('field') and Schrödinger mode
+     * ('wave'), where a wave packet is solved numerically
+     */
+    setMode(mode) {
+        if (mode === 'wave' && this.scene) {
+            if (this.replay) this.exitReplay();
+            this.startWavePacket();
+        } else {
+            this.stopWavePacket();
+        }
+        
+        const waveMode = !!this.solver;
+        this.camera?.layers.set(waveMode ? WAVE_LAYER : 0);
+        this.solverToggle?.setAttribute('aria-pressed', String(waveMode));
+        if (this.solverOptions) this.solverOptions.hidden = !waveMode;
+    }
+    
+    /**
+     * Fire a fresh packet with the chosen potential and dimensions
+     */
+    startWavePacket() {
+        if (!this.scene) return;
+        this.stopWavePacket();
+        
+        this.solver = new SchrodingerSolver({
+            potential: this.solverPotential?.value || 'barrier',
+            dimensions: Number(this.solverDimensions?.value) || 1
+        });
+        
+        let peak = 0;
+        for (let i = 0; i < this.solver.count; i++) peak = Math.max(peak, this.solver.density(i));
+        this.wavePeak = peak || 1;
+        
+        this.createWaveMesh();
+        this.updateWaveMesh();
+        
+        console.log(`🌊 Wave packet fired: ${POTENTIALS[this.solver.options.potential].label}, ${this.solver.dimensions}D`);
+    }
+    
+    stopWavePacket() {
+        [this.waveMesh, this.potentialMesh].forEach(mesh => {
+            if (!mesh) return;
+            this.scene?.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        
+        this.solver = null;
+        this.waveMesh = null;
+        this.potentialMesh = null;
+    }
+    
+    /**
+     * |ψ|² as height and arg ψ as hue. In 1D the packet is a ribbon over the
+     * potential's outline; in 2D a tilted surface over a wireframe of it.
+     */
+    createWaveMesh() {
+        const { size, dimensions, options } = this.solver;
+        const length = options.length;
+        
+        const geometry = dimensions === 1
+            ? new THREE.PlaneGeometry(length, 1, size - 1, 1)
+            : new THREE.PlaneGeometry(length, length, size - 1, size - 1);
+        const positions = geometry.attributes.position;
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3));
+        
+        // Put the vertices on the solver's grid points
+        for (let i = 0; i < positions.count; i++) {
+            if (dimensions === 1) {
+                positions.setX(i, this.solver.x[i % size]);
+            } else {
+                const index = this.gridIndex(i);
+                positions.setXY(i, this.solver.x[index % size], this.solver.x[Math.floor(index / size)]);
+            }
+        }
+        
+        this.waveMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.9
+        }));
+        
+        const potentialHeight = (index) => Math.min(this.solver.potential[index] * POTENTIAL_SCALE, POTENTIAL_MAX_HEIGHT);
+        
+        if (dimensions === 1) {
+            this.waveMesh.position.y = -10;
+            
+            const points = Array.from(this.solver.x, (x, i) => new THREE.Vector3(x, potentialHeight(i), 0));
+            this.potentialMesh = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: 0xff4500 })
+            );
+            this.potentialMesh.position.y = -10;
+        } else {
+            this.waveMesh.rotation.x = -Math.PI / 3;
+            this.waveMesh.position.y = -4;
+            
+            const potentialGeometry = geometry.clone();
+            potentialGeometry.deleteAttribute('color');
+            const outline = potentialGeometry.attributes.position;
+            for (let i = 0; i < outline.count; i++) outline.setZ(i, potentialHeight(this.gridIndex(i)));
+            this.potentialMesh = new THREE.Mesh(potentialGeometry, new THREE.MeshBasicMaterial({
+                color: 0xff4500,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.15
+            }));
+            this.potentialMesh.rotation.x = this.waveMesh.rotation.x;
+            this.potentialMesh.position.y = this.waveMesh.position.y;
+        }
+        
+        [this.waveMesh, this.potentialMesh].forEach(mesh => {
+            mesh.layers.set(WAVE_LAYER);
+            this.scene.add(mesh);
+        });
+    }
+    
+    /**
+     * Solver grid index for a 2D plane vertex. PlaneGeometry lists rows from
+     * the top (largest y) down; the solver grid starts at the smallest y.
+     */
+    gridIndex(vertex) {
+        const { size } = this.solver;
+        const row = Math.floor(vertex / size);
+        return (size - 1 - row) * size + (vertex % size);
+    }
+    
+    updateWaveMesh() {
+        const { solver } = this;
+        const positions = this.waveMesh.geometry.attributes.position;
+        const colors = this.waveMesh.geometry.attributes.color;
+        const color = new THREE.Color();
+        const scale = WAVE_HEIGHT / this.wavePeak;
+        
+        const shade = (index) => {
+            const density = solver.density(index);
+            const hue = (solver.phase(index) + Math.PI) / (2 * Math.PI);
+            color.setHSL(hue, 1, 0.15 + 0.45 * Math.min(1, density / this.wavePeak));
+            return density * scale;
+        };
+        
+        if (solver.dimensions === 1) {
+            // Top row follows |ψ|², bottom row stays on the axis
+            for (let i = 0; i < solver.size; i++) {
+                positions.setY(i, shade(i));
+                positions.setY(i + solver.size, 0);
+                colors.setXYZ(i, color.r, color.g, color.b);
+                colors.setXYZ(i + solver.size, color.r, color.g, color.b);
+            }
+        } else {
+            for (let i = 0; i < positions.count; i++) {
+                positions.setZ(i, shade(this.gridIndex(i)));
+                colors.setXYZ(i, color.r, color.g, color.b);
+            }
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        
+        if (this.solverReadout) {
+            const { time, norm, meanX, right } = solver.measure();
+            const percent = (value) => `${(value * 100).toFixed(1)}%`;
+            this.solverReadout.textContent =
+                `t ${time.toFixed(1)} | ∫|ψ|² ${percent(norm)} | ⟨x⟩ ${meanX.toFixed(1)} | P(x>0) ${percent(right)}`;
+        }
+    }
+    
     /**
      * Clean up resources
      */
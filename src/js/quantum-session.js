@@ -0,0 +1,118 @@
+/**
+ * Quantum Session
+ * The action log of one visit to the Quantum Realm. The realm is
+ * deterministic, so its signature, the scene it started from and the
+ * simulation step each action ran on are enough to replay the visit exactly.
+ *
+ * JSON form (version 1):
+ * {
+ *   version: 1,
+ *   signature: "γ-3FA2-LZ9K2Q1B",
+ *   start: null | "<portal state>", (null is a fresh field from the signature)
+ *   createdAt: "2025-01-01T12:00:00.000Z",
+ *   duration: 1800, (steps)
+ *   actions: [{ tick: 42, action: "particles", at: 1735732800000 }]
+ * }
+ */
+
+import { decodePortalState, isValidSignature } from './quantum-portal.js';
+
+export const SESSION_VERSION = 1;
+
+// Every action handleAction knows about
+export const SESSION_ACTIONS = ['particles', 'waves', 'field', 'reset', 'save', 'share'];
+
+// Imported files come from anywhere - well past anything a visit records
+const MAX_ACTIONS = 10000;
+const MAX_TICKS = 60 * 60 * 60 * 24; // a day of steps
+
+class QuantumSession {
+    constructor({ signature, start = null, createdAt = new Date().toISOString(), duration = 0, actions = [] }) {
+        this.signature = signature;
+        this.start = start;
+        this.createdAt = createdAt;
+        this.duration = duration;
+        this.actions = actions;
+    }
+
+    /**
+     * Rebuild a session from its JSON form, checking every field
+     * @throws {Error} when the data is not a usable session
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('The session is not an object');
+        }
+        if (data.version !== SESSION_VERSION) {
+            throw new Error(`Unsupported session version ${data.version}`);
+        }
+        if (!isValidSignature(data.signature)) {
+            throw new Error('The session signature is missing or invalid');
+        }
+        if (data.start != null) {
+            // Throws with the portal's own message
+            decodePortalState(data.start);
+        }
+        if (!Number.isInteger(data.duration) || data.duration < 0 || data.duration > MAX_TICKS) {
+            throw new Error('Invalid session duration');
+        }
+        if (!Array.isArray(data.actions) || data.actions.length > MAX_ACTIONS) {
+            throw new Error(`A session holds a list of at most ${MAX_ACTIONS} actions`);
+        }
+
+        let previousTick = 0;
+        const actions = data.actions.map((entry, i) => {
+            const valid = entry
+                && SESSION_ACTIONS.includes(entry.action)
+                && Number.isInteger(entry.tick)
+                && entry.tick >= previousTick
+                && entry.tick <= data.duration
+                && (entry.at == null || Number.isFinite(entry.at));
+            if (!valid) throw new Error(`Session action ${i} is malformed`);
+
+            previousTick = entry.tick;
+            return { tick: entry.tick, action: entry.action, at: entry.at ?? null };
+        });
+
+        return new QuantumSession({
+            signature: data.signature,
+            start: data.start ?? null,
+            createdAt: typeof data.createdAt === 'string' ? data.createdAt : new Date().toISOString(),
+            duration: data.duration,
+            actions
+        });
+    }
+
+    /**
+     * Log an action against the step it runs on
+     */
+    record(action, tick) {
+        this.actions.push({ tick, action, at: Date.now() });
+        this.extend(tick);
+    }
+
+    /**
+     * Stretch the session to cover the given step
+     */
+    extend(tick) {
+        this.duration = Math.max(this.duration, tick);
+    }
+
+    actionsAt(tick) {
+        return this.actions.filter(entry => entry.tick === tick);
+    }
+
+    toJSON() {
+        return {
+            version: SESSION_VERSION,
+            signature: this.signature,
+            start: this.start,
+            createdAt: this.createdAt,
+            duration: this.duration,
+            actions: this.actions.map(({ tick, action, at }) => ({ tick, action, at }))
+        };
+    }
+}
+
+// Export for module usage
+export default QuantumSession;
@@ -0,0 +1,272 @@
+/**
+ * Schrödinger Solver
+ * Integrates the time-dependent Schrödinger equation for a Gaussian wave
+ * packet on a 1D or 2D grid with the split-step Fourier method, in units
+ * where ħ = m = 1:
+ *
+ *   ψ(t + dt) ≈ e^(-iV dt/2) · F⁻¹[ e^(-ik²dt/2) · F[ e^(-iV dt/2) ψ(t) ] ]
+ *
+ * Each factor is unitary, so the norm only drops where the absorbing edge
+ * swallows the packet (the grid is otherwise periodic and would wrap it
+ * around). The tunneling the realm shows in this mode is this evolution,
+ * not a scripted effect.
+ */
+
+/**
+ * Potentials, each with the packet it starts from (position x0/y0 and
+ * momentum k0 along x). Energies are in the same units as k0²/2, so a
+ * packet with k0 = 2 carries an energy of about 2.
+ */
+export const POTENTIALS = {
+    free: {
+        label: 'Free particle',
+        packet: { x0: -10, y0: 0, k0: 2, sigma: 1.5 },
+        energy: () => 0
+    },
+    barrier: {
+        label: 'Barrier',
+        // Half again the packet's mean energy: what reaches the far side is
+        // mostly tunneling, plus the packet's fastest components going over
+        packet: { x0: -10, y0: 0, k0: 2, sigma: 1.5 },
+        energy: (x) => (Math.abs(x) < 0.5 ? 3 : 0)
+    },
+    doubleWell: {
+        label: 'Double well',
+        packet: { x0: -5, y0: 0, k0: 0.5, sigma: 1.2 },
+        energy: (x) => 1.5 * ((x / 5) ** 2 - 1) ** 2
+    },
+    harmonic: {
+        label: 'Harmonic',
+        // Ground-state width (ω = 0.3), so the packet sloshes without spreading
+        packet: { x0: -8, y0: 0, k0: 0, sigma: Math.sqrt(1 / 0.6) },
+        energy: (x, y) => 0.5 * 0.09 * (x * x + y * y)
+    }
+};
+
+const DEFAULT_OPTIONS = {
+    dimensions: 1,
+    potential: 'barrier',
+    size: null, // grid points per axis, a power of two; 256 in 1D, 64 in 2D
+    length: 40, // the grid spans [-length/2, length/2)
+    dt: 0.02,
+    absorbingWidth: 0.1 // fraction of each edge that absorbs
+};
+
+/**
+ * In-place radix-2 FFT over `n` values starting at `offset`, `stride` apart
+ */
+function fft(re, im, n, offset, stride, inverse, scratch) {
+    const { bits, cos, sin } = scratch;
+    const { re: tr, im: ti } = scratch;
+
+    for (let i = 0; i < n; i++) {
+        const j = offset + bits[i] * stride;
+        tr[i] = re[j];
+        ti[i] = im[j];
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+        const half = size / 2;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const c = cos[k * step];
+                const s = inverse ? -sin[k * step] : sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const xr = tr[b] * c + ti[b] * s;
+                const xi = ti[b] * c - tr[b] * s;
+                tr[b] = tr[a] - xr;
+                ti[b] = ti[a] - xi;
+                tr[a] += xr;
+                ti[a] += xi;
+            }
+        }
+    }
+
+    const scale = inverse ? 1 / n : 1;
+    for (let i = 0; i < n; i++) {
+        const j = offset + i * stride;
+        re[j] = tr[i] * scale;
+        im[j] = ti[i] * scale;
+    }
+}
+
+class SchrodingerSolver {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        const { dimensions, potential, length } = this.options;
+        if (dimensions !== 1 && dimensions !== 2) throw new Error('The solver works in 1 or 2 dimensions');
+        if (!POTENTIALS[potential]) throw new Error(`Unknown potential "${potential}"`);
+
+        const size = this.options.size || (dimensions === 1 ? 256 : 64);
+        if (size < 4 || (size & (size - 1)) !== 0) throw new Error('Grid size must be a power of two');
+
+        this.dimensions = dimensions;
+        this.size = size;
+        this.count = dimensions === 1 ? size : size * size;
+        this.dx = length / size;
+        this.x = Float64Array.from({ length: size }, (_, i) => -length / 2 + i * this.dx);
+
+        this.re = new Float64Array(this.count);
+        this.im = new Float64Array(this.count);
+        this.potential = new Float64Array(this.count);
+
+        this.scratch = this.createScratch(size);
+        this.reset(potential);
+    }
+
+    createScratch(n) {
+        const bits = new Uint32Array(n);
+        const levels = Math.log2(n);
+        for (let i = 0; i < n; i++) {
+            let reversed = 0;
+            for (let b = 0; b < levels; b++) reversed |= ((i >> b) & 1) << (levels - 1 - b);
+            bits[i] = reversed;
+        }
+
+        return {
+            bits,
+            cos: Float64Array.from({ length: n / 2 }, (_, k) => Math.cos(2 * Math.PI * k / n)),
+            sin: Float64Array.from({ length: n / 2 }, (_, k) => Math.sin(2 * Math.PI * k / n)),
+            re: new Float64Array(n),
+            im: new Float64Array(n)
+        };
+    }
+
+    /**
+     * Start a fresh packet in the given potential
+     */
+    reset(potential = this.options.potential) {
+        if (!POTENTIALS[potential]) throw new Error(`Unknown potential "${potential}"`);
+        this.options.potential = potential;
+        this.time = 0;
+
+        const { energy, packet } = POTENTIALS[potential];
+        const { dt, length, absorbingWidth } = this.options;
+        const n = this.size;
+
+        // Wave numbers in FFT order: 0, 1, ..., n/2 - 1, -n/2, ..., -1
+        const dk = 2 * Math.PI / length;
+        const k = Float64Array.from({ length: n }, (_, i) => (i < n / 2 ? i : i - n) * dk);
+
+        // Absorbing edge: 1 inside, falling smoothly to 0 at the boundary
+        const edge = length / 2 * (1 - absorbingWidth);
+        const mask = (value) => {
+            const depth = (Math.abs(value) - edge) / (length / 2 - edge);
+            return depth <= 0 ? 1 : Math.cos(Math.min(1, depth) * Math.PI / 2) ** 0.125;
+        };
+
+        this.halfPotential = { re: new Float64Array(this.count), im: new Float64Array(this.count) };
+        this.kinetic = { re: new Float64Array(this.count), im: new Float64Array(this.count) };
+        this.mask = new Float64Array(this.count);
+
+        const norm = this.dimensions === 1
+            ? (2 * Math.PI * packet.sigma ** 2) ** -0.25
+            : (2 * Math.PI * packet.sigma ** 2) ** -0.5;
+
+        for (let index = 0; index < this.count; index++) {
+            const ix = index % n;
+            const iy = this.dimensions === 1 ? 0 : Math.floor(index / n);
+            const x = this.x[ix];
+            const y = this.dimensions === 1 ? 0 : this.x[iy];
+
+            const v = energy(x, y);
+            this.potential[index] = v;
+            this.halfPotential.re[index] = Math.cos(-v * dt / 2);
+            this.halfPotential.im[index] = Math.sin(-v * dt / 2);
+
+            const k2 = k[ix] ** 2 + (this.dimensions === 1 ? 0 : k[iy] ** 2);
+            this.kinetic.re[index] = Math.cos(-k2 * dt / 2);
+            this.kinetic.im[index] = Math.sin(-k2 * dt / 2);
+
+            this.mask[index] = mask(x) * (this.dimensions === 1 ? 1 : mask(y));
+
+            // Gaussian packet moving along x
+            const r2 = (x - packet.x0) ** 2 + (this.dimensions === 1 ? 0 : (y - packet.y0) ** 2);
+            const amplitude = norm * Math.exp(-r2 / (4 * packet.sigma ** 2));
+            this.re[index] = amplitude * Math.cos(packet.k0 * x);
+            this.im[index] = amplitude * Math.sin(packet.k0 * x);
+        }
+    }
+
+    /**
+     * Advance by `steps` time steps of options.dt
+     */
+    step(steps = 1) {
+        for (let s = 0; s < steps; s++) {
+            this.multiply(this.halfPotential);
+            this.transform(false);
+            this.multiply(this.kinetic);
+            this.transform(true);
+            this.multiply(this.halfPotential);
+
+            for (let i = 0; i < this.count; i++) {
+                this.re[i] *= this.mask[i];
+                this.im[i] *= this.mask[i];
+            }
+            this.time += this.options.dt;
+        }
+    }
+
+    multiply(factor) {
+        const { re, im } = this;
+        for (let i = 0; i < this.count; i++) {
+            const r = re[i] * factor.re[i] - im[i] * factor.im[i];
+            im[i] = re[i] * factor.im[i] + im[i] * factor.re[i];
+            re[i] = r;
+        }
+    }
+
+    transform(inverse) {
+        const n = this.size;
+        if (this.dimensions === 1) {
+            fft(this.re, this.im, n, 0, 1, inverse, this.scratch);
+            return;
+        }
+
+        // Rows, then columns
+        for (let row = 0; row < n; row++) fft(this.re, this.im, n, row * n, 1, inverse, this.scratch);
+        for (let column = 0; column < n; column++) fft(this.re, this.im, n, column, n, inverse, this.scratch);
+    }
+
+    /**
+     * |ψ|² at a grid index
+     */
+    density(index) {
+        return this.re[index] ** 2 + this.im[index] ** 2;
+    }
+
+    /**
+     * arg ψ at a grid index, in (-π, π]
+     */
+    phase(index) {
+        return Math.atan2(this.im[index], this.re[index]);
+    }
+
+    /**
+     * Total probability still on the grid (1 until the edge absorbs some),
+     * the expected x, and the probability of being found at x > 0 - past
+     * the barrier, or in the right-hand well
+     */
+    measure() {
+        const cell = this.dimensions === 1 ? this.dx : this.dx * this.dx;
+        let total = 0;
+        let meanX = 0;
+        let right = 0;
+
+        for (let index = 0; index < this.count; index++) {
+            const p = this.density(index) * cell;
+            const x = this.x[index % this.size];
+            total += p;
+            meanX += p * x;
+            if (x > 0) right += p;
+        }
+
+        return { time: this.time, norm: total, meanX: total > 0 ? meanX / total : 0, right };
+    }
+}
+
+// Export for module usage
+export default SchrodingerSolver;
@@ -0,0 +1,61 @@
+/**
+ * Seeded Random
+ * A small deterministic PRNG (mulberry32) for the Quantum Realm. Seeded from
+ * the quantum signature, the same signature draws the same numbers in the
+ * same order on every browser, unlike Math.random.
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string, used to turn a signature into a seed
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (const char of String(text)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class SeededRandom {
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    static fromString(text) {
+        return new SeededRandom(hashSeed(text));
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+// Export for module usage
+export default SeededRandom;
@@ -0,0 +1,97 @@
+/**
+ * Signature Store
+ * Quantum Realm states saved with saveSignature, kept in localStorage under
+ * 'quantumSignatures'. Each entry has a thumbnail of the scene, the
+ * portal state to restore it from and its session. A scene near the portal
+ * limits runs to hundreds of kilobytes, so a few of them can fill the
+ * storage quota; saving then drops the oldest entries to make room.
+ */
+
+const STORAGE_KEY = 'quantumSignatures';
+
+class SignatureStore {
+    constructor(options = {}) {
+        this.options = {
+            maxEntries: 10,
+            ...options
+        };
+    }
+
+    /**
+     * All entries, newest first
+     */
+    list() {
+        let entries;
+        try {
+            entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Saved quantum signatures are unreadable:', error.message);
+            return [];
+        }
+        if (!Array.isArray(entries)) return [];
+
+        // Entries saved before the gallery have no key or name
+        return entries
+            .filter(entry => entry && typeof entry.id === 'string')
+            .map(entry => ({
+                ...entry,
+                key: entry.key || `${entry.id}@${entry.timestamp}`,
+                name: entry.name || entry.id
+            }))
+            .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    }
+
+    get(key) {
+        return this.list().find(entry => entry.key === key) || null;
+    }
+
+    /**
+     * Save an entry, dropping the oldest beyond maxEntries, and then as many
+     * more of the oldest as it takes for the new one to fit
+     * @returns {{entry: Object, dropped: Object[]}} the saved entry, and any
+     *   older ones removed to make room for it
+     * @throws {Error} when the entry doesn't fit even on its own; nothing
+     *   saved before is lost
+     */
+    add(entry) {
+        const timestamp = entry.timestamp || new Date().toISOString();
+        const saved = { ...entry, timestamp, key: `${entry.id}@${timestamp}`, name: entry.name || entry.id };
+
+        const entries = [saved, ...this.list()].slice(0, this.options.maxEntries);
+        const dropped = [];
+        for (;;) {
+            try {
+                this.write(entries);
+                return { entry: saved, dropped };
+            } catch (error) {
+                if (entries.length === 1) throw error;
+                dropped.push(entries.pop());
+            }
+        }
+    }
+
+    update(key, changes) {
+        const entry = this.get(key);
+        if (!entry) throw new Error('Saved signature not found');
+
+        const updated = { ...entry, ...changes, key };
+        this.write(this.list().map(item => item.key === key ? updated : item));
+        return updated;
+    }
+
+    delete(key) {
+        this.write(this.list().filter(entry => entry.key !== key));
+    }
+
+    write(entries) {
+        try {
+            // Oldest first, as saveSignature has always stored them
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...entries].reverse()));
+        } catch (error) {
+            throw new Error('Not enough browser storage to save this signature');
+        }
+    }
+}
+
+// Export for module usage
+export default SignatureStore;
@@ -0,0 +1,116 @@
+/**
+ * Simulation Clock
+ * Fixed-timestep clock for the Quantum Realm. Real frame time is accumulated
+ * and the simulation advances in whole steps of the same length, so a scene
+ * evolves identically at 30, 60 or 144fps. Anything that changes the scene
+ * later (a delayed spawn, for instance) is scheduled on the clock rather than
+ * with setTimeout, so it lands on the same step every time. Timers can be
+ * named, so a snapshot of the scene can list what is still to come.
+ */
+
+const DEFAULT_OPTIONS = {
+    step: 1 / 60, // seconds of simulation per step
+    maxStepsPerFrame: 5 // after a stall the simulation slows down instead of jumping
+};
+
+class SimulationClock {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Start over at the given step, dropping anything scheduled
+     */
+    reset(tick = 0) {
+        this.tick = tick;
+        this.accumulator = 0;
+        this.lastFrame = null;
+        this.timers = [];
+    }
+
+    /**
+     * Simulation time in seconds
+     */
+    get time() {
+        return this.tick * this.options.step;
+    }
+
+    /**
+     * Jump to the step nearest a simulation time, e.g. from a shared portal
+     */
+    setTime(seconds) {
+        this.reset(Math.max(0, Math.round(seconds / this.options.step)));
+    }
+
+    /**
+     * Run a callback once the simulation is `seconds` further on
+     */
+    after(seconds, callback, name = null) {
+        this.afterSteps(Math.round(seconds / this.options.step), callback, name);
+    }
+
+    /**
+     * Run a callback `steps` steps from now (at least the next step)
+     */
+    afterSteps(steps, callback, name = null) {
+        this.timers.push({ at: this.tick + Math.max(1, steps), callback, name });
+    }
+
+    /**
+     * Timers still to fire, in the order they will fire on a shared step
+     * @returns {Array<{steps: number, name: string|null}>}
+     */
+    pending() {
+        return this.timers.map(({ at, name }) => ({ steps: at - this.tick, name }));
+    }
+
+    /**
+     * Feed a frame timestamp (ms, as passed by requestAnimationFrame) and run
+     * `update` once per whole step that has elapsed
+     * @returns {number} steps run
+     */
+    advance(now, update) {
+        const { step, maxStepsPerFrame } = this.options;
+
+        if (this.lastFrame !== null) {
+            this.accumulator += Math.max(0, now - this.lastFrame) / 1000;
+        }
+        this.lastFrame = now;
+
+        let steps = 0;
+        while (this.accumulator >= step && steps < maxStepsPerFrame) {
+            this.accumulator -= step;
+            this.stepOnce(update);
+            steps++;
+        }
+        if (steps === maxStepsPerFrame) this.accumulator = 0;
+
+        return steps;
+    }
+
+    /**
+     * Call on frames where the simulation is paused, so resuming doesn't
+     * catch up on the time spent paused
+     */
+    hold() {
+        this.accumulator = 0;
+        this.lastFrame = null;
+    }
+
+    /**
+     * Advance exactly one step: fire due timers, then update
+     */
+    stepOnce(update) {
+        this.tick++;
+
+        const due = this.timers.filter(timer => timer.at <= this.tick);
+        this.timers = this.timers.filter(timer => timer.at > this.tick);
+        due.forEach(timer => timer.callback());
+
+        update(this.time);
+    }
+}
+
+// Export for module usage
+export default SimulationClock;
@@ -0,0 +1,205 @@
+/**
+ * Speech Alignment
+ * Word timings for synthesized speech: read from the provider's timestamped
+ * stream when available, otherwise estimated from the audio itself
+ */
+
+const WORD_PATTERN = /<[^>]*>|[^\s<]+/g;
+
+// Relative speaking weight of trailing punctuation, in syllables
+const PUNCTUATION_WEIGHT = {
+    ',': 1, ';': 1.2, ':': 1.2, '.': 2, '!': 2, '?': 2, '…': 2.5
+};
+
+function decodeBase64(value) {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function countSyllables(word) {
+    const groups = word.toLowerCase().match(/[aeiouyà-ÿ]+/g);
+    return Math.max(1, groups ? groups.length : Math.ceil(word.length / 3));
+}
+
+/**
+ * Split a newline-delimited { audio_base64, alignment } stream into an audio
+ * Response that can be played as it arrives plus the merged character alignment.
+ * Resolves once the first audio arrives so the container type is known.
+ * @returns {Promise<{ response: Response, alignment: Promise<object> }>}
+ */
+export async function splitTimestampedResponse(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const alignment = { characters: [], character_start_times_seconds: [], character_end_times_seconds: [] };
+    let buffered = '';
+    let offset = 0;
+
+    const appendAlignment = (part) => {
+        if (!part?.characters?.length) return;
+
+        // Each line's times may restart at zero - shift them past what came before
+        const lastEnd = alignment.character_end_times_seconds.at(-1) ?? 0;
+        if (part.character_start_times_seconds[0] + offset < lastEnd - 0.05) {
+            offset = lastEnd;
+        }
+
+        alignment.characters.push(...part.characters);
+        alignment.character_start_times_seconds.push(...part.character_start_times_seconds.map(time => time + offset));
+        alignment.character_end_times_seconds.push(...part.character_end_times_seconds.map(time => time + offset));
+    };
+
+    // Pull lines until at least one audio chunk is decoded
+    const readAudio = async () => {
+        while (true) {
+            const newline = buffered.indexOf('\n');
+            if (newline !== -1) {
+                const line = buffered.slice(0, newline).trim();
+                buffered = buffered.slice(newline + 1);
+                if (!line) continue;
+
+                const data = JSON.parse(line);
+                appendAlignment(data.alignment);
+                if (data.audio_base64) return decodeBase64(data.audio_base64);
+                continue;
+            }
+
+            const { done, value } = await reader.read();
+            if (done) {
+                if (!buffered.trim()) return null;
+                buffered += '\n';
+                continue;
+            }
+            buffered += decoder.decode(value, { stream: true });
+        }
+    };
+
+    const firstChunk = await readAudio();
+    const isWav = firstChunk && String.fromCharCode(...firstChunk.subarray(0, 4)) === 'RIFF';
+
+    let resolveAlignment;
+    let rejectAlignment;
+    const alignmentReady = new Promise((resolve, reject) => {
+        resolveAlignment = resolve;
+        rejectAlignment = reject;
+    });
+
+    let pending = firstChunk;
+    const stream = new ReadableStream({
+        async pull(controller) {
+            try {
+                const chunk = pending ?? await readAudio();
+                pending = null;
+
+                if (chunk) {
+                    controller.enqueue(chunk);
+                } else {
+                    controller.close();
+                    resolveAlignment(alignment);
+                }
+            } catch (error) {
+                controller.error(error);
+                rejectAlignment(error);
+            }
+        },
+        cancel(reason) {
+            reader.cancel(reason);
+        }
+    });
+
+    return {
+        response: new Response(stream, { headers: { 'Content-Type': isWav ? 'audio/wav' : 'audio/mpeg' } }),
+        alignment: alignmentReady
+    };
+}
+
+/**
+ * Group character timings into words, skipping markup tags
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+export function wordsFromAlignment(alignment) {
+    const text = alignment.characters.join('');
+    const words = [];
+    let match;
+
+    // Characters may be whole code points, so map string offsets back to character indices
+    const characterAt = [];
+    alignment.characters.forEach((character, index) => {
+        for (let i = 0; i < character.length; i++) characterAt.push(index);
+    });
+
+    WORD_PATTERN.lastIndex = 0;
+    while ((match = WORD_PATTERN.exec(text)) !== null) {
+        if (match[0].startsWith('<')) continue;
+
+        const first = characterAt[match.index];
+        const last = characterAt[match.index + match[0].length - 1];
+        words.push({
+            text: match[0],
+            start: alignment.character_start_times_seconds[first],
+            end: alignment.character_end_times_seconds[last]
+        });
+    }
+
+    return words;
+}
+
+/**
+ * Heuristic forced alignment: spread words across the voiced span of the audio
+ * in proportion to their syllables, with extra room after punctuation
+ */
+export function estimateWordTimings(text, { start = 0, end }) {
+    const tokens = (text.match(WORD_PATTERN) || []).filter(token => !token.startsWith('<'));
+    const weights = tokens.map(token => {
+        const trailing = token.match(/[,;:.!?…]+$/)?.[0] || '';
+        const pause = [...trailing].reduce((sum, mark) => Math.max(sum, PUNCTUATION_WEIGHT[mark] || 0), 0);
+        return { syllables: countSyllables(token), pause };
+    });
+
+    const total = weights.reduce((sum, weight) => sum + weight.syllables + weight.pause, 0) || 1;
+    const secondsPerUnit = Math.max(0, end - start) / total;
+    let time = start;
+
+    return tokens.map((token, i) => {
+        const wordStart = time;
+        const wordEnd = wordStart + weights[i].syllables * secondsPerUnit;
+        time = wordEnd + weights[i].pause * secondsPerUnit;
+        return { text: token, start: wordStart, end: wordEnd };
+    });
+}
+
+/**
+ * Leading and trailing silence bounds from a 10ms RMS envelope
+ */
+export function findSpeechBounds(audioBuffer, threshold = 0.02) {
+    const data = audioBuffer.getChannelData(0);
+    const frameSize = Math.max(1, Math.round(audioBuffer.sampleRate * 0.01));
+    let first = -1;
+    let last = -1;
+
+    for (let offset = 0; offset < data.length; offset += frameSize) {
+        let sum = 0;
+        const limit = Math.min(data.length, offset + frameSize);
+        for (let i = offset; i < limit; i++) sum += data[i] * data[i];
+
+        if (Math.sqrt(sum / (limit - offset)) > threshold) {
+            if (first === -1) first = offset;
+            last = limit;
+        }
+    }
+
+    if (first === -1) return { start: 0, end: audioBuffer.duration };
+    return { start: first / audioBuffer.sampleRate, end: last / audioBuffer.sampleRate };
+}
+
+/**
+ * Estimate word timings for audio that came without provider alignment
+ */
+export async function estimateAlignmentForBlob(audioBlob, text) {
+    const context = new OfflineAudioContext(1, 1, 22050);
+    const audioBuffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+    return estimateWordTimings(text, findSpeechBounds(audioBuffer));
+}
@@ -0,0 +1,240 @@
+/**
+ * Speech Markup
+ * A lightweight SSML subset for the TTS demo plus a user pronunciation lexicon.
+ * Markup compiles to the text the provider understands: breaks stay as tags,
+ * phonemes stay as tags for models that support them and fall back to the
+ * word as written for the rest, aliases are replaced by their alias.
+ * ElevenLabs has no emphasis tag, so strong or moderate emphasis is sent as
+ * upper case, which its models read with more stress; reduced emphasis is
+ * sent unchanged.
+ *
+ *   <break time="500ms"/>  <emphasis level="strong">...</emphasis>
+ *   <phoneme ph="təˈmɑːtoʊ">tomato</phoneme>  <sub alias="M C P">MCP</sub>
+ */
+
+const MAX_BREAK_MS = 3000;
+
+// ElevenLabs models that read <phoneme> tags; the others would speak the tag
+export const PHONEME_MODEL_IDS = ['eleven_flash_v2', 'eleven_turbo_v2', 'eleven_monolingual_v1'];
+
+export function supportsPhonemes(modelId) {
+    return PHONEME_MODEL_IDS.includes(modelId);
+}
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z]+)((?:\s+[a-zA-Z-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+export const DEFAULT_LEXICON = [
+    { term: 'MCP', replacement: 'M C P' },
+    { term: 'GSAP', replacement: 'G sock' }
+];
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2] ?? match[3];
+    }
+
+    return attributes;
+}
+
+function parseBreakTime(value) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s)$/.exec((value || '').trim());
+    if (!match) return null;
+    return match[2] === 's' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+}
+
+/**
+ * The words of markup without its tags, for titles and file metadata. A tag
+ * cut off by truncation is dropped too.
+ */
+export function stripMarkup(text) {
+    return text
+        .replace(/<[^>]*>|<[^>]*$/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/ ([.,;:!?…])/g, '$1')
+        .trim();
+}
+
+/**
+ * Parse "TERM = replacement" lines into lexicon entries
+ * @returns {{ entries: Array<{ term: string, replacement: string }>, errors: string[] }}
+ */
+export function parseLexicon(source) {
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+
+    source.split('\n').forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const separator = trimmed.indexOf('=');
+        const term = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+        const replacement = separator > 0 ? trimmed.slice(separator + 1).trim() : '';
+
+        if (!term || !replacement) {
+            errors.push(`Lexicon line ${i + 1}: expected "TERM = pronunciation"`);
+        } else if (/[<>]/.test(term + replacement)) {
+            errors.push(`Lexicon line ${i + 1}: markup is not allowed in lexicon entries`);
+        } else if (seen.has(term)) {
+            errors.push(`Lexicon line ${i + 1}: "${term}" is already defined`);
+        } else {
+            seen.add(term);
+            entries.push({ term, replacement });
+        }
+    });
+
+    return { entries, errors };
+}
+
+export function formatLexicon(entries) {
+    return entries.map(({ term, replacement }) => `${term} = ${replacement}`).join('\n');
+}
+
+/**
+ * Replace whole-word occurrences of lexicon terms (case-sensitive, longest term first)
+ */
+export function applyLexicon(text, entries = []) {
+    if (entries.length === 0) return text;
+
+    const sorted = [...entries].sort((a, b) => b.term.length - a.term.length);
+    const replacements = new Map(sorted.map(entry => [entry.term, entry.replacement]));
+    const pattern = new RegExp(`(?<![\\w])(${sorted.map(entry => escapeRegExp(entry.term)).join('|')})(?![\\w])`, 'g');
+
+    return text.replace(pattern, term => replacements.get(term));
+}
+
+/**
+ * Compile demo markup into provider text. With `phonemes: false` phoneme
+ * tags are dropped and the word inside them is spoken as written.
+ * @returns {{ text: string, errors: string[] }}
+ */
+export function compileMarkup(source, { lexicon = [], phonemes = true } = {}) {
+    const errors = [];
+    const root = { tag: null, parts: [] };
+    const stack = [root];
+    let cursor = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const inside = (tag) => stack.some(frame => frame.tag === tag);
+
+    const appendText = (text) => {
+        if (!text) return;
+
+        if (/[<>]/.test(text)) {
+            const offset = cursor + text.search(/[<>]/);
+            errors.push(`Line ${lineOf(source, offset)}: unrecognized markup near "${source.slice(offset, offset + 20).trim()}"`);
+        }
+
+        // Aliases and phonemes already define their own pronunciation
+        let output = inside('sub') || inside('phoneme') ? text : applyLexicon(text, lexicon);
+        const emphasis = stack.filter(frame => frame.tag === 'emphasis').pop();
+        if (emphasis && emphasis.attributes.level !== 'reduced') {
+            output = output.toUpperCase();
+        }
+        current().parts.push(output);
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        appendText(source.slice(cursor, match.index));
+        cursor = TAG_PATTERN.lastIndex;
+
+        const [, closing, name, attributeSource, selfClosing] = match;
+        const tag = name.toLowerCase();
+        const attributes = parseAttributes(attributeSource);
+        const line = lineOf(source, match.index);
+
+        if (!['break', 'emphasis', 'phoneme', 'sub'].includes(tag)) {
+            errors.push(`Line ${line}: unsupported tag <${name}>`);
+            continue;
+        }
+
+        if (tag === 'break') {
+            const milliseconds = parseBreakTime(attributes.time);
+            if (closing || !selfClosing) {
+                errors.push(`Line ${line}: <break> must be self-closing, e.g. <break time="500ms"/>`);
+            } else if (milliseconds === null) {
+                errors.push(`Line ${line}: <break> needs a time like "500ms" or "1.5s"`);
+            } else if (milliseconds > MAX_BREAK_MS) {
+                errors.push(`Line ${line}: breaks can be at most ${MAX_BREAK_MS / 1000}s`);
+            } else {
+                current().parts.push(` <break time="${+(milliseconds / 1000).toFixed(2)}s" /> `);
+            }
+            continue;
+        }
+
+        if (selfClosing) {
+            errors.push(`Line ${line}: <${tag}> needs closing </${tag}>`);
+            continue;
+        }
+
+        if (!closing) {
+            if (tag === 'emphasis' && attributes.level && !['strong', 'moderate', 'reduced'].includes(attributes.level)) {
+                errors.push(`Line ${line}: emphasis level must be strong, moderate or reduced`);
+            }
+            if (tag === 'phoneme' && !attributes.ph) {
+                errors.push(`Line ${line}: <phoneme> needs a ph attribute`);
+            }
+            if (tag === 'phoneme' && attributes.alphabet && !['ipa', 'cmu-arpabet'].includes(attributes.alphabet)) {
+                errors.push(`Line ${line}: phoneme alphabet must be ipa or cmu-arpabet`);
+            }
+            if (tag === 'sub' && !attributes.alias) {
+                errors.push(`Line ${line}: <sub> needs an alias attribute`);
+            }
+            if ((tag === 'phoneme' || tag === 'sub') && (inside('phoneme') || inside('sub'))) {
+                errors.push(`Line ${line}: <${tag}> cannot be nested inside <phoneme> or <sub>`);
+            }
+
+            stack.push({ tag, attributes, parts: [], line });
+            continue;
+        }
+
+        const frame = current();
+        if (frame.tag !== tag) {
+            errors.push(frame.tag
+                ? `Line ${line}: expected </${frame.tag}> but found </${tag}>`
+                : `Line ${line}: </${tag}> has no opening tag`);
+            continue;
+        }
+
+        stack.pop();
+        const inner = frame.parts.join('');
+
+        if (tag === 'sub') {
+            current().parts.push(frame.attributes.alias || inner);
+        } else if (tag === 'phoneme' && phonemes) {
+            const alphabet = frame.attributes.alphabet || 'ipa';
+            current().parts.push(`<phoneme alphabet="${alphabet}" ph="${escapeAttribute(frame.attributes.ph || '')}">${inner}</phoneme>`);
+        } else {
+            current().parts.push(inner);
+        }
+    }
+
+    appendText(source.slice(cursor));
+
+    stack.slice(1).forEach(frame => {
+        errors.push(`Line ${frame.line}: <${frame.tag}> is never closed`);
+    });
+
+    const text = root.parts.join('').replace(/[ \t]{2,}/g, ' ').trim();
+    // An unsupported pair reports once, not for both its opening and closing tag
+    return { text, errors: [...new Set(errors)] };
+}
@@ -0,0 +1,136 @@
+/**
+ * Streaming Audio Loader
+ * Feeds synthesized speech into an audio element through MediaSource
+ * so playback can begin while the rest of the response is still arriving
+ */
+
+class StreamingAudioLoader {
+    constructor(audioElement) {
+        this.audioElement = audioElement;
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.mimeType = null;
+        this.url = null;
+        this.ready = null;
+    }
+
+    /**
+     * Whether this browser can stream the given container via MediaSource
+     */
+    static canStream(mimeType) {
+        return typeof window.MediaSource !== 'undefined' && MediaSource.isTypeSupported(mimeType);
+    }
+
+    /**
+     * Read a fetch Response body chunk by chunk, awaiting the handler for each chunk
+     */
+    static async readChunks(response, onChunk) {
+        if (!response.body) {
+            await onChunk(new Uint8Array(await response.arrayBuffer()));
+            return;
+        }
+
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (value?.byteLength) await onChunk(value);
+        }
+    }
+
+    /**
+     * Collect a whole response into a Blob while reporting bytes received
+     */
+    static async readBlob(response, onProgress) {
+        const mimeType = (response.headers.get('Content-Type') || 'audio/mpeg').split(';')[0];
+        const chunks = [];
+        let bytesReceived = 0;
+
+        await StreamingAudioLoader.readChunks(response, (chunk) => {
+            chunks.push(chunk);
+            bytesReceived += chunk.byteLength;
+            onProgress?.(bytesReceived);
+        });
+
+        return new Blob(chunks, { type: mimeType });
+    }
+
+    /**
+     * Create the MediaSource and return its object URL for the audio element
+     */
+    attach(mimeType) {
+        this.mimeType = mimeType;
+        this.mediaSource = new MediaSource();
+        this.ready = new Promise((resolve) => {
+            this.mediaSource.addEventListener('sourceopen', resolve, { once: true });
+        });
+        this.url = URL.createObjectURL(this.mediaSource);
+        return this.url;
+    }
+
+    /**
+     * Append the response stream to the MediaSource as it arrives
+     * @returns {Promise<Blob>} the complete audio once the stream ends
+     */
+    async load(response, { onProgress, onFirstChunk } = {}) {
+        await this.ready;
+        this.sourceBuffer = this.mediaSource.addSourceBuffer(this.mimeType);
+        this.sourceBuffer.mode = 'sequence';
+
+        const chunks = [];
+        let bytesReceived = 0;
+
+        await StreamingAudioLoader.readChunks(response, async (chunk) => {
+            chunks.push(chunk);
+            bytesReceived += chunk.byteLength;
+
+            await this.appendChunk(chunk);
+
+            if (chunks.length === 1) onFirstChunk?.();
+            onProgress?.(bytesReceived);
+        });
+
+        if (this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+
+        return new Blob(chunks, { type: this.mimeType });
+    }
+
+    appendChunk(chunk) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                this.sourceBuffer.removeEventListener('updateend', handleUpdateEnd);
+                this.sourceBuffer.removeEventListener('error', handleError);
+            };
+            const handleUpdateEnd = () => {
+                cleanup();
+                resolve();
+            };
+            const handleError = () => {
+                cleanup();
+                reject(new Error('Failed to buffer audio chunk'));
+            };
+
+            this.sourceBuffer.addEventListener('updateend', handleUpdateEnd);
+            this.sourceBuffer.addEventListener('error', handleError);
+            this.sourceBuffer.appendBuffer(chunk);
+        });
+    }
+
+    /**
+     * Abort an in-flight stream
+     */
+    abort() {
+        if (this.mediaSource?.readyState === 'open') {
+            try {
+                this.mediaSource.endOfStream('network');
+            } catch (error) {
+                console.warn('Could not end media stream:', error);
+            }
+        }
+    }
+}
+
+// Export for module usage
+export default StreamingAudioLoader;
@@ -0,0 +1,126 @@
+/**
+ * Text Chunker
+ * Splits long narration into synthesis-sized chunks at paragraph and
+ * sentence boundaries so each request stays within the provider limit
+ */
+
+const DEFAULT_MAX_LENGTH = 400;
+
+// A sentence ends at terminal punctuation (and any closing quotes or brackets)
+// followed by whitespace or the end of the text, so "1.5", "$3.99" and "e.g."
+// stay whole. Markup tags are matched whole, and a <phoneme>...</phoneme> pair
+// with its word, so punctuation inside them never ends a sentence.
+const TAG_PAIR = '<phoneme\\b[^>]*>[\\s\\S]*?</phoneme\\s*>';
+const BOUNDARY_PATTERN = new RegExp(`${TAG_PAIR}|<[^>]*>|[.!?…]+["'”’)\\]]*(?=\\s|$)\\s*`, 'g');
+const WORD_PATTERN = new RegExp(`(?:${TAG_PAIR}|<[^>]*>|[^\\s<]+|<)\\s*`, 'g');
+
+// Abbreviations that end with a full stop but rarely end a sentence
+const ABBREVIATION_PATTERN = /(?:^|[\s(])(?:e\.g|i\.e|cf|vs|mr|mrs|ms|dr)\.$/i;
+
+/**
+ * Split text into sentences, each keeping the whitespace that follows it,
+ * so joining them gives back the original text
+ */
+function splitSentenceSpans(text) {
+    const spans = [];
+    let start = 0;
+    let match;
+
+    BOUNDARY_PATTERN.lastIndex = 0;
+    while ((match = BOUNDARY_PATTERN.exec(text)) !== null) {
+        if (match[0].startsWith('<')) continue;
+
+        const end = match.index + match[0].length;
+        if (ABBREVIATION_PATTERN.test(text.slice(start, end).trimEnd())) continue;
+
+        spans.push(text.slice(start, end));
+        start = end;
+    }
+
+    if (start < text.length) spans.push(text.slice(start));
+    return spans;
+}
+
+/**
+ * Split text into sentences, keeping their terminal punctuation
+ */
+export function splitSentences(text) {
+    return splitSentenceSpans(text)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Break a single over-long sentence at word boundaries, keeping markup tags
+ * and phoneme pairs whole and the original spacing between words
+ */
+function splitLongSentence(sentence, maxLength) {
+    const pieces = [];
+    let current = '';
+
+    const flush = () => {
+        if (current.trim()) pieces.push(current.trimEnd());
+        current = '';
+    };
+
+    (sentence.match(WORD_PATTERN) || []).forEach(part => {
+        // A single unbroken token longer than the limit is hard-split - unless
+        // it is markup, which would stop being markup
+        while (part.trimEnd().length > maxLength && !part.startsWith('<')) {
+            flush();
+            pieces.push(part.slice(0, maxLength));
+            part = part.slice(maxLength);
+        }
+
+        if ((current + part).trimEnd().length > maxLength) flush();
+        current += part;
+    });
+
+    flush();
+    return pieces;
+}
+
+/**
+ * Split text into chunks no longer than maxLength
+ * @returns {Array<{ index: number, text: string, pauseAfter: 'clause'|'sentence'|'paragraph'|null }>}
+ */
+export function chunkText(text, { maxLength = DEFAULT_MAX_LENGTH } = {}) {
+    const chunks = [];
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+    paragraphs.forEach(paragraph => {
+        // Sentences keep their trailing whitespace, so a chunk is a verbatim slice of the paragraph
+        let current = '';
+
+        const flush = () => {
+            if (current.trim()) chunks.push({ text: current.trim(), pauseAfter: 'sentence' });
+            current = '';
+        };
+
+        splitSentenceSpans(paragraph).forEach(sentence => {
+            if (sentence.trim().length > maxLength) {
+                flush();
+                const pieces = splitLongSentence(sentence.trim(), maxLength);
+                pieces.forEach((piece, i) => {
+                    chunks.push({ text: piece, pauseAfter: i < pieces.length - 1 ? 'clause' : 'sentence' });
+                });
+                return;
+            }
+
+            if ((current + sentence).trim().length > maxLength) flush();
+            current += sentence;
+        });
+
+        flush();
+
+        if (chunks.length > 0) {
+            chunks[chunks.length - 1].pauseAfter = 'paragraph';
+        }
+    });
+
+    if (chunks.length > 0) {
+        chunks[chunks.length - 1].pauseAfter = null;
+    }
+
+    return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
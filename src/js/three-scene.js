@@ -11,6 +11,10 @@ class ThreeSceneManager {
         this.animationFrames = {};
         this.isInitialized = false;
         
+        // Latest narration band energies, eased into the sphere's uniforms each frame
+        this.audioTargets = { audioLevel: 0, bass: 0, treble: 0, beat: 0 };
+        this.audioSubscription = null;
+        
         this.init();
     }
     
@@ -284,6 +288,8 @@ class ThreeSceneManager {
             vertexShader: `
                 uniform float time;
                 uniform float audioLevel;
+                uniform float bass;
+                uniform float beat;
                 varying vec3 vPosition;
                 varying vec3 vNormal;
                 
@@ -292,8 +298,8 @@ class ThreeSceneManager {
                     vNormal = normal;
                     
                     vec3 pos = position;
-                    float displacement = sin(pos.x * 2.0 + time) * sin(pos.y * 2.0 + time) * audioLevel;
-                    pos += normal * displacement;
+                    float displacement = sin(pos.x * 2.0 + time) * sin(pos.y * 2.0 + time) * (audioLevel + bass * 1.5);
+                    pos += normal * (displacement + beat * 0.6);
                     
                     gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
                 }
@@ -301,19 +307,25 @@ class ThreeSceneManager {
             fragmentShader: `
                 uniform float time;
                 uniform float audioLevel;
+                uniform float treble;
+                uniform float beat;
                 varying vec3 vPosition;
                 varying vec3 vNormal;
                 
                 void main() {
                     float intensity = pow(0.7 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 2.0);
-                    vec3 color = vec3(0.0, 1.0, 1.0) + vec3(1.0, 0.0, 1.0) * audioLevel;
+                    vec3 color = vec3(0.0, 1.0, 1.0) + vec3(1.0, 0.0, 1.0) * audioLevel + vec3(0.6, 0.3, 1.0) * treble;
+                    color *= 1.0 + beat * 0.5;
                     
                     gl_FragColor = vec4(color * intensity, 1.0);
                 }
             `,
             uniforms: {
                 time: { value: 0.0 },
-                audioLevel: { value: 0.0 }
+                audioLevel: { value: 0.0 },
+                bass: { value: 0.0 },
+                treble: { value: 0.0 },
+                beat: { value: 0.0 }
             }
         });
         
@@ -556,10 +568,16 @@ class ThreeSceneManager {
     setupEventListeners() {
         window.addEventListener('resize', () => this.onWindowResize());
         
-        // Audio integration - use window events instead of AudioManager events
-        window.addEventListener('audioLevelUpdate', (event) => {
-            this.updateAudioVisualizer(event.detail.level);
-        });
+        // Audio integration - band energies from the narration
+        this.connectAudio(window.audioManager);
+    }
+    
+    /**
+     * Drive the audio sphere from an AudioManager's band energies
+     */
+    connectAudio(audioManager) {
+        this.audioSubscription?.();
+        this.audioSubscription = audioManager?.subscribe?.((frame) => this.updateAudioVisualizer(frame)) || null;
     }
     
     onWindowResize() {
@@ -576,15 +594,16 @@ class ThreeSceneManager {
         });
     }
     
-    updateAudioVisualizer(audioLevel) {
-        const scene = this.scenes.audioVisualizer;
-        if (!scene) return;
-        
-        scene.traverse((child) => {
-            if (child.material && child.material.uniforms) {
-                child.material.uniforms.audioLevel.value = audioLevel;
-            }
-        });
+    /**
+     * Accepts an AudioManager frame ({ bass, treble, rms, beat }) or a plain level
+     */
+    updateAudioVisualizer(frame) {
+        const levels = typeof frame === 'number' ? { rms: frame } : frame;
+        
+        this.audioTargets.audioLevel = Math.min(1, (levels.rms || 0) * 2);
+        this.audioTargets.bass = levels.bass || 0;
+        this.audioTargets.treble = levels.treble || 0;
+        if (levels.beat) this.audioTargets.beat = 1;
     }
     
     startAnimation() {
@@ -659,9 +678,18 @@ class ThreeSceneManager {
         const scene = this.scenes.audioVisualizer;
         if (!scene) return;
         
+        // Ease toward the latest audio frame so the sphere doesn't jitter;
+        // a beat is a pulse that fades out
+        const targets = this.audioTargets;
+        targets.beat *= 0.9;
+        
         scene.traverse((child) => {
             if (child.material && child.material.uniforms) {
-                child.material.uniforms.time.value = time;
+                const uniforms = child.material.uniforms;
+                uniforms.time.value = time;
+                ['audioLevel', 'bass', 'treble', 'beat'].forEach(name => {
+                    uniforms[name].value += (targets[name] - uniforms[name].value) * 0.2;
+                });
                 child.rotation.y = time * 0.1;
             }
         });
@@ -763,6 +791,8 @@ class ThreeSceneManager {
     }
     
     destroy() {
+        this.audioSubscription?.();
+        
         // Cancel animation frames
         Object.values(this.animationFrames).forEach(frame => {
             cancelAnimationFrame(frame);
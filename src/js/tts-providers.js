@@ -0,0 +1,113 @@
+/**
+ * TTS Provider Layer
+ * Pluggable speech synthesis backends for the ElevenLabs demo.
+ * Every provider resolves to a fetch Response carrying the audio stream, or
+ * with `withTimestamps` a newline-delimited { audio_base64, alignment } stream.
+ */
+
+import { createMockSpeechWav, createMockSpeechTimestamps } from './mock-tts.js';
+
+/**
+ * Talks to the server-side /api/tts proxy, which holds the ElevenLabs API key
+ */
+class HttpTTSProvider {
+    constructor(options = {}) {
+        this.name = 'elevenlabs';
+        this.endpoint = options.endpoint || '/api/tts';
+        this.modelId = options.modelId || 'eleven_multilingual_v2';
+    }
+
+    async synthesize({ text, voiceId, voiceSettings, withTimestamps = false, signal }) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': withTimestamps ? 'application/x-ndjson' : 'audio/mpeg'
+            },
+            body: JSON.stringify({
+                text,
+                voice_id: voiceId,
+                model_id: this.modelId,
+                voice_settings: voiceSettings,
+                with_timestamps: withTimestamps
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            let message = `TTS request failed (${response.status})`;
+            try {
+                const data = await response.json();
+                if (data?.error) message = data.error;
+            } catch (error) {
+                // Non-JSON error body - keep the generic message
+            }
+
+            const error = new Error(message);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Synthesizes deterministic placeholder speech locally, no network required
+ */
+class MockTTSProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.latency = options.latency ?? 300;
+    }
+
+    async synthesize({ text, voiceId, voiceSettings = {}, withTimestamps = false, signal }) {
+        await new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Synthesis aborted', 'AbortError'));
+                return;
+            }
+
+            const timeout = setTimeout(resolve, this.latency);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timeout);
+                reject(new DOMException('Synthesis aborted', 'AbortError'));
+            }, { once: true });
+        });
+
+        const options = {
+            voiceId,
+            speed: voiceSettings.speed,
+            stability: voiceSettings.stability
+        };
+
+        if (withTimestamps) {
+            const line = `${JSON.stringify(createMockSpeechTimestamps(text, options))}\n`;
+            return new Response(line, { headers: { 'Content-Type': 'application/x-ndjson' } });
+        }
+
+        const wav = createMockSpeechWav(text, options);
+
+        return new Response(new Blob([wav], { type: 'audio/wav' }), {
+            headers: {
+                'Content-Type': 'audio/wav',
+                'Content-Length': String(wav.byteLength)
+            }
+        });
+    }
+}
+
+/**
+ * Create a provider by name ('elevenlabs' or 'mock')
+ */
+function createTTSProvider(name = 'elevenlabs', options = {}) {
+    switch (name) {
+        case 'mock':
+            return new MockTTSProvider(options);
+        case 'elevenlabs':
+        default:
+            return new HttpTTSProvider(options);
+    }
+}
+
+export { HttpTTSProvider, MockTTSProvider, createTTSProvider };
@@ -0,0 +1,109 @@
+/**
+ * Voice Catalog Service
+ * Loads the available synthesis voices from the TTS provider,
+ * falling back to the bundled JSON manifest when the provider is unavailable
+ */
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    he: 'Hebrew',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    pl: 'Polish',
+    hi: 'Hindi',
+    ar: 'Arabic',
+    ja: 'Japanese',
+    zh: 'Chinese'
+};
+
+class VoiceCatalog {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '/api/voices',
+            manifestUrl: './src/assets/voices/voices.json',
+            ...options
+        };
+
+        this.voices = [];
+        this.source = null;
+    }
+
+    /**
+     * Load voices, preferring the live provider catalog
+     */
+    async load() {
+        const sources = [
+            { name: 'provider', url: this.options.endpoint },
+            { name: 'manifest', url: this.options.manifestUrl }
+        ].filter(source => source.url);
+
+        for (const source of sources) {
+            try {
+                const response = await fetch(source.url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const data = await response.json();
+                const voices = (data.voices || []).map(voice => this.normalizeVoice(voice)).filter(Boolean);
+
+                if (voices.length > 0) {
+                    this.voices = voices;
+                    this.source = source.name;
+                    console.log(`🎙️ Loaded ${voices.length} voices from ${source.name}`);
+                    return this.voices;
+                }
+            } catch (error) {
+                console.warn(`Voice catalog unavailable from ${source.name}:`, error.message);
+            }
+        }
+
+        throw new Error('No voice catalog available');
+    }
+
+    normalizeVoice(voice) {
+        const voiceId = voice.voiceId || voice.voice_id || voice.id;
+        if (!voiceId) return null;
+
+        return {
+            id: voice.id || voiceId,
+            voiceId,
+            name: voice.name || voiceId,
+            language: (voice.language || 'en').toLowerCase(),
+            gender: voice.gender || voice.labels?.gender || null,
+            previewUrl: voice.previewUrl || voice.preview_url || null,
+            description: voice.description || voice.labels?.description || '',
+            labels: voice.labels || {}
+        };
+    }
+
+    find(id) {
+        return this.voices.find(voice => voice.id === id || voice.voiceId === id);
+    }
+
+    /**
+     * Distinct languages in the catalog as { code, label } pairs
+     */
+    getLanguages() {
+        const codes = [...new Set(this.voices.map(voice => voice.language))].sort();
+        return codes.map(code => ({ code, label: LANGUAGE_NAMES[code] || code.toUpperCase() }));
+    }
+
+    filterByLanguage(language) {
+        if (!language || language === 'all') return [...this.voices];
+        return this.voices.filter(voice => voice.language === language);
+    }
+
+    /**
+     * One-line summary for the voice info panel
+     */
+    describe(voice) {
+        const details = [voice.description, voice.gender, voice.labels.accent, LANGUAGE_NAMES[voice.language]]
+            .filter(Boolean);
+        return [...new Set(details)].join(' • ');
+    }
+}
+
+// Export for module usage
+export default VoiceCatalog;
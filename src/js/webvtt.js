@@ -0,0 +1,92 @@
+/**
+ * WebVTT
+ * A small parser for the caption files shipped with each narration. Parsing
+ * here rather than through <track> keeps the cues available to the overlay
+ * and transcript without a media element in the document.
+ */
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+
+/**
+ * "01:02.500" or "00:01:02.500" to seconds
+ */
+export function parseTimestamp(value) {
+    const parts = value.split(':').map(Number);
+    const seconds = parts.pop();
+    const minutes = parts.pop();
+    const hours = parts.pop() || 0;
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Strip cue markup (<v Speaker>, <i>, <c.class>, timestamps) down to plain
+ * text and decode the entities WebVTT allows
+ */
+function cueText(lines) {
+    return lines.join('\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, '\u00A0')
+        .replace(/&lrm;/g, '\u200E')
+        .replace(/&rlm;/g, '\u200F')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a WebVTT file; malformed cues are skipped and reported
+ * @returns {{ cues: Array<{ id: string|null, startTime: number, endTime: number, text: string, settings: string }>, headers: object, errors: string[] }}
+ */
+export function parseWebVTT(source) {
+    const text = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const blocks = text.split(/\n{2,}/);
+    const cues = [];
+    const headers = {};
+    const errors = [];
+
+    const header = blocks.shift() || '';
+    if (!/^WEBVTT(?:[ \t]|$)/.test(header.split('\n')[0])) {
+        return { cues, headers, errors: ['Missing WEBVTT header'] };
+    }
+
+    // Header metadata lines such as "Language: en"
+    header.split('\n').slice(1).forEach(line => {
+        const match = line.match(/^([^:]+):\s*(.*)$/);
+        if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+    });
+
+    blocks.forEach(block => {
+        const lines = block.split('\n').filter((line, i, all) => i < all.length - 1 || line.trim());
+        if (lines.length === 0) return;
+        if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) return;
+
+        const id = lines[0].includes('-->') ? null : lines.shift();
+        const timing = (lines.shift() || '').match(TIMING_PATTERN);
+        if (!timing) {
+            errors.push(`Cue ${id || cues.length + 1}: invalid timing line`);
+            return;
+        }
+
+        const startTime = parseTimestamp(timing[1]);
+        const endTime = parseTimestamp(timing[2]);
+        if (endTime <= startTime) {
+            errors.push(`Cue ${id || cues.length + 1}: ends before it starts`);
+            return;
+        }
+
+        cues.push({ id, startTime, endTime, text: cueText(lines), settings: timing[3].trim() });
+    });
+
+    cues.sort((a, b) => a.startTime - b.startTime);
+    return { cues, headers, errors };
+}
+
+/**
+ * The cue showing at a time in seconds; overlapping cues resolve to the latest one
+ */
+export function findActiveCue(cues, time) {
+    for (let i = cues.length - 1; i >= 0; i--) {
+        if (cues[i].startTime <= time && time < cues[i].endTime) return cues[i];
+    }
+    return null;
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import BandAnalyzer from '../src/js/band-analyzer.js';
+
+// An AnalyserNode stand-in whose spectrum and waveform the test sets
+function createAnalyser({ sampleRate = 48000, fftSize = 2048 } = {}) {
+    return {
+        context: { sampleRate },
+        fftSize,
+        frequencyBinCount: fftSize / 2,
+        spectrum: () => 0,
+        wave: () => 128,
+        getByteFrequencyData(array) {
+            const binWidth = sampleRate / fftSize;
+            array.forEach((_, i) => { array[i] = this.spectrum(i * binWidth); });
+        },
+        getByteTimeDomainData(array) {
+            array.forEach((_, i) => { array[i] = this.wave(i); });
+        }
+    };
+}
+
+describe('BandAnalyzer', () => {
+    it('gives silence for a silent analyser', () => {
+        const frame = new BandAnalyzer(createAnalyser()).analyze(0);
+        expect(frame).toMatchObject({ time: 0, bass: 0, mid: 0, treble: 0, rms: 0, beat: false });
+    });
+
+    it('splits the spectrum into bass, mid and treble without sharing bins', () => {
+        const analyzer = new BandAnalyzer(createAnalyser());
+        const [, bassEnd] = analyzer.ranges.bass;
+        const [midStart, midEnd] = analyzer.ranges.mid;
+        expect(midStart).toBe(bassEnd);
+        expect(analyzer.ranges.treble[0]).toBe(midEnd);
+
+        analyzer.analyser.spectrum = (hz) => (hz >= 250 && hz < 4000 ? 255 : 0);
+        const frame = analyzer.analyze(0);
+        expect(frame.bass).toBe(0);
+        expect(frame.mid).toBeGreaterThan(0.95);
+        expect(frame.treble).toBe(0);
+    });
+
+    it('measures RMS loudness from the waveform', () => {
+        const analyser = createAnalyser();
+        // Square wave at full scale
+        analyser.wave = (i) => (i % 2 ? 0 : 255);
+        expect(new BandAnalyzer(analyser).analyze(0).rms).toBeCloseTo(1, 1);
+    });
+
+    it('hands the raw spectrum and waveform to the visuals', () => {
+        const frame = new BandAnalyzer(createAnalyser()).analyze(0);
+        expect(frame.frequencies).toHaveLength(1024);
+        expect(frame.waveform).toHaveLength(2048);
+    });
+
+    it('detects a bass onset once, then not again within the minimum interval', () => {
+        const analyser = createAnalyser();
+        const analyzer = new BandAnalyzer(analyser);
+        const bass = (level) => { analyser.spectrum = (hz) => (hz < 250 ? level : 0); };
+
+        bass(40);
+        for (let frame = 0; frame < 30; frame++) expect(analyzer.analyze(frame / 60).beat).toBe(false);
+
+        bass(200);
+        expect(analyzer.analyze(0.5).beat).toBe(true);
+        expect(analyzer.analyze(0.6).beat).toBe(false);
+
+        // A quiet kick over a quiet floor is not a beat
+        analyzer.reset();
+        bass(10);
+        analyzer.analyze(1);
+        bass(25);
+        expect(analyzer.analyze(2).beat).toBe(false);
+    });
+
+    it('describes silence in the same shape as a frame', () => {
+        const frame = new BandAnalyzer(createAnalyser()).analyze(3);
+        expect(Object.keys(BandAnalyzer.silence(3)).sort()).toEqual(Object.keys(frame).sort());
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import GenerationHistory from '../src/js/generation-history.js';
+
+const take = (n) => ({ text: `Take ${n}`, voiceId: 'rachel', audio: new Blob([`audio ${n}`]), createdAt: 1000 + n });
+
+describe('GenerationHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        // A fresh, empty IndexedDB for every test
+        vi.stubGlobal('indexedDB', new IDBFactory());
+        vi.stubGlobal('window', { indexedDB });
+        history = new GenerationHistory({ maxEntries: 3 });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('is supported where IndexedDB exists', () => {
+        expect(GenerationHistory.isSupported()).toBe(true);
+        vi.stubGlobal('window', {});
+        expect(GenerationHistory.isSupported()).toBe(false);
+    });
+
+    it('stores takes and lists them newest first', async () => {
+        const first = await history.add(take(1));
+        await history.add(take(2));
+
+        expect((await history.list()).map(entry => entry.text)).toEqual(['Take 2', 'Take 1']);
+        expect((await history.get(first)).voiceId).toBe('rachel');
+    });
+
+    it('stamps takes saved without a time', async () => {
+        vi.spyOn(Date, 'now').mockReturnValue(5000);
+        const id = await history.add({ text: 'Now' });
+        vi.restoreAllMocks();
+
+        expect((await history.get(id)).createdAt).toBe(5000);
+    });
+
+    it('drops the oldest takes beyond maxEntries', async () => {
+        // Added out of order; age is createdAt, not insertion order
+        for (const n of [3, 1, 4, 2, 5]) await history.add(take(n));
+
+        expect((await history.list()).map(entry => entry.text)).toEqual(['Take 5', 'Take 4', 'Take 3']);
+    });
+
+    it('updates and deletes takes', async () => {
+        const id = await history.add(take(1));
+
+        const updated = await history.update(id, { text: 'Renamed', id: 999 });
+        expect(updated).toMatchObject({ id, text: 'Renamed' });
+        expect((await history.get(id)).text).toBe('Renamed');
+
+        await history.delete(id);
+        expect(await history.get(id)).toBeUndefined();
+        await expect(history.update(id, { text: 'Gone' })).rejects.toThrow('History entry not found');
+    });
+
+    it('opens the database once', async () => {
+        const open = vi.spyOn(indexedDB, 'open');
+        await history.list();
+        await history.list();
+
+        expect(open).toHaveBeenCalledTimes(1);
+    });
+});
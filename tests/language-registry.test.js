@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import LanguageRegistry from '../src/js/language-registry.js';
+
+const MANIFEST = JSON.parse(readFileSync(new URL('../src/assets/languages.json', import.meta.url), 'utf8'));
+
+const HEBREW = { code: 'he', label: 'עברית', direction: 'rtl', aliases: ['Hebrew'], audio: 'he.mp3' };
+const ENGLISH = { code: 'EN', aliases: ['english'], audio: 'en.mp3', captions: 'en.vtt' };
+
+describe('LanguageRegistry', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('fills in defaults when registering', () => {
+        const registry = new LanguageRegistry();
+        expect(registry.register(ENGLISH)).toEqual({
+            code: 'en',
+            label: 'EN',
+            shortLabel: 'EN',
+            direction: 'ltr',
+            aliases: ['english'],
+            audio: 'en.mp3',
+            timeline: null,
+            captions: 'en.vtt'
+        });
+    });
+
+    it('replaces a language registered again under the same code', () => {
+        const registry = new LanguageRegistry();
+        registry.register(ENGLISH);
+        registry.register({ ...ENGLISH, audio: 'en-2.mp3' });
+
+        expect(registry.list()).toHaveLength(1);
+        expect(registry.get('en').audio).toBe('en-2.mp3');
+    });
+
+    it('refuses languages without a code or audio', () => {
+        const registry = new LanguageRegistry();
+        expect(() => registry.register({ audio: 'x.mp3' })).toThrow('Narration language needs a code');
+        expect(() => registry.register({ code: 'fr' })).toThrow('Narration language fr has no audio file');
+    });
+
+    it('looks languages up by code, regional tag or alias', async () => {
+        const registry = new LanguageRegistry({ languages: [ENGLISH, HEBREW] });
+        await registry.load();
+
+        expect(registry.get('HE').code).toBe('he');
+        expect(registry.get('he-IL').code).toBe('he');
+        expect(registry.get('hebrew').code).toBe('he');
+        expect(registry.get('fr')).toBeNull();
+        expect(registry.get(null)).toBeNull();
+    });
+
+    it('matches the first preferred language it has, else the default', async () => {
+        const registry = new LanguageRegistry({ languages: [ENGLISH, HEBREW], default: 'he' });
+        await registry.load();
+
+        expect(registry.match(['fr-FR', 'en-GB', 'he']).code).toBe('en');
+        expect(registry.match(['fr', undefined]).code).toBe('he');
+    });
+
+    it('loads the shipped manifest', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json(MANIFEST)));
+        const registry = new LanguageRegistry();
+        await registry.load();
+
+        expect(registry.list().map(language => language.code)).toEqual(['en', 'he']);
+        expect(registry.getDefault().code).toBe('en');
+        expect(registry.get('he').direction).toBe('rtl');
+    });
+
+    it('skips bad manifest entries and falls back to the first language for an unknown default', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json({ default: 'fr', languages: [{ code: 'de' }, HEBREW] })));
+        const registry = new LanguageRegistry();
+        await registry.load();
+
+        expect(registry.list().map(language => language.code)).toEqual(['he']);
+        expect(registry.getDefault().code).toBe('he');
+        expect(console.warn).toHaveBeenCalledWith('Skipping narration language:', 'Narration language de has no audio file');
+    });
+
+    it('still narrates in English when the manifest is unavailable', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+        const registry = new LanguageRegistry();
+        await registry.load();
+
+        expect(registry.getDefault()).toMatchObject({ code: 'en', captions: './src/assets/captions/english.vtt' });
+    });
+});
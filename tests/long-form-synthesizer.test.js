@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import LongFormSynthesizer from '../src/js/long-form-synthesizer.js';
+import { encodeWav } from '../src/js/mock-tts.js';
+
+const SAMPLE_RATE = 1000;
+
+// Each chunk comes back as a WAV of `length` samples, all equal to `value`
+function wavResponse(length, value) {
+    const wav = encodeWav(new Float32Array(length).fill(value), SAMPLE_RATE);
+    return new Response(new Blob([wav], { type: 'audio/wav' }), { headers: { 'Content-Type': 'audio/wav' } });
+}
+
+// Stands in for OfflineAudioContext.decodeAudioData, which Node lacks
+function decodeWav(data) {
+    const view = new DataView(data);
+    const channel = new Float32Array(view.getUint32(40, true) / 2);
+    for (let i = 0; i < channel.length; i++) {
+        channel[i] = view.getInt16(44 + i * 2, true) / 0x7FFF;
+    }
+    return { length: channel.length, numberOfChannels: 1, getChannelData: () => channel };
+}
+
+function readWav(bytes) {
+    const view = new DataView(bytes.buffer);
+    const text = (offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+    const samples = Array.from({ length: view.getUint32(40, true) / 2 }, (_, i) => view.getInt16(44 + i * 2, true));
+    return { riff: text(0), wave: text(8), sampleRate: view.getUint32(24, true), size: view.getUint32(4, true), samples };
+}
+
+function createSynthesizer(provider, options = {}) {
+    const synthesizer = new LongFormSynthesizer(provider, {
+        maxChunkLength: 20,
+        sampleRate: SAMPLE_RATE,
+        sentencePause: 0.01, // 10 samples
+        retryDelay: 0,
+        ...options
+    });
+    synthesizer.decode = async (data) => decodeWav(data);
+    return synthesizer;
+}
+
+describe('LongFormSynthesizer stitching', () => {
+    it('joins chunks in order with pauses between them', async () => {
+        // The first chunk answers last, so completion order differs from text order
+        const provider = {
+            async synthesize({ text }) {
+                const index = ['First sentence.', 'Second one.', 'A new paragraph.'].indexOf(text);
+                await new Promise(resolve => setTimeout(resolve, index === 0 ? 20 : 0));
+                return wavResponse(5, (index + 1) / 4);
+            }
+        };
+        const synthesizer = createSynthesizer(provider);
+
+        const { blob, failed } = await synthesizer.synthesize('First sentence. Second one.\n\nA new paragraph.');
+        const wav = readWav(new Uint8Array(await blob.arrayBuffer()));
+        const level = (value) => Math.trunc(value * 0x7FFF);
+
+        expect(failed).toEqual([]);
+        expect(blob.type).toBe('audio/wav');
+        expect(wav.riff).toBe('RIFF');
+        expect(wav.wave).toBe('WAVE');
+        expect(wav.sampleRate).toBe(SAMPLE_RATE);
+        expect(wav.size).toBe(36 + wav.samples.length * 2);
+
+        // 5 samples, a sentence pause of 10, 5 samples, a paragraph pause of 20, 5 samples
+        expect(wav.samples).toEqual([
+            ...Array(5).fill(level(0.25)), ...Array(10).fill(0),
+            ...Array(5).fill(level(0.5)), ...Array(20).fill(0),
+            ...Array(5).fill(level(0.75))
+        ]);
+    });
+
+    it('down-mixes multi-channel chunks to mono', async () => {
+        const synthesizer = createSynthesizer({ synthesize: async () => wavResponse(4, 0) });
+        synthesizer.decode = async () => ({
+            length: 4,
+            numberOfChannels: 2,
+            getChannelData: (channel) => new Float32Array(4).fill(channel === 0 ? 0.5 : 0.25)
+        });
+
+        const { blob } = await synthesizer.synthesize('Short.');
+        const wav = readWav(new Uint8Array(await blob.arrayBuffer()));
+
+        expect(wav.samples).toEqual(Array(4).fill(Math.trunc(0.375 * 0x7FFF)));
+    });
+
+    it('only stitches once every failed chunk has been retried', async () => {
+        let failing = true;
+        const provider = {
+            async synthesize({ text }) {
+                if (failing && text === 'Second one.') {
+                    const error = new Error('Service unavailable');
+                    error.status = 503;
+                    throw error;
+                }
+                return wavResponse(3, 0.5);
+            }
+        };
+        const synthesizer = createSynthesizer(provider, { retries: 1 });
+
+        const first = await synthesizer.synthesize('First sentence. Second one.');
+        expect(first.blob).toBeNull();
+        expect(first.failed.map(chunk => chunk.text)).toEqual(['Second one.']);
+        expect(first.failed[0].attempts).toBe(2);
+
+        failing = false;
+        const second = await synthesizer.retryFailed();
+        const wav = readWav(new Uint8Array(await second.blob.arrayBuffer()));
+
+        expect(second.failed).toEqual([]);
+        expect(wav.samples).toHaveLength(3 + 10 + 3);
+    });
+
+    it('does not retry client errors', async () => {
+        let calls = 0;
+        const provider = {
+            async synthesize() {
+                calls++;
+                const error = new Error('Invalid voice_id');
+                error.status = 400;
+                throw error;
+            }
+        };
+        const synthesizer = createSynthesizer(provider, { retries: 2 });
+
+        const { blob, failed } = await synthesizer.synthesize('Short.');
+
+        expect(blob).toBeNull();
+        expect(failed).toHaveLength(1);
+        expect(calls).toBe(1);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import NarrationTimeline from '../src/js/narration-timeline.js';
+
+const TIMELINES = new URL('../src/assets/timelines/', import.meta.url);
+
+function timeline(sections, extra = {}) {
+    return { language: 'en', duration: 30, sections, ...extra };
+}
+
+const SECTIONS = {
+    hero: { title: 'Hero', start: 0, end: 10, cues: [{ start: 0, text: 'One' }, { start: 4, text: 'Two' }] },
+    tools: { title: 'Tools', start: 12, end: 20 }
+};
+
+describe('NarrationTimeline.validate', () => {
+    it('accepts a well-formed timeline, gaps included', () => {
+        expect(NarrationTimeline.validate(timeline(SECTIONS))).toEqual([]);
+    });
+
+    it.each(readdirSync(TIMELINES).filter(file => file.endsWith('.json')))('accepts the shipped %s', (file) => {
+        const data = JSON.parse(readFileSync(new URL(file, TIMELINES), 'utf8'));
+        expect(NarrationTimeline.validate(data)).toEqual([]);
+    });
+
+    it('reports overlapping sections', () => {
+        const errors = NarrationTimeline.validate(timeline({
+            ...SECTIONS,
+            tools: { title: 'Tools', start: 8, end: 20 }
+        }));
+        expect(errors).toEqual(['tools: overlaps hero']);
+    });
+
+    it('reports cues out of order or outside their section', () => {
+        const errors = NarrationTimeline.validate(timeline({
+            hero: {
+                title: 'Hero',
+                start: 0,
+                end: 10,
+                cues: [{ start: 5, text: 'Later' }, { start: 2, text: 'Earlier' }, { start: 2, text: 'Again' }, { start: 11, text: 'Past' }]
+            }
+        }));
+        expect(errors).toEqual([
+            'hero: cue 1 is out of order',
+            'hero: cue 2 is out of order',
+            'hero: cue 3 starts outside the section'
+        ]);
+    });
+
+    it('reports sections ending after the recording', () => {
+        const errors = NarrationTimeline.validate(timeline(SECTIONS, { duration: 15 }));
+        expect(errors).toEqual(['tools: ends at 20s, after the 15s recording']);
+    });
+
+    it('reports malformed fields', () => {
+        expect(NarrationTimeline.validate({ sections: [] })).toEqual(['"sections" must be an object keyed by section id']);
+        expect(NarrationTimeline.validate(timeline({}, { duration: -1 }))).toEqual([
+            '"duration" must be a non-negative number of seconds',
+            'Timeline has no sections'
+        ]);
+        expect(NarrationTimeline.validate(timeline({ hero: { title: ' ', start: 5, end: 5 } }))).toEqual([
+            'hero: missing title',
+            'hero: start and end must be seconds with start < end'
+        ]);
+    });
+});
+
+describe('NarrationTimeline', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const narration = new NarrationTimeline(timeline(SECTIONS));
+
+    it('runs each cue until the next one or the end of its section', () => {
+        expect(narration.getSection('hero').cues.map(cue => [cue.startTime, cue.endTime])).toEqual([[0, 4], [4, 10]]);
+    });
+
+    it('finds the section and cue at a time, and nothing in a gap', () => {
+        expect(narration.sectionAt(5).id).toBe('hero');
+        expect(narration.cueAt(5).text).toBe('Two');
+        expect(narration.sectionAt(11)).toBeNull();
+        expect(narration.cueAt(11)).toBeNull();
+    });
+
+    it('maps progress through a section to a time and back', () => {
+        const hero = narration.getSection('hero');
+        // Each cue gets half the section
+        expect(narration.timeAtProgress(hero, 0.25)).toBe(2);
+        expect(narration.timeAtProgress(hero, 0.75)).toBe(7);
+        [0, 0.25, 0.6, 0.9].forEach(progress => {
+            expect(narration.progressAt(hero, narration.timeAtProgress(hero, progress))).toBeCloseTo(progress, 9);
+        });
+    });
+
+    it('warns when the audio is shorter than the timeline', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(narration.checkDuration(19.5)).toBe(true);
+        expect(warn).not.toHaveBeenCalled();
+        expect(narration.checkDuration(15)).toBe(false);
+        expect(warn).toHaveBeenCalledOnce();
+    });
+});
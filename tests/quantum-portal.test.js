@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+    encodePortalState,
+    decodePortalState,
+    isValidSignature,
+    MAX_PARTICLES,
+    MAX_WAVES,
+    MAX_FIELDS,
+    MAX_TIMERS,
+    PORTAL_VERSION
+} from '../src/js/quantum-portal.js';
+import { SESSION_ACTIONS } from '../src/js/quantum-session.js';
+
+const STATE = { entanglement: 0.123456, coherence: 1, superposition: 0.5, waveCollapse: false };
+
+// Rows filled with the longest numbers the encoder writes, for the largest links
+const row = (width, i) => Array.from({ length: width }, (_, j) => (i + j) % 2 ? -9999.123456 : 9999.654321);
+const rows = (count, width) => Array.from({ length: count }, (_, i) => row(width, i));
+
+function snapshot(overrides = {}) {
+    return {
+        time: 3600.5,
+        interactions: 42,
+        random: 0xFFFFFFFF,
+        state: STATE,
+        particles: [],
+        waves: [],
+        fields: [],
+        ...overrides
+    };
+}
+
+describe('portal state', () => {
+    it('round-trips a scene at every limit', () => {
+        const scene = snapshot({
+            particles: rows(MAX_PARTICLES, 11),
+            waves: rows(MAX_WAVES, 8),
+            fields: rows(MAX_FIELDS, 2),
+            timers: Array.from({ length: MAX_TIMERS }, () => ({ steps: 3600, name: 'createQuantumField' }))
+        });
+
+        const portal = decodePortalState(encodePortalState(scene));
+
+        expect(portal.version).toBe(PORTAL_VERSION);
+        expect(portal.particles).toEqual(scene.particles);
+        expect(portal.waves).toEqual(scene.waves);
+        expect(portal.fields).toEqual(scene.fields);
+        expect(portal.timers).toEqual(scene.timers);
+        expect(portal.random).toBe(0xFFFFFFFF);
+        expect(portal.state).toEqual(STATE);
+    });
+
+    it('rounds numbers to 6 decimals', () => {
+        const portal = decodePortalState(encodePortalState(snapshot({ particles: [Array(11).fill(0.1234567891)] })));
+        expect(portal.particles[0]).toEqual(Array(11).fill(0.123457));
+    });
+
+    it.each([
+        ['particles', MAX_PARTICLES, 11],
+        ['waves', MAX_WAVES, 8],
+        ['fields', MAX_FIELDS, 2]
+    ])('refuses to encode more %s than a link can carry', (name, limit, width) => {
+        expect(() => encodePortalState(snapshot({ [name]: rows(limit + 1, width) })))
+            .toThrow(`Portal has more than ${limit} ${name}`);
+    });
+
+    it('refuses to encode coordinates the decoder would reject', () => {
+        expect(() => encodePortalState(snapshot({ waves: [Array(8).fill(20000)] })))
+            .toThrow('Portal waves entry 0 is malformed');
+    });
+
+    it('rejects links over the limits', () => {
+        const encoded = btoa(JSON.stringify({
+            v: 1, time: 0, interactions: 0, state: STATE,
+            particles: rows(MAX_PARTICLES + 1, 11), waves: [], fields: []
+        }));
+        expect(() => decodePortalState(encoded)).toThrow(`Portal has more than ${MAX_PARTICLES} particles`);
+    });
+
+    it('carries pending timers in order', () => {
+        const timers = [{ steps: 30, name: 'spawnParticles' }, { steps: 1, name: 'waves' }];
+        expect(decodePortalState(encodePortalState(snapshot({ timers }))).timers).toEqual(timers);
+    });
+
+    it('decodes links shared before timers were encoded with none', () => {
+        const encoded = btoa(JSON.stringify({ v: 1, time: 0, interactions: 0, state: STATE, particles: [], waves: [], fields: [] }));
+        expect(decodePortalState(encoded).timers).toEqual([]);
+    });
+
+    it('carries a timer for every action a session logs', () => {
+        // handleAction and replays queue each action, save and share included
+        const timers = SESSION_ACTIONS.map(name => ({ steps: 1, name }));
+        expect(decodePortalState(encodePortalState(snapshot({ timers }))).timers).toEqual(timers);
+    });
+
+    it('rejects timers the realm cannot run', () => {
+        expect(() => encodePortalState(snapshot({ timers: [{ steps: 1, name: 'selfDestruct' }] })))
+            .toThrow('Portal timers entry 0 is malformed');
+        expect(() => encodePortalState(snapshot({ timers: [{ steps: 0, name: 'waves' }] })))
+            .toThrow('Portal timers entry 0 is malformed');
+    });
+
+    it('decodes links shared before scenes were encoded', () => {
+        const portal = decodePortalState(btoa(JSON.stringify(STATE)));
+        expect(portal).toMatchObject({ version: 0, random: null, particles: null, state: STATE });
+    });
+
+    it('accepts URL-safe base64', () => {
+        const encoded = encodePortalState(snapshot()).replace(/\+/g, '-').replace(/\//g, '_');
+        expect(decodePortalState(encoded).time).toBe(3600.5);
+    });
+
+    it('rejects malformed input', () => {
+        expect(() => decodePortalState('')).toThrow('The link has no portal state');
+        expect(() => decodePortalState('not base64!')).toThrow('The portal state is not valid base64 JSON');
+        expect(() => decodePortalState(btoa('{"v":2}'))).toThrow('Unsupported portal version 2');
+    });
+});
+
+describe('isValidSignature', () => {
+    it('accepts realm signatures only', () => {
+        expect(isValidSignature('γ-3FA2-LZ9K2Q1B')).toBe(true);
+        expect(isValidSignature('x-3FA2-LZ9K2Q1B')).toBe(false);
+        expect(isValidSignature(null)).toBe(false);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import QuantumRealm from '../src/js/quantum-realm.js';
+
+const SIGNATURE = 'γ-3FA2-LZ9K2Q1B';
+
+// Just enough page for the realm to start without a renderer
+const element = () => ({ addEventListener() {}, classList: { add() {}, remove() {}, toggle() {} } });
+
+function createRealm() {
+    const realm = new QuantumRealm();
+    realm.quantumSignature = SIGNATURE;
+    realm.scene = new THREE.Scene();
+    realm.isActive = true;
+    return realm;
+}
+
+/**
+ * Feed the realm frames at `fps` until the clock reaches `ticks`, calling
+ * `onFrame` after each; returns the snapshot at every step a frame ended on
+ */
+function run(realm, fps, ticks, onFrame = () => {}) {
+    const snapshots = new Map();
+    for (let frame = 0; realm.clock.tick < ticks; frame++) {
+        realm.animate(frame * 1000 / fps);
+        onFrame();
+        snapshots.set(realm.clock.tick, realm.captureSnapshot());
+    }
+    return snapshots;
+}
+
+function expectSameScenes(actual, expected) {
+    let compared = 0;
+    actual.forEach((snapshot, tick) => {
+        if (!expected.has(tick)) return;
+        expect(snapshot, `step ${tick}`).toEqual(expected.get(tick));
+        compared++;
+    });
+    expect(compared).toBeGreaterThan(10);
+}
+
+describe('QuantumRealm determinism', () => {
+    beforeEach(() => {
+        const elements = { 'quantum-modal': element(), 'quantum-close': element() };
+        vi.stubGlobal('THREE', THREE);
+        vi.stubGlobal('window', { location: { search: '' } });
+        vi.stubGlobal('document', {
+            getElementById: (id) => elements[id] || null,
+            querySelectorAll: () => [],
+            addEventListener() {}
+        });
+        vi.stubGlobal('requestAnimationFrame', () => 0);
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('builds the same scene at 30 and 144fps', () => {
+        const slow = createRealm();
+        slow.seedSimulation();
+        slow.startQuantumSimulation();
+
+        const fast = createRealm();
+        fast.seedSimulation();
+        fast.startQuantumSimulation();
+
+        const scenes = run(fast, 144, 120);
+        expect(scenes.get(120).particles).toHaveLength(50);
+        expectSameScenes(run(slow, 30, 120), scenes);
+    });
+
+    it('replays the same actions at another frame rate onto the same scene', () => {
+        const live = createRealm();
+        live.seedSimulation();
+        live.startQuantumSimulation();
+
+        const button = element();
+        const plan = [[20, 'particles'], [45, 'waves'], [46, 'field'], [90, 'particles'], [150, 'reset'], [170, 'waves']];
+        const liveScenes = run(live, 144, 300, () => {
+            while (plan.length > 0 && live.clock.tick >= plan[0][0]) {
+                live.handleAction(plan.shift()[1], button);
+            }
+        });
+        const session = live.getSession();
+        expect(session.actions).toHaveLength(6);
+
+        const replay = createRealm();
+        replay.startReplay(session);
+        const replayScenes = run(replay, 30, session.duration);
+
+        expectSameScenes(replayScenes, liveScenes);
+        // The reset clears the count, then the waves after it add one
+        expect(replayScenes.get(replay.clock.tick).interactions).toBe(2);
+    });
+});
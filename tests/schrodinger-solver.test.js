@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import SchrodingerSolver, { POTENTIALS } from '../src/js/schrodinger-solver.js';
+
+const DT = 0.02;
+const stepsFor = (seconds) => Math.round(seconds / DT);
+
+describe('SchrodingerSolver', () => {
+    it('starts with a normalised packet where the potential puts it', () => {
+        const solver = new SchrodingerSolver({ potential: 'free' });
+        const { norm, meanX } = solver.measure();
+
+        expect(norm).toBeCloseTo(1, 9);
+        expect(meanX).toBeCloseTo(POTENTIALS.free.packet.x0, 6);
+    });
+
+    it('conserves the norm away from the absorbing edge', () => {
+        const solver = new SchrodingerSolver({ potential: 'doubleWell' });
+        solver.step(500);
+
+        expect(solver.measure().norm).toBeCloseTo(1, 6);
+    });
+
+    it('conserves the norm in 2D', () => {
+        const solver = new SchrodingerSolver({ potential: 'harmonic', dimensions: 2 });
+        solver.step(100);
+
+        expect(solver.measure().norm).toBeCloseTo(1, 6);
+    });
+
+    it('moves a free packet at its group velocity k0', () => {
+        const { x0, k0 } = POTENTIALS.free.packet;
+        const solver = new SchrodingerSolver({ potential: 'free' });
+        solver.step(stepsFor(4));
+
+        expect(solver.measure().meanX).toBeCloseTo(x0 + k0 * 4, 3);
+    });
+
+    it('swings a harmonic packet to the far side in half a period and back in a whole one', () => {
+        const { x0 } = POTENTIALS.harmonic.packet;
+        const period = 2 * Math.PI / 0.3;
+        const solver = new SchrodingerSolver({ potential: 'harmonic' });
+
+        solver.step(stepsFor(period / 2));
+        expect(solver.measure().meanX).toBeCloseTo(-x0, 1);
+
+        solver.step(stepsFor(period) - stepsFor(period / 2));
+        expect(solver.measure().meanX).toBeCloseTo(x0, 1);
+    });
+
+    it('lets part of the packet through the barrier, but not all of it', () => {
+        const solver = new SchrodingerSolver({ potential: 'barrier' });
+        solver.step(stepsFor(8));
+
+        const { right, norm } = solver.measure();
+        expect(right).toBeGreaterThan(0.05);
+        expect(right).toBeLessThan(0.5);
+        expect(norm - right).toBeGreaterThan(0.5);
+    });
+
+    it('absorbs the packet at the edge instead of wrapping it around', () => {
+        const solver = new SchrodingerSolver({ potential: 'free' });
+        solver.step(stepsFor(25));
+
+        expect(solver.measure().norm).toBeLessThan(0.1);
+    });
+
+    it('rejects grids it cannot transform', () => {
+        expect(() => new SchrodingerSolver({ size: 100 })).toThrow('Grid size must be a power of two');
+        expect(() => new SchrodingerSolver({ dimensions: 3 })).toThrow('The solver works in 1 or 2 dimensions');
+        expect(() => new SchrodingerSolver({ potential: 'well' })).toThrow('Unknown potential "well"');
+    });
+});
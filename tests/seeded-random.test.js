@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import SeededRandom, { hashSeed } from '../src/js/seeded-random.js';
+
+const SIGNATURE = 'γ-3FA2-LZ9K2Q1B';
+const draw = (random, count = 100) => Array.from({ length: count }, () => random.next());
+
+describe('SeededRandom', () => {
+    it('draws the same sequence for the same signature', () => {
+        expect(draw(SeededRandom.fromString(SIGNATURE))).toEqual(draw(SeededRandom.fromString(SIGNATURE)));
+    });
+
+    it('draws a different sequence for another signature', () => {
+        expect(draw(SeededRandom.fromString('γ-3FA2-LZ9K2Q1C'))).not.toEqual(draw(SeededRandom.fromString(SIGNATURE)));
+    });
+
+    it('hashes signatures to unsigned 32-bit seeds', () => {
+        const seed = hashSeed(SIGNATURE);
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(0);
+        expect(seed).toBeLessThanOrEqual(0xFFFFFFFF);
+        expect(hashSeed(SIGNATURE)).toBe(seed);
+    });
+
+    it('carries on from a saved state exactly where it left off', () => {
+        const random = SeededRandom.fromString(SIGNATURE);
+        draw(random, 37);
+
+        const restored = new SeededRandom(random.state);
+        expect(draw(restored)).toEqual(draw(random));
+    });
+
+    it('keeps next, range, int and chance within their bounds', () => {
+        const random = SeededRandom.fromString(SIGNATURE);
+        for (let i = 0; i < 2000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+
+            const ranged = random.range(-2.5, 4);
+            expect(ranged).toBeGreaterThanOrEqual(-2.5);
+            expect(ranged).toBeLessThan(4);
+
+            const integer = random.int(7);
+            expect(Number.isInteger(integer)).toBe(true);
+            expect(integer).toBeGreaterThanOrEqual(0);
+            expect(integer).toBeLessThan(7);
+
+            expect(random.chance(0)).toBe(false);
+            expect(random.chance(1)).toBe(true);
+        }
+    });
+
+    it('picks from the list it is given', () => {
+        const random = SeededRandom.fromString(SIGNATURE);
+        const items = ['α', 'β', 'γ'];
+        for (let i = 0; i < 100; i++) expect(items).toContain(random.pick(items));
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SignatureStore from '../src/js/signature-store.js';
+
+// localStorage with a quota on the total length of its values
+function createStorage(quota) {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => {
+            const others = [...items].reduce((total, [name, item]) => total + (name === key ? 0 : item.length), 0);
+            if (others + value.length > quota) {
+                throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+            }
+            items.set(key, value);
+        },
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+const entry = (n, size = 100) => ({
+    id: 'γ-3FA2-LZ9K2Q1B',
+    timestamp: `2025-01-01T00:00:0${n}.000Z`,
+    name: `Scene ${n}`,
+    portal: 'x'.repeat(size)
+});
+
+describe('SignatureStore', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    describe('with room to spare', () => {
+        beforeEach(() => {
+            vi.stubGlobal('localStorage', createStorage(Infinity));
+        });
+
+        it('lists entries newest first and keeps at most maxEntries', () => {
+            const store = new SignatureStore({ maxEntries: 2 });
+            [1, 2, 3].forEach(n => store.add(entry(n)));
+
+            expect(store.list().map(saved => saved.name)).toEqual(['Scene 3', 'Scene 2']);
+        });
+
+        it('drops nothing to make room', () => {
+            const store = new SignatureStore();
+            store.add(entry(1));
+
+            const { entry: saved, dropped } = store.add(entry(2));
+            expect(saved.key).toBe('γ-3FA2-LZ9K2Q1B@2025-01-01T00:00:02.000Z');
+            expect(dropped).toEqual([]);
+        });
+    });
+
+    describe('when storage is full', () => {
+        beforeEach(() => {
+            vi.stubGlobal('localStorage', createStorage(1200));
+        });
+
+        it('drops the oldest entries until the new one fits', () => {
+            const store = new SignatureStore();
+            [1, 2, 3].forEach(n => expect(store.add(entry(n, 200)).dropped).toEqual([]));
+
+            const { dropped } = store.add(entry(4, 700));
+            expect(dropped.map(saved => saved.name)).toEqual(['Scene 1', 'Scene 2']);
+            expect(store.list().map(saved => saved.name)).toEqual(['Scene 4', 'Scene 3']);
+        });
+
+        it('keeps every older entry when the new one cannot fit on its own', () => {
+            const store = new SignatureStore();
+            [1, 2].forEach(n => store.add(entry(n, 200)));
+
+            expect(() => store.add(entry(3, 2000))).toThrow('Not enough browser storage to save this signature');
+            expect(store.list().map(saved => saved.name)).toEqual(['Scene 2', 'Scene 1']);
+        });
+    });
+});
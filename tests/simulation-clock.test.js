@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import SimulationClock from '../src/js/simulation-clock.js';
+
+describe('SimulationClock', () => {
+    it('fires timers on the step they were scheduled for', () => {
+        const clock = new SimulationClock();
+        const fired = [];
+        clock.after(0.5, () => fired.push(clock.tick));
+        clock.after(0, () => fired.push(clock.tick));
+
+        for (let i = 0; i < 40; i++) clock.stepOnce(() => {});
+        expect(fired).toEqual([1, 30]);
+    });
+
+    it('lists pending timers by name and steps to go', () => {
+        const clock = new SimulationClock();
+        clock.after(0.5, () => {}, 'spawnParticles');
+        clock.stepOnce(() => {});
+        clock.afterSteps(1, () => {}, 'waves');
+
+        expect(clock.pending()).toEqual([
+            { steps: 29, name: 'spawnParticles' },
+            { steps: 1, name: 'waves' }
+        ]);
+    });
+
+    it('runs rescheduled pending timers exactly as the originals', () => {
+        const run = (clock, log) => {
+            for (let i = 0; i < 40; i++) clock.stepOnce(() => log.push(`step ${clock.tick}`));
+        };
+
+        const original = new SimulationClock();
+        const originalLog = [];
+        original.after(0.1, () => originalLog.push('createQuantumField'), 'createQuantumField');
+        original.after(0.1, () => originalLog.push('particles'), 'particles');
+        original.stepOnce(() => {});
+
+        // Snapshot the clock, then restore it on a fresh one
+        const restored = new SimulationClock();
+        const restoredLog = [];
+        restored.reset(original.tick);
+        original.pending().forEach(({ steps, name }) => {
+            restored.afterSteps(steps, () => restoredLog.push(name), name);
+        });
+
+        run(original, originalLog);
+        run(restored, restoredLog);
+        expect(restoredLog).toEqual(originalLog);
+        expect(restoredLog.slice(4, 7)).toEqual(['createQuantumField', 'particles', 'step 6']);
+    });
+
+    it('drops timers on reset', () => {
+        const clock = new SimulationClock();
+        clock.after(1, () => {}, 'reset');
+        clock.setTime(2);
+
+        expect(clock.tick).toBe(120);
+        expect(clock.pending()).toEqual([]);
+    });
+});
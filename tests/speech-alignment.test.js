@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+    splitTimestampedResponse,
+    wordsFromAlignment,
+    estimateWordTimings,
+    findSpeechBounds
+} from '../src/js/speech-alignment.js';
+
+function alignmentFor(text, start = 0, step = 0.1) {
+    const characters = [...text];
+    return {
+        characters,
+        character_start_times_seconds: characters.map((_, i) => start + i * step),
+        character_end_times_seconds: characters.map((_, i) => start + (i + 1) * step)
+    };
+}
+
+// An NDJSON body delivered in arbitrary pieces, as a network would
+function ndjsonResponse(lines, pieceLength = 7) {
+    const text = lines.map(line => `${JSON.stringify(line)}\n`).join('');
+    const bytes = new TextEncoder().encode(text);
+    const stream = new ReadableStream({
+        start(controller) {
+            for (let i = 0; i < bytes.length; i += pieceLength) controller.enqueue(bytes.slice(i, i + pieceLength));
+            controller.close();
+        }
+    });
+    return new Response(stream);
+}
+
+const base64 = (text) => btoa(text);
+
+describe('splitTimestampedResponse', () => {
+    it('streams the audio and merges the alignment, shifting times that restart', async () => {
+        const { response, alignment } = await splitTimestampedResponse(ndjsonResponse([
+            { audio_base64: base64('RIFFabc'), alignment: alignmentFor('Hi ') },
+            { alignment: null },
+            { audio_base64: base64('def'), alignment: alignmentFor('yo') }
+        ]));
+
+        expect(response.headers.get('Content-Type')).toBe('audio/wav');
+        expect(new TextDecoder().decode(await response.arrayBuffer())).toBe('RIFFabcdef');
+
+        const merged = await alignment;
+        expect(merged.characters.join('')).toBe('Hi yo');
+        expect(merged.character_start_times_seconds[3]).toBeCloseTo(0.3, 9);
+        expect(merged.character_end_times_seconds.at(-1)).toBeCloseTo(0.5, 9);
+    });
+
+    it('labels audio without a RIFF header as MPEG', async () => {
+        const { response } = await splitTimestampedResponse(ndjsonResponse([{ audio_base64: base64('ID3...') }]));
+        expect(response.headers.get('Content-Type')).toBe('audio/mpeg');
+    });
+
+    it('rejects the alignment when a line is not JSON', async () => {
+        const body = `${JSON.stringify({ audio_base64: base64('RIFF') })}\nnot json\n`;
+        const { response, alignment } = await splitTimestampedResponse(new Response(body));
+
+        await expect(response.arrayBuffer()).rejects.toThrow();
+        await expect(alignment).rejects.toThrow(SyntaxError);
+    });
+});
+
+describe('wordsFromAlignment', () => {
+    it('groups characters into words and skips markup tags', () => {
+        const words = wordsFromAlignment(alignmentFor('Say <break time="1s"/> tomato.'));
+
+        expect(words.map(word => word.text)).toEqual(['Say', 'tomato.']);
+        expect(words[0]).toMatchObject({ start: 0 });
+        expect(words[0].end).toBeCloseTo(0.3, 9);
+        expect(words[1].start).toBeCloseTo(2.3, 9);
+    });
+
+    it('maps characters longer than one code unit back to their timings', () => {
+        const words = wordsFromAlignment(alignmentFor('🙂 ok'));
+        expect(words[1].text).toBe('ok');
+        expect(words[1].start).toBeCloseTo(0.2, 9);
+    });
+});
+
+describe('estimateWordTimings', () => {
+    it('spreads words over the span by syllables, pausing after punctuation', () => {
+        const words = estimateWordTimings('Hello, banana split.', { start: 1, end: 3 });
+
+        expect(words.map(word => word.text)).toEqual(['Hello,', 'banana', 'split.']);
+        expect(words[0].start).toBe(1);
+        // Hello (2) + comma (1) + banana (3) + split (1) + period (2) = 9 units over 2s
+        expect(words[1].start).toBeCloseTo(1 + 3 * 2 / 9, 9);
+        expect(words[2].end).toBeCloseTo(1 + 7 * 2 / 9, 9);
+        words.forEach(word => expect(word.end).toBeGreaterThan(word.start));
+    });
+
+    it('ignores markup and copes with nothing to say', () => {
+        expect(estimateWordTimings('<break time="1s"/>', { start: 0, end: 1 })).toEqual([]);
+    });
+});
+
+describe('findSpeechBounds', () => {
+    const buffer = (samples, sampleRate = 1000) => ({
+        sampleRate,
+        duration: samples.length / sampleRate,
+        getChannelData: () => Float32Array.from(samples)
+    });
+
+    it('finds the voiced span to the nearest 10ms', () => {
+        const samples = Array.from({ length: 1000 }, (_, i) => (i >= 200 && i < 750 ? 0.5 : 0));
+        expect(findSpeechBounds(buffer(samples))).toEqual({ start: 0.2, end: 0.75 });
+    });
+
+    it('falls back to the whole buffer when it is silent', () => {
+        expect(findSpeechBounds(buffer(new Array(500).fill(0)))).toEqual({ start: 0, end: 0.5 });
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { compileMarkup, applyLexicon, parseLexicon, stripMarkup, supportsPhonemes } from '../src/js/speech-markup.js';
+
+describe('compileMarkup', () => {
+    it('keeps breaks as tags', () => {
+        expect(compileMarkup('Wait <break time="500ms"/> go').text).toBe('Wait <break time="0.5s" /> go');
+    });
+
+    it('keeps phonemes as tags by default', () => {
+        const { text, errors } = compileMarkup('A <phoneme ph="təˈmɑːtoʊ">tomato</phoneme>.');
+        expect(errors).toEqual([]);
+        expect(text).toBe('A <phoneme alphabet="ipa" ph="təˈmɑːtoʊ">tomato</phoneme>.');
+    });
+
+    it('speaks the word as written for models without phoneme support', () => {
+        const { text, errors } = compileMarkup('A <phoneme ph="təˈmɑːtoʊ">tomato</phoneme>.', { phonemes: false });
+        expect(errors).toEqual([]);
+        expect(text).toBe('A tomato.');
+    });
+
+    it('replaces aliases', () => {
+        expect(compileMarkup('The <sub alias="M C P">MCP</sub> server').text).toBe('The M C P server');
+    });
+
+    it('sends strong and moderate emphasis as upper case and reduced emphasis unchanged', () => {
+        expect(compileMarkup('<emphasis>really</emphasis> <emphasis level="moderate">now</emphasis>').text).toBe('REALLY NOW');
+        expect(compileMarkup('<emphasis level="reduced">quietly</emphasis>').text).toBe('quietly');
+    });
+
+    it('reports malformed markup', () => {
+        expect(compileMarkup('<break time="5s"/>').errors).toEqual(['Line 1: breaks can be at most 3s']);
+        expect(compileMarkup('<emphasis>open').errors).toEqual(['Line 1: <emphasis> is never closed']);
+        expect(compileMarkup('<prosody>x</prosody>').errors).toEqual(['Line 1: unsupported tag <prosody>']);
+    });
+});
+
+describe('supportsPhonemes', () => {
+    it('only accepts models that read phoneme tags', () => {
+        expect(supportsPhonemes('eleven_flash_v2')).toBe(true);
+        expect(supportsPhonemes('eleven_multilingual_v2')).toBe(false);
+        expect(supportsPhonemes(undefined)).toBe(false);
+    });
+});
+
+describe('stripMarkup', () => {
+    it('keeps the words and drops every tag', () => {
+        expect(stripMarkup('Wait <break time="1s"/> for the <phoneme ph="təˈmɑːtoʊ">tomato</phoneme>.'))
+            .toBe('Wait for the tomato.');
+    });
+
+    it('drops a tag cut off by truncation', () => {
+        expect(stripMarkup('Say <sub alias="M C P">MCP</sub> <phon...')).toBe('Say MCP');
+    });
+});
+
+describe('lexicon', () => {
+    it('parses entries and reports bad lines', () => {
+        const { entries, errors } = parseLexicon('MCP = M C P\n# comment\nbroken\nMCP = again');
+        expect(entries).toEqual([{ term: 'MCP', replacement: 'M C P' }]);
+        expect(errors).toHaveLength(2);
+    });
+
+    it('replaces whole words only', () => {
+        expect(applyLexicon('MCP and MCPs', [{ term: 'MCP', replacement: 'M C P' }])).toBe('M C P and MCPs');
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, splitSentences } from '../src/js/text-chunker.js';
+
+describe('splitSentences', () => {
+    it('splits at terminal punctuation followed by whitespace', () => {
+        expect(splitSentences('One. Two! Three? Four… Five')).toEqual(['One.', 'Two!', 'Three?', 'Four…', 'Five']);
+    });
+
+    it('keeps decimals, prices and dotted words whole', () => {
+        expect(splitSentences('Version 1.5 costs $3.99 at example.com today. Done.'))
+            .toEqual(['Version 1.5 costs $3.99 at example.com today.', 'Done.']);
+    });
+
+    it('does not end a sentence after common abbreviations', () => {
+        expect(splitSentences('Use a tag, e.g. a break. Ask Dr. Smith vs. Mr. Jones.'))
+            .toEqual(['Use a tag, e.g. a break.', 'Ask Dr. Smith vs. Mr. Jones.']);
+    });
+
+    it('keeps closing quotes and brackets with the sentence', () => {
+        expect(splitSentences('He said "stop." (Then left.) Fine')).toEqual(['He said "stop."', '(Then left.)', 'Fine']);
+    });
+
+    it('ignores punctuation inside markup tags', () => {
+        expect(splitSentences('Wait <break time="1.5s" /> then. Go.'))
+            .toEqual(['Wait <break time="1.5s" /> then.', 'Go.']);
+    });
+});
+
+describe('chunkText', () => {
+    it('returns the text verbatim when it fits', () => {
+        const text = 'Version 1.5 is out. It costs $3.99, e.g. less than a coffee.';
+        expect(chunkText(text)).toEqual([{ index: 0, text, pauseAfter: null }]);
+    });
+
+    it('never inserts spaces into the text', () => {
+        const sentence = 'Pi is 3.14159, i.e. about 3.14! ';
+        const text = sentence.repeat(20);
+        const chunks = chunkText(text, { maxLength: 100 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(100));
+        expect(chunks.map(chunk => chunk.text).join(' ')).toBe(text.trim());
+    });
+
+    it('keeps the whitespace between sentences in a chunk', () => {
+        const [chunk] = chunkText('First line.\nSecond line.  Third.');
+        expect(chunk.text).toBe('First line.\nSecond line.  Third.');
+    });
+
+    it('splits paragraphs into separate chunks with a paragraph pause', () => {
+        const chunks = chunkText('First paragraph.\n\nSecond paragraph.');
+        expect(chunks).toEqual([
+            { index: 0, text: 'First paragraph.', pauseAfter: 'paragraph' },
+            { index: 1, text: 'Second paragraph.', pauseAfter: null }
+        ]);
+    });
+
+    it('breaks an over-long sentence at word boundaries with clause pauses', () => {
+        const sentence = `${Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ')}.`;
+        const chunks = chunkText(sentence, { maxLength: 50 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(50));
+        expect(chunks.slice(0, -1).every(chunk => chunk.pauseAfter === 'clause')).toBe(true);
+        expect(chunks.map(chunk => chunk.text).join(' ')).toBe(sentence);
+    });
+
+    it('hard-splits a single token longer than the limit', () => {
+        const chunks = chunkText('x'.repeat(25), { maxLength: 10 });
+        expect(chunks.map(chunk => chunk.text)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+
+    it('keeps markup tags whole when splitting', () => {
+        const text = `${'word '.repeat(8)}<break time="0.5s" /> ${'more '.repeat(8)}end.`;
+        const chunks = chunkText(text, { maxLength: 50 });
+
+        chunks.forEach(chunk => {
+            expect(chunk.text.split('<').length).toBe(chunk.text.split('>').length);
+        });
+        expect(chunks.some(chunk => chunk.text.includes('<break time="0.5s" />'))).toBe(true);
+    });
+
+    it('never splits a phoneme pair or re-spaces the word inside it', () => {
+        const phoneme = '<phoneme alphabet="ipa" ph="juː.ɛs.">the U.S.  of A</phoneme>';
+        const text = `${'word '.repeat(8)}${phoneme} ${'more '.repeat(8)}end.`;
+        const chunks = chunkText(text, { maxLength: 40 });
+
+        expect(chunks.filter(chunk => chunk.text.includes(phoneme))).toHaveLength(1);
+        chunks.forEach(chunk => {
+            expect(chunk.text.split('<phoneme').length).toBe(chunk.text.split('</phoneme>').length);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+import { EventEmitter } from 'node:events';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createTTSHandler } from '../api/tts.js';
+
+const VOICE_ID = '21m00Tcm4TlvDq8ikWAM';
+
+function createRequest(body, method = 'POST') {
+    return { method, body };
+}
+
+function createResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.chunks = [];
+    res.writableEnded = false;
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.write = (chunk) => { res.chunks.push(Buffer.from(chunk)); };
+    res.end = (chunk) => {
+        if (chunk) res.write(chunk);
+        res.writableEnded = true;
+        res.emit('close');
+    };
+    res.json = () => JSON.parse(Buffer.concat(res.chunks).toString());
+    return res;
+}
+
+async function call(handler, body, method) {
+    const res = createResponse();
+    await handler(createRequest(body, method), res);
+    return res;
+}
+
+describe('/api/tts validation', () => {
+    const handler = createTTSHandler({ TTS_PROVIDER: 'mock' });
+
+    it('only accepts POST', async () => {
+        const res = await call(handler, {}, 'GET');
+        expect(res.statusCode).toBe(405);
+        expect(res.headers.allow).toBe('POST');
+    });
+
+    it('rejects a malformed JSON body', async () => {
+        const res = await call(handler, '{"text":');
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Invalid JSON body');
+    });
+
+    it.each([['null'], ['[1, 2]'], ['"text"'], [[{ text: 'hi' }]]])('rejects a body that is not an object: %j', async (body) => {
+        const res = await call(handler, body);
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Request body must be a JSON object');
+    });
+
+    it('rejects a streamed body over the size limit', async () => {
+        const chunk = Buffer.alloc(16 * 1024, 'a');
+        const req = {
+            method: 'POST',
+            headers: {},
+            async *[Symbol.asyncIterator]() {
+                for (let i = 0; i < 5; i++) yield chunk;
+            }
+        };
+        const res = createResponse();
+        await handler(req, res);
+
+        expect(res.statusCode).toBe(413);
+        expect(res.json().error).toBe('Request body exceeds 65536 bytes');
+    });
+
+    it('rejects an oversized body by its declared length', async () => {
+        const res = createResponse();
+        await handler({ method: 'POST', headers: { 'content-length': '1000000' }, body: { text: 'hi', voice_id: VOICE_ID } }, res);
+        expect(res.statusCode).toBe(413);
+    });
+
+    it('reads a streamed body split inside a multi-byte character', async () => {
+        // Exactly at the text limit; a split character decoded on its own
+        // would turn into two replacement characters and push it over
+        const bytes = Buffer.from(JSON.stringify({ text: 'א'.repeat(5000), voice_id: 'bad id' }));
+        const req = {
+            method: 'POST',
+            headers: {},
+            async *[Symbol.asyncIterator]() {
+                yield bytes.subarray(0, 10);
+                yield bytes.subarray(10);
+            }
+        };
+        const res = createResponse();
+        await handler(req, res);
+
+        expect(res.json().error).toBe('Invalid voice_id');
+    });
+
+    it('requires text', async () => {
+        const res = await call(handler, { text: '   ', voice_id: VOICE_ID });
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Text is required');
+    });
+
+    it('rejects text over the limit', async () => {
+        const res = await call(handler, { text: 'a'.repeat(5001), voice_id: VOICE_ID });
+        expect(res.statusCode).toBe(413);
+    });
+
+    it('rejects an invalid voice_id', async () => {
+        const res = await call(handler, { text: 'Hello', voice_id: '../voices' });
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Invalid voice_id');
+    });
+
+    it('rejects a model that is not on the allow-list', async () => {
+        const res = await call(handler, { text: 'Hello', voice_id: VOICE_ID, model_id: 'eleven_premium_xl' });
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Unsupported model_id');
+    });
+
+    it.each([0.5, 1.5, '1'])('rejects speed %s', async (speed) => {
+        const res = await call(handler, { text: 'Hello', voice_id: VOICE_ID, voice_settings: { speed } });
+        expect(res.statusCode).toBe(400);
+        expect(res.json().error).toBe('Speed must be between 0.7 and 1.2');
+    });
+
+    it('serves mock audio for a valid request', async () => {
+        const res = await call(handler, {
+            text: 'Hello',
+            voice_id: VOICE_ID,
+            model_id: 'eleven_turbo_v2_5',
+            voice_settings: { speed: 1.2 }
+        });
+        const wav = Buffer.concat(res.chunks);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toBe('audio/wav');
+        expect(res.headers['x-tts-provider']).toBe('mock');
+        expect(wav.subarray(0, 4).toString()).toBe('RIFF');
+    });
+
+    it('serves mock timestamps as NDJSON', async () => {
+        const res = await call(handler, { text: 'Hello', voice_id: VOICE_ID, with_timestamps: true });
+        const line = Buffer.concat(res.chunks).toString();
+
+        expect(res.headers['content-type']).toBe('application/x-ndjson');
+        expect(JSON.parse(line).alignment.characters.join('')).toBe('Hello');
+    });
+});
+
+describe('/api/tts upstream', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('reports a missing API key', async () => {
+        const res = await call(createTTSHandler({}), { text: 'Hello', voice_id: VOICE_ID });
+        expect(res.statusCode).toBe(503);
+    });
+
+    it('aborts the upstream request when the client disconnects', async () => {
+        let upstreamSignal;
+        vi.stubGlobal('fetch', vi.fn((url, options) => {
+            upstreamSignal = options.signal;
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => {
+                    reject(new DOMException('The operation was aborted', 'AbortError'));
+                });
+            });
+        }));
+
+        const handler = createTTSHandler({ ELEVENLABS_API_KEY: 'key' });
+        const res = createResponse();
+        const pending = handler(createRequest({ text: 'Hello', voice_id: VOICE_ID }), res);
+
+        await vi.waitFor(() => expect(upstreamSignal).toBeDefined());
+        res.emit('close');
+        await pending;
+
+        expect(upstreamSignal.aborted).toBe(true);
+        expect(res.chunks).toHaveLength(0);
+    });
+
+    it('sends the default model when none is requested', async () => {
+        const fetchMock = vi.fn(async () => new Response('audio', { headers: { 'content-type': 'audio/mpeg' } }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const res = await call(createTTSHandler({ ELEVENLABS_API_KEY: 'key' }), { text: 'Hello', voice_id: VOICE_ID });
+        const sent = JSON.parse(fetchMock.mock.calls[0][1].body);
+
+        expect(res.statusCode).toBe(200);
+        expect(sent.model_id).toBe('eleven_multilingual_v2');
+        expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+    });
+});
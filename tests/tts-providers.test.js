@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { MockTTSProvider, HttpTTSProvider, createTTSProvider } from '../src/js/tts-providers.js';
+
+describe('MockTTSProvider', () => {
+    const request = { text: 'Hello there. How are you?', voiceId: '21m00Tcm4TlvDq8ikWAM', voiceSettings: { speed: 1, stability: 0.5 } };
+
+    it('synthesizes a WAV response', async () => {
+        const provider = new MockTTSProvider({ latency: 0 });
+        const response = await provider.synthesize(request);
+        const bytes = new Uint8Array(await response.arrayBuffer());
+
+        expect(response.headers.get('Content-Type')).toBe('audio/wav');
+        expect(Number(response.headers.get('Content-Length'))).toBe(bytes.length);
+        expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('RIFF');
+        expect(String.fromCharCode(...bytes.slice(8, 12))).toBe('WAVE');
+    });
+
+    it('is deterministic for the same input', async () => {
+        const provider = new MockTTSProvider({ latency: 0 });
+        const first = new Uint8Array(await (await provider.synthesize(request)).arrayBuffer());
+        const second = new Uint8Array(await (await provider.synthesize(request)).arrayBuffer());
+
+        expect(second).toEqual(first);
+    });
+
+    it('returns one line of timestamps when asked', async () => {
+        const provider = new MockTTSProvider({ latency: 0 });
+        const response = await provider.synthesize({ ...request, withTimestamps: true });
+        const text = await response.text();
+        const { audio_base64, alignment } = JSON.parse(text);
+
+        expect(response.headers.get('Content-Type')).toBe('application/x-ndjson');
+        expect(text.endsWith('\n')).toBe(true);
+        expect(audio_base64.length).toBeGreaterThan(0);
+        expect(alignment.characters.join('')).toBe(request.text);
+        expect(alignment.character_start_times_seconds).toHaveLength(request.text.length);
+    });
+
+    it('rejects when aborted during the latency', async () => {
+        const provider = new MockTTSProvider({ latency: 1000 });
+        const controller = new AbortController();
+        const pending = provider.synthesize({ ...request, signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('rejects a signal that is already aborted', async () => {
+        const provider = new MockTTSProvider({ latency: 0 });
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(provider.synthesize({ ...request, signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('createTTSProvider', () => {
+    it('creates providers by name', () => {
+        expect(createTTSProvider('mock')).toBeInstanceOf(MockTTSProvider);
+        expect(createTTSProvider('elevenlabs')).toBeInstanceOf(HttpTTSProvider);
+        expect(createTTSProvider()).toBeInstanceOf(HttpTTSProvider);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import VoiceCatalog from '../src/js/voice-catalog.js';
+
+const MANIFEST = JSON.parse(readFileSync(new URL('../src/assets/voices/voices.json', import.meta.url), 'utf8'));
+
+// A voice as the ElevenLabs API lists it
+const PROVIDER_VOICE = {
+    voice_id: 'abc123',
+    name: 'Dorit',
+    language: 'HE',
+    preview_url: 'https://example.com/dorit.mp3',
+    labels: { gender: 'female', accent: 'israeli', description: 'calm' }
+};
+
+// fetch answering from a table of url → Response factory
+const serve = (routes) => vi.fn(async (url) => (routes[url] ? routes[url]() : new Response('', { status: 404 })));
+
+describe('VoiceCatalog', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('prefers the provider catalog and normalizes its voices', async () => {
+        vi.stubGlobal('fetch', serve({ '/api/voices': () => Response.json({ voices: [PROVIDER_VOICE, { name: 'No id' }] }) }));
+        const catalog = new VoiceCatalog();
+        await catalog.load();
+
+        expect(catalog.source).toBe('provider');
+        expect(catalog.voices).toEqual([{
+            id: 'abc123',
+            voiceId: 'abc123',
+            name: 'Dorit',
+            language: 'he',
+            gender: 'female',
+            previewUrl: 'https://example.com/dorit.mp3',
+            description: 'calm',
+            labels: PROVIDER_VOICE.labels
+        }]);
+    });
+
+    it('falls back to the bundled manifest when the provider fails or has no voices', async () => {
+        const manifest = () => Response.json(MANIFEST);
+
+        vi.stubGlobal('fetch', serve({ './src/assets/voices/voices.json': manifest }));
+        const offline = new VoiceCatalog();
+        await offline.load();
+        expect(offline.source).toBe('manifest');
+        expect(offline.voices).toHaveLength(MANIFEST.voices.length);
+
+        vi.stubGlobal('fetch', serve({ '/api/voices': () => Response.json({ voices: [] }), './src/assets/voices/voices.json': manifest }));
+        const empty = new VoiceCatalog();
+        await empty.load();
+        expect(empty.source).toBe('manifest');
+    });
+
+    it('throws when no catalog is available', async () => {
+        vi.stubGlobal('fetch', serve({}));
+        await expect(new VoiceCatalog().load()).rejects.toThrow('No voice catalog available');
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('finds voices by catalog id or provider voice id', async () => {
+        const catalog = new VoiceCatalog({ endpoint: null });
+        vi.stubGlobal('fetch', serve({ './src/assets/voices/voices.json': () => Response.json(MANIFEST) }));
+        await catalog.load();
+
+        expect(catalog.find('rachel').voiceId).toBe('21m00Tcm4TlvDq8ikWAM');
+        expect(catalog.find('21m00Tcm4TlvDq8ikWAM').id).toBe('rachel');
+        expect(catalog.find('nobody')).toBeUndefined();
+    });
+
+    it('lists and filters by language', () => {
+        const catalog = new VoiceCatalog();
+        catalog.voices = [PROVIDER_VOICE, { voice_id: 'x', language: 'en' }, { voice_id: 'y', language: 'sw' }]
+            .map(voice => catalog.normalizeVoice(voice));
+
+        expect(catalog.getLanguages()).toEqual([
+            { code: 'en', label: 'English' },
+            { code: 'he', label: 'Hebrew' },
+            { code: 'sw', label: 'SW' }
+        ]);
+        expect(catalog.filterByLanguage('he').map(voice => voice.id)).toEqual(['abc123']);
+        expect(catalog.filterByLanguage('all')).toHaveLength(3);
+    });
+
+    it('describes a voice without repeating details', () => {
+        const catalog = new VoiceCatalog();
+        const voice = catalog.normalizeVoice({ ...PROVIDER_VOICE, description: 'female' });
+        expect(catalog.describe(voice)).toBe('female • israeli • Hebrew');
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { parseWebVTT, parseTimestamp, findActiveCue } from '../src/js/webvtt.js';
+
+const vtt = (...blocks) => ['WEBVTT', ...blocks].join('\n\n');
+
+describe('parseTimestamp', () => {
+    it('reads timestamps with and without an hours field', () => {
+        expect(parseTimestamp('01:02.500')).toBe(62.5);
+        expect(parseTimestamp('00:01:02.500')).toBe(62.5);
+        expect(parseTimestamp('1:00:00.000')).toBe(3600);
+    });
+});
+
+describe('parseWebVTT', () => {
+    it('parses cues with mm:ss.ttt timings and optional ids', () => {
+        const { cues, errors } = parseWebVTT(vtt(
+            'intro\n00:01.000 --> 00:03.500\nHello',
+            '00:00:04.000 --> 00:00:06.000\nSecond\nline'
+        ));
+
+        expect(errors).toEqual([]);
+        expect(cues).toEqual([
+            { id: 'intro', startTime: 1, endTime: 3.5, text: 'Hello', settings: '' },
+            { id: null, startTime: 4, endTime: 6, text: 'Second\nline', settings: '' }
+        ]);
+    });
+
+    it('reads header metadata and skips NOTE and STYLE blocks', () => {
+        const { cues, headers, errors } = parseWebVTT([
+            'WEBVTT - narration\nLanguage: en',
+            'NOTE written by hand\n00:01.000 --> 00:02.000 is not a cue',
+            'STYLE\n::cue { color: cyan }',
+            '00:01.000 --> 00:02.000\nOnly cue'
+        ].join('\n\n'));
+
+        expect(errors).toEqual([]);
+        expect(headers).toEqual({ language: 'en' });
+        expect(cues.map(cue => cue.text)).toEqual(['Only cue']);
+    });
+
+    it('keeps cue settings after the timing line', () => {
+        const { cues } = parseWebVTT(vtt('00:01.000 --> 00:02.000 align:start line:90%\nPlaced'));
+        expect(cues[0].settings).toBe('align:start line:90%');
+    });
+
+    it('strips cue markup and decodes entities', () => {
+        const { cues } = parseWebVTT(vtt('00:01.000 --> 00:02.000\n<v Narrator><i>Tom &amp; Jerry</i> &lt;3&nbsp;&lrm;</v>'));
+        expect(cues[0].text).toBe('Tom & Jerry <3\u00A0\u200E');
+    });
+
+    it('handles a byte order mark and Windows line endings', () => {
+        const { cues } = parseWebVTT('\uFEFFWEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n');
+        expect(cues).toHaveLength(1);
+        expect(cues[0].text).toBe('Hi');
+    });
+
+    it('skips and reports malformed timing lines', () => {
+        const { cues, errors } = parseWebVTT(vtt(
+            'bad\n00:01.5 --> 00:02.000\nShort millis',
+            '00:03.000 -> 00:04.000\nWrong arrow',
+            'backwards\n00:05.000 --> 00:04.000\nEnds first',
+            '00:06.000 --> 00:07.000\nKept'
+        ));
+
+        expect(cues.map(cue => cue.text)).toEqual(['Kept']);
+        expect(errors).toEqual([
+            'Cue bad: invalid timing line',
+            'Cue 00:03.000 -> 00:04.000: invalid timing line',
+            'Cue backwards: ends before it starts'
+        ]);
+    });
+
+    it('refuses files without a WEBVTT header', () => {
+        expect(parseWebVTT('00:01.000 --> 00:02.000\nHi')).toEqual({ cues: [], headers: {}, errors: ['Missing WEBVTT header'] });
+    });
+});
+
+describe('findActiveCue', () => {
+    const { cues } = parseWebVTT(vtt(
+        '00:01.000 --> 00:04.000\nFirst',
+        '00:03.000 --> 00:05.000\nOverlap'
+    ));
+
+    it('finds the cue showing at a time, end exclusive', () => {
+        expect(findActiveCue(cues, 0.5)).toBeNull();
+        expect(findActiveCue(cues, 1).text).toBe('First');
+        expect(findActiveCue(cues, 5)).toBeNull();
+    });
+
+    it('resolves overlapping cues to the latest one', () => {
+        expect(findActiveCue(cues, 3.5).text).toBe('Overlap');
+    });
+});
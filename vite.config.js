@@ -1,23 +1,53 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
+import { createTTSHandler } from './api/tts.js'
+import { createVoicesHandler } from './api/voices.js'
 
-export default defineConfig({
-  server: {
-    port: 3000,
-    open: true,
-    host: true
-  },
-  build: {
-    outDir: 'dist',
-    assetsDir: 'assets',
-    rollupOptions: {
-      output: {
-        assetFileNames: 'assets/[name].[hash][extname]',
-        chunkFileNames: 'assets/[name].[hash].js',
-        entryFileNames: 'assets/[name].[hash].js'
+// Serve the /api routes from the dev server (Vercel runs them in production)
+function apiDevServer(env) {
+  const routes = {
+    '/api/tts': createTTSHandler(env),
+    '/api/voices': createVoicesHandler(env)
+  }
+
+  return {
+    name: 'api-dev-server',
+    configureServer(server) {
+      Object.entries(routes).forEach(([path, handler]) => {
+        server.middlewares.use(path, (req, res) => {
+          handler(req, res).catch((error) => {
+            console.error(`${path} dev handler failed:`, error)
+            res.statusCode = 500
+            res.end()
+          })
+        })
+      })
+    }
+  }
+}
+
+export default defineConfig(({ mode }) => {
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), '') }
+
+  return {
+    plugins: [apiDevServer(env)],
+    server: {
+      port: 3000,
+      open: true,
+      host: true
+    },
+    build: {
+      outDir: 'dist',
+      assetsDir: 'assets',
+      rollupOptions: {
+        output: {
+          assetFileNames: 'assets/[name].[hash][extname]',
+          chunkFileNames: 'assets/[name].[hash].js',
+          entryFileNames: 'assets/[name].[hash].js'
+        }
       }
+    },
+    optimizeDeps: {
+      include: ['three', 'gsap', 'lottie-web']
     }
-  },
-  optimizeDeps: {
-    include: ['three', 'gsap', 'lottie-web']
   }
-})
\ No newline at end of file
+})